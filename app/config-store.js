@@ -0,0 +1,45 @@
+import fs from "fs";
+
+// -----------------------------------------------------------------------------
+// config-store.js – config.json lesen/schreiben (roh, ohne Normalisierung)
+// -----------------------------------------------------------------------------
+// - Gelesen wird das ROH-JSON: unbekannte Keys (timing, port, …) bleiben beim
+//   Zurückschreiben erhalten
+// - Schreiben ist atomar: temp-Datei + rename; die vorherige Fassung landet
+//   als config.json.bak daneben (eine Generation)
+// - config.json liegt im .gitignore (/app/config.*), Backup/Temp damit auch
+// - writeFileAtomic() gilt ebenso für CSV-Quellen (Zeilen-Editor, /api/rows)
+// -----------------------------------------------------------------------------
+
+/** Roh-Config lesen; fehlende Datei => leere Config. */
+export function readConfigRaw(configPath) {
+  if (!fs.existsSync(configPath)) return {};
+
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("config-store: config.json must contain an object");
+  }
+  return raw;
+}
+
+/** Roh-Config atomar schreiben (mit Backup der vorherigen Fassung). */
+export function writeConfigAtomic(configPath, raw) {
+  writeFileAtomic(configPath, `${JSON.stringify(raw, null, 2)}\n`);
+}
+
+/**
+ * Textdatei atomar ersetzen: temp-Datei + rename, vorherige Fassung als
+ * `<datei>.bak` (auch für das Zurückschreiben editierter CSV-Zeilen).
+ */
+export function writeFileAtomic(filePath, text) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+
+  fs.writeFileSync(tmpPath, text, "utf8");
+  try {
+    if (fs.existsSync(filePath)) fs.copyFileSync(filePath, `${filePath}.bak`);
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
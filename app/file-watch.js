@@ -0,0 +1,75 @@
+import fs from "fs";
+
+// -----------------------------------------------------------------------------
+// file-watch.js – Dateien beobachten (config.json, rules.json, sources[].path)
+// -----------------------------------------------------------------------------
+// - fs.watchFile (Polling) statt fs.watch: robust gegen "Speichern unter"
+//   von Tabellenkalkulationen (Datei wird ersetzt, nicht beschrieben) und
+//   gegen Dateien, die zeitweise fehlen
+// - Debounce pro Datei: mehrere Schreibvorgänge eines Speicherns => ein Event
+// - Mehrere Keys pro Pfad möglich (zwei Quellen auf derselben CSV)
+// -----------------------------------------------------------------------------
+
+/**
+ * createFileWatcher({ onChange, intervalMs, debounceMs })
+ * - onChange(keys: string[]) wird nach einer Änderung (mtime/size) aufgerufen
+ * - sync(targets): targets = [{ path, key }]; neue Pfade beobachten, alte freigeben
+ */
+export function createFileWatcher({ onChange, intervalMs = 1000, debounceMs = 300 } = {}) {
+  if (typeof onChange !== "function") throw new Error("file-watch: onChange missing");
+
+  // Map<path, { keys: Set<string>, listener, timer }>
+  const watched = new Map();
+
+  function watchPath(path) {
+    const entry = { keys: new Set(), listener: null, timer: null };
+
+    entry.listener = (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        onChange(Array.from(entry.keys));
+      }, debounceMs);
+    };
+
+    fs.watchFile(path, { interval: intervalMs, persistent: false }, entry.listener);
+    watched.set(path, entry);
+    return entry;
+  }
+
+  function unwatchPath(path) {
+    const entry = watched.get(path);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    fs.unwatchFile(path, entry.listener);
+    watched.delete(path);
+  }
+
+  function sync(targets) {
+    const wanted = new Map();
+    for (const t of Array.isArray(targets) ? targets : []) {
+      const p = String(t?.path ?? "").trim();
+      const k = String(t?.key ?? "").trim();
+      if (!p || !k) continue;
+      if (!wanted.has(p)) wanted.set(p, new Set());
+      wanted.get(p).add(k);
+    }
+
+    for (const p of Array.from(watched.keys())) {
+      if (!wanted.has(p)) unwatchPath(p);
+    }
+
+    for (const [p, keys] of wanted) {
+      const entry = watched.get(p) || watchPath(p);
+      entry.keys = keys;
+    }
+  }
+
+  function close() {
+    for (const p of Array.from(watched.keys())) unwatchPath(p);
+  }
+
+  return { sync, close };
+}
@@ -1,8 +1,32 @@
 import express from "express";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import {
+  getSourceModel,
+  modelSummary,
+  aggregateModels,
+  detailPage,
+  invalidateSourceModel,
+  checkSourceFile,
+  checkSourceText,
+} from "./model-service.js";
+import {
+  inspectCsv,
+  editCsvRecord,
+  unknownMappingKeys,
+  CANONICAL_COLUMNS,
+  NUMBER_LOCALES,
+  ALLOCATION_MODES,
+  normalizeNumberLocale,
+  normalizeAllocation,
+  parseNumberStrict,
+} from "./public/assets/js/parse.js";
+import { createFileWatcher } from "./file-watch.js";
+import { readConfigRaw, writeConfigAtomic, writeFileAtomic } from "./config-store.js";
+
 // -----------------------------------------------------------------------------
 // index.js – Minimaler Express-Server für das Dashboard
 // -----------------------------------------------------------------------------
@@ -10,6 +34,21 @@ import { fileURLToPath } from "url";
 // - Statisches Frontend aus /public ausliefern
 // - Konfiguration aus config.json bereitstellen (/api/config)
 // - CSV-Daten pro Quelle liefern (/api/data?sourceId=...)
+// - Kategorisierungsregeln aus rules.json pro Quelle mitliefern (optional)
+// - Serverseitig geparste Modelle / Aggregate / Detail-Seiten
+//   (/api/model, /api/aggregate, /api/details; siehe model-service.js)
+// - Live-Reload: config.json, rules.json und sources[].path beobachten und
+//   Änderungen per Server-Sent Events melden (/api/events)
+// - Quellenverwaltung: sources[] in config.json anlegen/ändern/sortieren/löschen
+//   (/api/sources; atomar geschrieben, vorherige Fassung als config.json.bak)
+// - CSV-Upload: Vorschau + Ablage im Datenverzeichnis (dataDir), danach
+//   automatisch als Quelle registriert (/api/upload)
+// - Zeilen-Editor: einzelne Zellen eines Datensatzes in die CSV zurückschreiben
+//   (/api/rows; Versions-Check gegen parallele Änderungen, Backup als .bak)
+// - Gespeicherte Ansichten: benannte Filter-Presets fürs ganze Team in
+//   views.json (/api/views)
+// - Notizen: Anmerkungen zu Jahr/Kategorie/Quelle in notes.json, dazu die
+//   Jahres-Memos aus PersYears.json (nur lesend) (/api/notes)
 //
 // Hinweis zur Performance/Logs:
 // - loadConfig() wird oft aufgerufen (pro Request). Daher:
@@ -22,23 +61,62 @@ const __dirname = path.dirname(__filename);
 
 // Achtung: Datei liegt im selben Verzeichnis wie index.js
 const configPath = path.join(__dirname, "config.json");
+const rulesPath = path.join(__dirname, "rules.json");
+const viewsPath = path.join(__dirname, "views.json");
+const notesPath = path.join(__dirname, "notes.json");
+
+// Personen-/Jahresdaten (memo je Jahr wird als Notiz angezeigt)
+const persYearsPath = path.join(__dirname, "public", "assets", "data", "PersYears.json");
+
+// Zahlenformat ("de" | "en" | "auto") und Periodenzuordnung ("none" | "prorata"):
+// Listen und Normalisierung kommen aus parse.js (normalizeNumberLocale / normalizeAllocation)
+
+// Spalten-Mapping pro Quelle (Details/Formate: parse.js applyColumnMapping)
+// - Keys: kanonische Spaltennamen (case-insensitiv, werden kanonisch geschrieben)
+// - Unbekannte Keys werden nicht verschluckt: /api/sources lehnt sie ab (400),
+//   eine von Hand editierte config.json scheitert beim Parsen mit klarer Meldung
+// - Values: Spaltenname (string) oder Objekt ({column} | {const} | {from, regex})
+// - Kanonische Spalten: CANONICAL_COLUMNS aus parse.js
+
+function normalizeColumns(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+
+  const out = {};
+  for (const [key, spec] of Object.entries(raw)) {
+    const canon = CANONICAL_COLUMNS.find((c) => c.toLowerCase() === String(key).trim().toLowerCase());
+    if (!canon) {
+      // Durchreichen: parse.js (applyColumnMapping) wirft "unbekannte Spalte"
+      console.warn(`index - [normalizeColumns] unknown column "${key}" (source will not parse)`);
+      out[String(key).trim()] = spec;
+      continue;
+    }
+
+    if (typeof spec === "string" && spec.trim()) out[canon] = spec.trim();
+    else if (spec && typeof spec === "object" && !Array.isArray(spec)) out[canon] = { ...spec };
+  }
+
+  return Object.keys(out).length ? out : null;
+}
 
-function normalizeSource(s, fallbackId) {
+function normalizeSource(s, fallbackId, defaults = {}) {
   const path = String(s?.path || "").trim();
   if (!path) return null;
 
   const id = String(s?.id || fallbackId).trim();
   const label = String(s?.label || id).trim();
+  const numberLocale = normalizeNumberLocale(s?.numberLocale, defaults.numberLocale);
+  const allocation = normalizeAllocation(s?.allocation, defaults.allocation);
+  const columns = normalizeColumns(s?.columns);
 
-  return { id, label, path };
+  return { id, label, path, numberLocale, allocation, columns };
 }
 
-function normalizeSources(rawSources) {
+function normalizeSources(rawSources, defaults = {}) {
   const list = Array.isArray(rawSources) ? rawSources : [];
   const out = [];
 
   for (let i = 0; i < list.length; i++) {
-    const src = normalizeSource(list[i] || {}, `src${i + 1}`);
+    const src = normalizeSource(list[i] || {}, `src${i + 1}`, defaults);
     if (src) out.push(src);
   }
 
@@ -49,10 +127,19 @@ function normalizeSources(rawSources) {
 // 1) Config Normalisierung (vereinfacht)
 // -----------------------------------------------------------------------------
 function normalizeConfig(cfgRaw = {}) {
+  // Globaler Default; jede Quelle darf ihn überschreiben
+  const numberLocale = normalizeNumberLocale(cfgRaw.numberLocale);
+  const allocation = normalizeAllocation(cfgRaw.allocation);
+
   return {
     port: Number(cfgRaw.port) || 3044,
     delimiter: String(cfgRaw.delimiter || ";"),
-    sources: normalizeSources(cfgRaw.sources),
+    numberLocale,
+    allocation,
+    sources: normalizeSources(cfgRaw.sources, { numberLocale, allocation }),
+    // Upload: Ablageort (relativ zu app/) + Größenlimit in MB
+    dataDir: path.resolve(__dirname, String(cfgRaw.dataDir || "data")),
+    uploadMaxBytes: (Number(cfgRaw.uploadMaxMb) > 0 ? Number(cfgRaw.uploadMaxMb) : 20) * 1024 * 1024,
   };
 }
 
@@ -88,13 +175,75 @@ function loadConfig() {
   } catch (_e) {
     // Defensiver Fallback (Server läuft weiter)
     if (!_cachedCfg) {
-      _cachedCfg = { port: 3044, delimiter: ";", sources: [] };
+      // Defaults wie bei leerer config.json (inkl. dataDir / uploadMaxBytes)
+      _cachedCfg = normalizeConfig({});
       _cachedMtimeMs = 0;
     }
     return _cachedCfg;
   }
 }
 
+// -----------------------------------------------------------------------------
+// 2b) Regeln (rules.json) – optional, gleicher mtime-Cache wie config.json
+// - Format/Semantik: public/assets/js/rules.js (wird im Browser kompiliert)
+// - Hier nur Struktur prüfen + pro Quelle filtern (`sources: [id, ...]`)
+// -----------------------------------------------------------------------------
+let _cachedRules = [];
+let _cachedRulesMtimeMs = 0;
+
+function normalizeRules(raw) {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.rules) ? raw.rules : [];
+  const out = [];
+
+  for (let i = 0; i < list.length; i++) {
+    const r = list[i];
+    if (!r || typeof r !== "object" || !r.set || typeof r.set !== "object") {
+      console.warn(`index - [normalizeRules] rule #${i + 1} ignored (missing set)`);
+      continue;
+    }
+
+    const sources = Array.isArray(r.sources)
+      ? r.sources.map((s) => String(s).trim()).filter(Boolean)
+      : [];
+
+    out.push({
+      id: String(r.id || `regel${i + 1}`).trim(),
+      match: r.match && typeof r.match === "object" ? r.match : {},
+      set: r.set,
+      overwrite: r.overwrite === true,
+      sources,
+    });
+  }
+
+  return out;
+}
+
+function loadRules() {
+  try {
+    const st = fs.statSync(rulesPath);
+    if (st.mtimeMs === _cachedRulesMtimeMs) return _cachedRules;
+
+    _cachedRules = normalizeRules(JSON.parse(fs.readFileSync(rulesPath, "utf8")));
+    _cachedRulesMtimeMs = st.mtimeMs;
+
+    console.log(`index - [loadRules] reloaded (${_cachedRules.length} rules)`);
+    return _cachedRules;
+  } catch (e) {
+    // Keine rules.json ist der Normalfall; kaputtes JSON nur melden
+    if (e.code !== "ENOENT") console.warn("index - [loadRules] failed:", e.message);
+    _cachedRules = [];
+    _cachedRulesMtimeMs = 0;
+    return _cachedRules;
+  }
+}
+
+function rulesForSource(sourceId) {
+  // Reihenfolge bleibt erhalten (erste passende Regel gewinnt)
+  return loadRules()
+    .filter((r) => !r.sources.length || r.sources.includes(sourceId))
+    .map(({ sources: _sources, ...rule }) => rule);
+}
+
 // -----------------------------------------------------------------------------
 // 3) Hilfsfunktionen
 // -----------------------------------------------------------------------------
@@ -104,6 +253,49 @@ function resolveSource(cfg, sourceId) {
   return cfg.sources.find((s) => s.id === sourceId) || cfg.sources[0];
 }
 
+function listParam(v) {
+  // ?types=a,b  oder  ?types=a&types=b
+  const parts = Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [];
+  return parts.map((s) => String(s).trim()).filter(Boolean);
+}
+
+function intParam(v) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Modelle für mehrere Quellen laden (model-service Cache).
+ * - Rückgabe: { models: Map<id, model> } oder { status, error }
+ * - CSV nicht auswertbar (parse.js wirft, z.B. offenes Anführungszeichen,
+ *   fehlende Spaltenzuordnung) => 400; Lesefehler (fs, mit e.code) => 500
+ */
+function loadModels(cfg, sourceIds, granularity, dimension) {
+  const models = new Map();
+
+  for (const id of sourceIds) {
+    const src = cfg.sources.find((s) => s.id === id);
+    if (!src?.path) return { status: 400, error: `Unknown source: ${id}` };
+    if (!fs.existsSync(src.path)) return { status: 404, error: `CSV not found: ${src.path}` };
+
+    try {
+      models.set(src.id, getSourceModel(src, {
+        delimiter: cfg.delimiter,
+        rules: rulesForSource(src.id),
+        granularity,
+        dimension,
+      }));
+    } catch (e) {
+      console.warn(`index - [loadModels] ${src.id} failed:`, e.message);
+      return e.code
+        ? { status: 500, error: `CSV not readable (${src.id}): ${e.message}` }
+        : { status: 400, error: `CSV not parseable (${src.id}): ${e.message}` };
+    }
+  }
+
+  return { models };
+}
+
 function pickSourceId(query) {
   // Neu: ?sourceId=...   Alt: ?source=...
   if (typeof query?.sourceId === "string") return query.sourceId;
@@ -120,6 +312,10 @@ const publicDir = path.join(__dirname, "public");
 // Statisches Frontend
 app.use(express.static(publicDir));
 
+// JSON-Bodies für die schreibenden Endpunkte (Fehler => JSON, siehe 5g)
+const JSON_BODY_LIMIT = "1mb";
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
 // Optional: sehr knappes Request-Logging für API-Routen
 app.use("/api", (req, _res, next) => {
   console.log("[REQ]", req.method, req.originalUrl);
@@ -189,16 +385,909 @@ app.get("/api/data", (req, res) => {
   res.json({
     ok: true,
     delimiter: cfg.delimiter,
+    numberLocale: src.numberLocale,
+    allocation: src.allocation,
+    columns: src.columns,
+    rules: rulesForSource(src.id),
     source: { id: src.id, label: src.label },
     csvPath: src.path,
+    version: csvVersion(text), // für Konflikt-Erkennung beim Zeilen-Editor (5d)
     text,
   });
 });
 
+// Modell einer Quelle (serverseitig geparst, ohne Rohtext und Detailzeilen)
+app.get("/api/model", (req, res) => {
+  const cfg = loadConfig();
+  const src = resolveSource(cfg, pickSourceId(req.query));
+  if (!src) {
+    return res.status(400).json({ ok: false, error: "No sources configured. Add sources[] in app/config.json." });
+  }
+
+  const loaded = loadModels(cfg, [src.id], req.query.granularity, req.query.dimension);
+  if (loaded.error) return res.status(loaded.status).json({ ok: false, error: loaded.error });
+
+  res.json({
+    ok: true,
+    source: { id: src.id, label: src.label },
+    ...modelSummary(loaded.models.get(src.id)),
+  });
+});
+
+// Aggregat über Quellen: ?from=&to=&types=&cats=&sources=&mode=&granularity=&dimension=
+app.get("/api/aggregate", (req, res) => {
+  const cfg = loadConfig();
+  const sourceIds = listParam(req.query.sources);
+  const ids = sourceIds.length ? sourceIds : cfg.sources.map((s) => s.id);
+  if (!ids.length) {
+    return res.status(400).json({ ok: false, error: "No sources configured. Add sources[] in app/config.json." });
+  }
+
+  const loaded = loadModels(cfg, ids, req.query.granularity, req.query.dimension);
+  if (loaded.error) return res.status(loaded.status).json({ ok: false, error: loaded.error });
+
+  res.json({
+    ok: true,
+    sources: ids,
+    ...aggregateModels(loaded.models, {
+      from: intParam(req.query.from),
+      to: intParam(req.query.to),
+      types: listParam(req.query.types),
+      cats: listParam(req.query.cats),
+      mode: req.query.mode,
+    }),
+  });
+});
+
+// Detailzeilen seitenweise: ?key=<yearKey||cat||type>&sources=&page=&pageSize=&granularity=&dimension=
+app.get("/api/details", (req, res) => {
+  const cfg = loadConfig();
+  const key = String(req.query.key ?? "");
+  if (!key) return res.status(400).json({ ok: false, error: "Missing key (yearKey||cat||type)." });
+
+  const sourceIds = listParam(req.query.sources);
+  const ids = sourceIds.length ? sourceIds : cfg.sources.map((s) => s.id);
+
+  const loaded = loadModels(cfg, ids, req.query.granularity, req.query.dimension);
+  if (loaded.error) return res.status(loaded.status).json({ ok: false, error: loaded.error });
+
+  res.json({
+    ok: true,
+    sources: ids,
+    ...detailPage(loaded.models, key, intParam(req.query.page) ?? 1, intParam(req.query.pageSize) ?? undefined),
+  });
+});
+
+// -----------------------------------------------------------------------------
+// 5a) Quellenverwaltung (config.json sources[])
+// - Geschrieben wird die ROH-Config (config-store.js); normalisiert wird erst beim Lesen
+// - Jede neue/geänderte Quelle wird probegeparst, bevor config.json angefasst wird
+// - Live-Reload (5b) meldet die Änderung anschließend an alle Clients
+// -----------------------------------------------------------------------------
+const SOURCE_ID_RE = /^[A-Za-z0-9_-]+$/;
+const SOURCE_FIELDS = ["id", "label", "path", "numberLocale", "allocation", "columns"];
+
+function rawSourcesOf(raw) {
+  return Array.isArray(raw.sources) ? raw.sources.slice() : [];
+}
+
+/**
+ * Eingabe einer Quelle prüfen (POST: komplett, PUT: Patch auf bestehende Quelle).
+ * - Rückgabe: { source } (Roh-Eintrag für config.json + check-Bericht) oder { error }
+ */
+function validateSourceInput(raw, input, current = null) {
+  const body = input && typeof input === "object" ? input : {};
+  const next = { ...(current || {}) };
+  for (const f of SOURCE_FIELDS) {
+    if (body[f] !== undefined) next[f] = body[f];
+  }
+
+  next.id = String(next.id ?? "").trim();
+  next.label = String(next.label ?? "").trim() || next.id;
+  next.path = String(next.path ?? "").trim();
+
+  // Leere Optionen => Key entfernen (globaler Default aus config.json greift)
+  for (const f of ["numberLocale", "allocation", "columns"]) {
+    if (next[f] == null || next[f] === "") delete next[f];
+  }
+
+  if (!SOURCE_ID_RE.test(next.id)) return { error: "Invalid id (letters, digits, - and _ only)." };
+
+  const taken = rawSourcesOf(raw).some((s) => String(s?.id ?? "").trim() === next.id && s !== current);
+  if (taken) return { error: `Source id already exists: ${next.id}` };
+
+  if (!next.path) return { error: "Missing path." };
+  if (!fs.existsSync(next.path) || !fs.statSync(next.path).isFile()) {
+    return { error: `CSV not found: ${next.path}` };
+  }
+
+  if (next.numberLocale != null && !NUMBER_LOCALES.has(next.numberLocale)) {
+    return { error: `Invalid numberLocale: ${next.numberLocale}` };
+  }
+  if (next.allocation != null && !ALLOCATION_MODES.includes(next.allocation)) {
+    return { error: `Invalid allocation: ${next.allocation}` };
+  }
+  if (next.columns != null && (typeof next.columns !== "object" || Array.isArray(next.columns))) {
+    return { error: "Invalid columns (object expected)." };
+  }
+  const unknownColumns = unknownMappingKeys(next.columns);
+  if (unknownColumns.length) {
+    return { error: `Invalid columns: unknown key(s) ${unknownColumns.join(", ")} (allowed: ${CANONICAL_COLUMNS.join(", ")}).` };
+  }
+
+  // Probe-Parse mit denselben Defaults, die loadConfig() anwenden würde
+  const cfg = normalizeConfig({ ...raw, sources: [next] });
+  try {
+    const check = checkSourceFile(cfg.sources[0], { delimiter: cfg.delimiter, rules: rulesForSource(next.id) });
+    return { source: next, check };
+  } catch (e) {
+    return { error: `CSV not parseable: ${e.message}` };
+  }
+}
+
+function saveSources(raw, sources) {
+  writeConfigAtomic(configPath, { ...raw, sources });
+  console.log(`index - [sources] config.json written (${sources.length} sources)`);
+}
+
+function sourceListResponse(sources) {
+  return sources.map((s) => ({
+    ...s,
+    exists: !!s?.path && fs.existsSync(String(s.path)),
+  }));
+}
+
+// Quellen roh (inkl. Pfad/Optionen) für die Verwaltung
+app.get("/api/sources", (_req, res) => {
+  try {
+    res.json({ ok: true, sources: sourceListResponse(rawSourcesOf(readConfigRaw(configPath))) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Quelle anlegen (wird angehängt)
+app.post("/api/sources", (req, res) => {
+  try {
+    const raw = readConfigRaw(configPath);
+    const { source, check, error } = validateSourceInput(raw, req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    saveSources(raw, rawSourcesOf(raw).concat(source));
+    res.status(201).json({ ok: true, source, check });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Reihenfolge setzen: { order: [id, ...] } (muss alle Quellen genau einmal enthalten)
+app.put("/api/sources", (req, res) => {
+  try {
+    const raw = readConfigRaw(configPath);
+    const sources = rawSourcesOf(raw);
+    const order = Array.isArray(req.body?.order) ? req.body.order.map((id) => String(id).trim()) : [];
+
+    const byId = new Map(sources.map((s) => [String(s?.id ?? "").trim(), s]));
+    const complete = order.length === sources.length && new Set(order).size === order.length;
+    if (!complete || !order.every((id) => byId.has(id))) {
+      return res.status(400).json({ ok: false, error: "order must list every source id exactly once." });
+    }
+
+    const next = order.map((id) => byId.get(id));
+    saveSources(raw, next);
+    res.json({ ok: true, sources: sourceListResponse(next) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Quelle ändern (Umbenennen via body.id, Label, Pfad, Optionen)
+app.put("/api/sources/:id", (req, res) => {
+  try {
+    const raw = readConfigRaw(configPath);
+    const sources = rawSourcesOf(raw);
+    const idx = sources.findIndex((s) => String(s?.id ?? "").trim() === req.params.id);
+    if (idx < 0) return res.status(404).json({ ok: false, error: `Unknown source: ${req.params.id}` });
+
+    const { source, check, error } = validateSourceInput(raw, req.body, sources[idx]);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    sources[idx] = source;
+    saveSources(raw, sources);
+    if (source.id !== req.params.id) invalidateSourceModel(req.params.id);
+    res.json({ ok: true, source, check });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Quelle entfernen (CSV bleibt unangetastet)
+app.delete("/api/sources/:id", (req, res) => {
+  try {
+    const raw = readConfigRaw(configPath);
+    const sources = rawSourcesOf(raw);
+    const next = sources.filter((s) => String(s?.id ?? "").trim() !== req.params.id);
+    if (next.length === sources.length) {
+      return res.status(404).json({ ok: false, error: `Unknown source: ${req.params.id}` });
+    }
+
+    saveSources(raw, next);
+    invalidateSourceModel(req.params.id);
+    res.json({ ok: true, sources: sourceListResponse(next) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// 5b) Live-Reload (Server-Sent Events)
+// - Event "change": { kind: "source" | "config" | "rules" | "views", sourceIds: string[] }
+// - Client lädt nur die genannten Quellen neu (Filter-State bleibt)
+// -----------------------------------------------------------------------------
+const SSE_HEARTBEAT_MS = 25000;
+const sseClients = new Set();
+
+app.get("/api/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  sseClients.add(res);
+  req.on("close", () => sseClients.delete(res));
+});
+
+function broadcast(event, payload) {
+  const msg = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const res of sseClients) res.write(msg);
+}
+
+// Proxies/Browser schließen stille Verbindungen: Kommentarzeile als Heartbeat
+setInterval(() => {
+  for (const res of sseClients) res.write(": ping\n\n");
+}, SSE_HEARTBEAT_MS).unref();
+
+// Stand der Quellen beim letzten Sync (für den Diff bei config.json-Änderungen)
+let _watchedSourceSigs = new Map();
+
+function sourceSignatures(cfg) {
+  // delimiter gilt global => Teil jeder Quellen-Signatur
+  return new Map(cfg.sources.map((s) => [s.id, JSON.stringify({ ...s, delimiter: cfg.delimiter })]));
+}
+
+function syncWatchTargets(cfg) {
+  _watchedSourceSigs = sourceSignatures(cfg);
+  watcher.sync([
+    { path: configPath, key: "config" },
+    { path: rulesPath, key: "rules" },
+    { path: viewsPath, key: "views" },
+    { path: notesPath, key: "notes" },
+    { path: persYearsPath, key: "notes" },
+    ...cfg.sources.filter((s) => s.path).map((s) => ({ path: s.path, key: `source:${s.id}` })),
+  ]);
+}
+
+function onWatchedChange(keys) {
+  if (keys.includes("config")) {
+    const prev = _watchedSourceSigs;
+    const cfg = loadConfig();
+    const next = sourceSignatures(cfg);
+
+    const changed = [];
+    for (const [id, sig] of next) if (prev.get(id) !== sig) changed.push(id);
+    for (const id of prev.keys()) {
+      if (next.has(id)) continue;
+      changed.push(id);
+      invalidateSourceModel(id);
+    }
+
+    syncWatchTargets(cfg);
+    console.log(`index - [watch] config changed (sources: ${changed.join(", ") || "-"})`);
+    broadcast("change", { kind: "config", sourceIds: changed });
+  }
+
+  if (keys.includes("rules")) {
+    console.log("index - [watch] rules changed");
+    broadcast("change", { kind: "rules", sourceIds: loadConfig().sources.map((s) => s.id) });
+  }
+
+  if (keys.includes("views")) {
+    console.log("index - [watch] views changed");
+    broadcast("change", { kind: "views", sourceIds: [] });
+  }
+
+  if (keys.includes("notes")) {
+    console.log("index - [watch] notes changed");
+    broadcast("change", { kind: "notes", sourceIds: [] });
+  }
+
+  const sourceIds = keys.filter((k) => k.startsWith("source:")).map((k) => k.slice("source:".length));
+  if (sourceIds.length) {
+    console.log(`index - [watch] csv changed (${sourceIds.join(", ")})`);
+    broadcast("change", { kind: "source", sourceIds });
+  }
+}
+
+const watcher = createFileWatcher({ onChange: onWatchedChange });
+
+// -----------------------------------------------------------------------------
+// 5c) CSV-Upload (Drag & Drop im Dashboard)
+// - Body: CSV als Text (Content-Type beliebig, z.B. text/csv), Limit uploadMaxMb
+// - /api/upload/preview prüft nur (Header wie headerIndex(), Probe-Parse) und
+//   speichert nichts; /api/upload legt die Datei in dataDir ab und registriert
+//   sie über denselben Weg wie POST /api/sources
+// -----------------------------------------------------------------------------
+function uploadBody(req, res, next) {
+  const { uploadMaxBytes } = loadConfig();
+  const parse = express.text({ type: () => true, limit: uploadMaxBytes });
+
+  parse(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === "entity.too.large") {
+      return res.status(413).json({ ok: false, error: `Upload too large (max ${uploadMaxBytes / 1024 / 1024} MB).` });
+    }
+    res.status(400).json({ ok: false, error: `Invalid upload: ${err.message}` });
+  });
+}
+
+/** Dateiname aus ?name= entschärfen (kein Pfad, nur [A-Za-z0-9._-], Endung .csv). */
+function uploadFileName(name) {
+  const base = path
+    .basename(String(name ?? "").trim())
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .replace(/^[._]+/, "");
+  if (!base) return null;
+  return /\.csv$/i.test(base) ? base : `${base}.csv`;
+}
+
+/** Freie Quellen-ID aus dem Dateinamen ableiten (betrieb, betrieb-2, …). */
+function suggestSourceId(raw, fileName) {
+  const stem =
+    fileName
+      .replace(/\.csv$/i, "")
+      .replace(/[^A-Za-z0-9_-]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase() || "upload";
+
+  const taken = new Set(rawSourcesOf(raw).map((s) => String(s?.id ?? "").trim()));
+  let id = stem;
+  for (let n = 2; taken.has(id); n++) id = `${stem}-${n}`;
+  return id;
+}
+
+/**
+ * Upload-Text prüfen: Header (inspectCsv) + Probe-Parse mit den Defaults der Config.
+ * - Rückgabe: { preview, check } oder { error, preview? }
+ */
+function inspectUpload(raw, text, source) {
+  const cfg = normalizeConfig({ ...raw, sources: [{ ...source, path: "(upload)" }] });
+
+  let preview = null;
+  try {
+    preview = inspectCsv(text, cfg.delimiter);
+  } catch (e) {
+    return { error: `CSV header invalid: ${e.message}` };
+  }
+
+  try {
+    const check = checkSourceText(cfg.sources[0], text, { delimiter: cfg.delimiter, rules: rulesForSource(source.id) });
+    return { preview, check };
+  } catch (e) {
+    return { error: `CSV not parseable: ${e.message}`, preview };
+  }
+}
+
+function uploadOptions(query) {
+  const out = {};
+  for (const f of ["numberLocale", "allocation"]) {
+    const v = String(query[f] ?? "").trim();
+    if (v) out[f] = v;
+  }
+  return out;
+}
+
+// Vorschau: ?name=<datei.csv>[&numberLocale=&allocation=]
+app.post("/api/upload/preview", uploadBody, (req, res) => {
+  try {
+    const fileName = uploadFileName(req.query.name);
+    if (!fileName) return res.status(400).json({ ok: false, error: "Missing file name (?name=)." });
+
+    const raw = readConfigRaw(configPath);
+    const { dataDir } = normalizeConfig(raw);
+    const text = String(req.body ?? "");
+    const suggestedId = suggestSourceId(raw, fileName);
+
+    const { preview, check, error } = inspectUpload(raw, text, { id: suggestedId, ...uploadOptions(req.query) });
+    if (error) return res.status(400).json({ ok: false, error, preview });
+
+    res.json({
+      ok: true,
+      name: fileName,
+      size: Buffer.byteLength(text, "utf8"),
+      exists: fs.existsSync(path.join(dataDir, fileName)),
+      suggestedId,
+      preview,
+      check,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Übernehmen: ?name=&id=&label=[&numberLocale=&allocation=&overwrite=1]
+// - overwrite=1 ersetzt eine vorhandene Datei; ist sie schon als Quelle
+//   eingetragen, bleibt config.json unverändert (Live-Reload lädt neu)
+app.post("/api/upload", uploadBody, (req, res) => {
+  try {
+    const fileName = uploadFileName(req.query.name);
+    if (!fileName) return res.status(400).json({ ok: false, error: "Missing file name (?name=)." });
+
+    const raw = readConfigRaw(configPath);
+    const { dataDir } = normalizeConfig(raw);
+    const text = String(req.body ?? "");
+    const target = path.join(dataDir, fileName);
+    const existed = fs.existsSync(target);
+
+    if (existed && String(req.query.overwrite ?? "") !== "1") {
+      return res.status(409).json({ ok: false, error: `File already exists: ${fileName}` });
+    }
+
+    const input = {
+      id: String(req.query.id ?? "").trim() || suggestSourceId(raw, fileName),
+      label: String(req.query.label ?? "").trim(),
+      path: target,
+      ...uploadOptions(req.query),
+    };
+
+    const inspected = inspectUpload(raw, text, input);
+    if (inspected.error) return res.status(400).json({ ok: false, error: inspected.error });
+
+    // Erst in eine temp-Datei schreiben: vorhandene Dateien bleiben bis zum Erfolg unberührt
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tmpPath = `${target}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, text, "utf8");
+
+    const registered = rawSourcesOf(raw).find((s) => String(s?.path ?? "").trim() === target);
+    if (registered) {
+      fs.renameSync(tmpPath, target);
+      console.log(`index - [upload] replaced ${target} (source ${registered.id})`);
+      return res.json({ ok: true, source: registered, check: inspected.check, replaced: true });
+    }
+
+    const { source, check, error } = validateSourceInput(raw, { ...input, path: tmpPath });
+    if (error) {
+      fs.rmSync(tmpPath, { force: true });
+      return res.status(400).json({ ok: false, error });
+    }
+
+    fs.renameSync(tmpPath, target);
+    source.path = target;
+    saveSources(raw, rawSourcesOf(raw).concat(source));
+    console.log(`index - [upload] stored ${target} as source ${source.id}`);
+    res.status(201).json({ ok: true, source, check });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// 5d) Zeilen-Editor (Detail-/CTX-Tabelle → CSV)
+// - Ein Datensatz wird über Quelle + physische Startzeile (_line) adressiert
+// - Konflikt-Erkennung: der Client schickt die Version (SHA-1) der CSV, die er
+//   über /api/data geladen hat; passt sie nicht mehr => 409, nichts geschrieben
+// - Nur die geänderten Zellen werden ersetzt (parse.js editCsvRecord); die
+//   Datei wird atomar geschrieben, vorherige Fassung als <csv>.bak
+// -----------------------------------------------------------------------------
+const EDITABLE_COLUMNS = [
+  "Gegenpartei", "Kostenart", "Kategorie", "Buchungstyp",
+  "Betrag", "Menge", "Einheit", "Status", "Memo",
+];
+
+function csvVersion(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+/**
+ * Probe-Parse des editierten Texts auswerten (check aus checkSourceText mit line).
+ * - Betrag/Menge müssen im Zahlenformat der Spalte lesbar sein (numberLocales)
+ * - Der Datensatz darf keine "dropped"-Diagnose bekommen (z.B. Betrag leer)
+ * - Rückgabe: Fehlermeldung oder null
+ */
+function editRejection(changes, check) {
+  for (const column of ["Betrag", "Menge"]) {
+    if (!(column in changes)) continue;
+    const value = String(changes[column] ?? "").trim();
+    if (!value && column === "Menge") continue;
+
+    const locale = check.numberLocales?.[column] || "en";
+    if (!Number.isFinite(parseNumberStrict(value, locale))) {
+      return `${column} "${value}" is not a number in the source's format (${locale}).`;
+    }
+  }
+
+  const dropped = (check.lineDiagnostics || []).find((d) => d.action === "dropped");
+  if (dropped) return `Edit would drop the row on import (${dropped.column}: ${dropped.reason}).`;
+  return null;
+}
+
+// Body: { version, changes: { Kategorie: "...", Betrag: "...", ... } }
+app.put("/api/rows/:sourceId/:line", (req, res) => {
+  try {
+    const cfg = loadConfig();
+    const src = cfg.sources.find((s) => s.id === req.params.sourceId);
+    if (!src) return res.status(404).json({ ok: false, error: `Unknown source: ${req.params.sourceId}` });
+    if (!fs.existsSync(src.path)) return res.status(404).json({ ok: false, error: `CSV not found: ${src.path}` });
+
+    const line = intParam(req.params.line);
+    if (!(line > 1)) return res.status(400).json({ ok: false, error: "Invalid line." });
+
+    const changes = req.body?.changes;
+    if (!changes || typeof changes !== "object" || Array.isArray(changes) || !Object.keys(changes).length) {
+      return res.status(400).json({ ok: false, error: "Missing changes." });
+    }
+    const notEditable = Object.keys(changes).find((c) => !EDITABLE_COLUMNS.includes(c));
+    if (notEditable) return res.status(400).json({ ok: false, error: `Column not editable: ${notEditable}` });
+
+    const text = fs.readFileSync(src.path, "utf8");
+    const version = csvVersion(text);
+    if (String(req.body?.version ?? "") !== version) {
+      return res.status(409).json({ ok: false, error: "CSV changed since it was loaded; reload and retry.", version });
+    }
+
+    let edited = null;
+    try {
+      edited = editCsvRecord(text, cfg.delimiter, line, changes, { columns: src.columns });
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: `Edit failed: ${e.message}` });
+    }
+
+    if (edited.text === text) {
+      return res.json({ ok: true, version, before: edited.before, after: edited.after, changed: false });
+    }
+
+    let check = null;
+    try {
+      check = checkSourceText(src, edited.text, { delimiter: cfg.delimiter, rules: rulesForSource(src.id), line });
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: `Edit would make the CSV unparseable: ${e.message}` });
+    }
+
+    // Auch Zeilen ablehnen, die der Parser nach dem Speichern still verwerfen würde
+    const rejected = editRejection(changes, check);
+    if (rejected) return res.status(400).json({ ok: false, error: rejected, check });
+
+    writeFileAtomic(src.path, edited.text);
+    console.log(`index - [rows] ${src.id}:${line} updated (${Object.keys(changes).join(", ")})`);
+    res.json({ ok: true, version: csvVersion(edited.text), before: edited.before, after: edited.after, changed: true, check });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// 5e) Gespeicherte Ansichten (views.json)
+// - Benannte Presets ("Fahrzeugkosten 2020–2025"), geteilt für alle Clients
+// - Eine Ansicht ist der Query-String aus view-state.js (encodeViewState), der
+//   Server prüft nur Form/Länge, nicht den Inhalt
+// - Atomar geschrieben (vorherige Fassung als views.json.bak); Änderungen
+//   meldet der Live-Reload (5b) als kind "views"
+// -----------------------------------------------------------------------------
+const VIEW_NAME_MAX = 80;
+const VIEW_QUERY_MAX = 8000;
+
+/** Roh-Liste lesen; fehlende Datei => keine Ansichten. */
+function readViews() {
+  if (!fs.existsSync(viewsPath)) return [];
+
+  const raw = JSON.parse(fs.readFileSync(viewsPath, "utf8"));
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.views) ? raw.views : null;
+  if (!list) throw new Error("views.json must contain { views: [...] }");
+  return list.filter((v) => v && typeof v === "object" && typeof v.id === "string");
+}
+
+function saveViews(views) {
+  writeFileAtomic(viewsPath, `${JSON.stringify({ views }, null, 2)}\n`);
+  console.log(`index - [views] views.json written (${views.length} views)`);
+}
+
+/** Freie Ansichts-ID aus dem Namen ableiten (fahrzeugkosten-2020-2025, …-2). */
+function suggestViewId(views, name) {
+  const stem =
+    name
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^A-Za-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase() || "ansicht";
+
+  const taken = new Set(views.map((v) => v.id));
+  let id = stem;
+  for (let n = 2; taken.has(id); n++) id = `${stem}-${n}`;
+  return id;
+}
+
+/**
+ * Eingabe einer Ansicht prüfen (POST: komplett, PUT: Patch auf bestehende Ansicht).
+ * - Rückgabe: { view } oder { error, status }
+ */
+function validateViewInput(views, input, current = null) {
+  const body = input && typeof input === "object" ? input : {};
+  const next = { ...(current || {}) };
+
+  if (body.name !== undefined) next.name = String(body.name ?? "").trim();
+  if (body.query !== undefined) next.query = String(body.query ?? "").trim().replace(/^[#?]/, "");
+
+  if (!next.name) return { error: "Missing name.", status: 400 };
+  if (next.name.length > VIEW_NAME_MAX) return { error: `Name too long (max ${VIEW_NAME_MAX}).`, status: 400 };
+  if (typeof next.query !== "string") return { error: "Missing query.", status: 400 };
+  if (next.query.length > VIEW_QUERY_MAX) return { error: `Query too long (max ${VIEW_QUERY_MAX}).`, status: 400 };
+
+  const lower = next.name.toLowerCase();
+  const taken = views.some((v) => v !== current && String(v.name ?? "").toLowerCase() === lower);
+  if (taken) return { error: `View name already exists: ${next.name}`, status: 409 };
+
+  return {
+    view: {
+      id: current ? current.id : suggestViewId(views, next.name),
+      name: next.name,
+      query: next.query,
+      updatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+app.get("/api/views", (_req, res) => {
+  try {
+    res.json({ ok: true, views: readViews() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Ansicht anlegen: { name, query } (ID wird aus dem Namen abgeleitet)
+app.post("/api/views", (req, res) => {
+  try {
+    const views = readViews();
+    const { view, error, status } = validateViewInput(views, req.body);
+    if (error) return res.status(status).json({ ok: false, error });
+
+    saveViews(views.concat(view));
+    res.status(201).json({ ok: true, view });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Ansicht ändern: { name?, query? } (ID bleibt beim Umbenennen erhalten)
+app.put("/api/views/:id", (req, res) => {
+  try {
+    const views = readViews();
+    const idx = views.findIndex((v) => v.id === req.params.id);
+    if (idx < 0) return res.status(404).json({ ok: false, error: `Unknown view: ${req.params.id}` });
+
+    const { view, error, status } = validateViewInput(views, req.body, views[idx]);
+    if (error) return res.status(status).json({ ok: false, error });
+
+    views[idx] = view;
+    saveViews(views);
+    res.json({ ok: true, view });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/views/:id", (req, res) => {
+  try {
+    const views = readViews();
+    const next = views.filter((v) => v.id !== req.params.id);
+    if (next.length === views.length) {
+      return res.status(404).json({ ok: false, error: `Unknown view: ${req.params.id}` });
+    }
+
+    saveViews(next);
+    res.json({ ok: true, views: next });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// 5f) Notizen (notes.json + PersYears.json)
+// - Notiz = Text an einer Koordinate { year, cat, sourceId }; cat/sourceId leer
+//   => gilt für alle Kategorien bzw. Quellen ("Insolvenz ab Q3" hängt am Jahr)
+// - Jahres-Memos aus PersYears.json (years[YYYY].memo) kommen schreibgeschützt
+//   dazu (origin "PersYears", ID "persyears-YYYY"); bearbeitet wird dort
+// - Atomar geschrieben (vorherige Fassung als notes.json.bak); Änderungen an
+//   beiden Dateien meldet der Live-Reload (5b) als kind "notes"
+// -----------------------------------------------------------------------------
+const NOTE_TEXT_MAX = 1000;
+const NOTE_YEAR_MIN = 1900;
+const NOTE_YEAR_MAX = 2100;
+
+/** Eigene Notizen lesen; fehlende Datei => keine Notizen. */
+function readNotes() {
+  if (!fs.existsSync(notesPath)) return [];
+
+  const raw = JSON.parse(fs.readFileSync(notesPath, "utf8"));
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.notes) ? raw.notes : null;
+  if (!list) throw new Error("notes.json must contain { notes: [...] }");
+  return list.filter((n) => n && typeof n === "object" && typeof n.id === "string");
+}
+
+function saveNotes(notes) {
+  writeFileAtomic(notesPath, `${JSON.stringify({ notes }, null, 2)}\n`);
+  console.log(`index - [notes] notes.json written (${notes.length} notes)`);
+}
+
+/**
+ * Jahres-Memos aus PersYears.json als Notizen (schreibgeschützt).
+ * - Datei fehlt/ungültig => keine Memos (nur geloggt, /api/notes bleibt nutzbar)
+ */
+function readPersYearsNotes() {
+  if (!fs.existsSync(persYearsPath)) return [];
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(persYearsPath, "utf8"));
+    const years = raw?.years && typeof raw.years === "object" ? raw.years : {};
+
+    return Object.entries(years)
+      .map(([year, entry]) => ({ year: Number(year), text: String(entry?.memo ?? "").trim() }))
+      .filter((n) => Number.isInteger(n.year) && n.text)
+      .map((n) => ({
+        id: `persyears-${n.year}`,
+        year: n.year,
+        cat: "",
+        sourceId: "",
+        text: n.text,
+        origin: "PersYears",
+        readonly: true,
+      }));
+  } catch (e) {
+    console.warn(`index - [notes] PersYears.json ignored: ${e.message}`);
+    return [];
+  }
+}
+
+/** Nächste freie ID (note-1, note-2, …). */
+function nextNoteId(notes) {
+  let max = 0;
+  for (const n of notes) {
+    const m = /^note-(\d+)$/.exec(n.id);
+    if (m) max = Math.max(max, Number(m[1]));
+  }
+  return `note-${max + 1}`;
+}
+
+/**
+ * Eingabe einer Notiz prüfen (POST: komplett, PUT: Patch auf bestehende Notiz).
+ * - sourceId muss (wenn gesetzt) eine konfigurierte Quelle sein
+ * - Rückgabe: { note } oder { error, status }
+ */
+function validateNoteInput(notes, input, current = null) {
+  const body = input && typeof input === "object" ? input : {};
+  const next = { ...(current || {}) };
+
+  if (body.year !== undefined) next.year = Number(body.year);
+  if (body.cat !== undefined) next.cat = String(body.cat ?? "").trim();
+  if (body.sourceId !== undefined) next.sourceId = String(body.sourceId ?? "").trim();
+  if (body.text !== undefined) next.text = String(body.text ?? "").trim();
+
+  if (!Number.isInteger(next.year) || next.year < NOTE_YEAR_MIN || next.year > NOTE_YEAR_MAX) {
+    return { error: `Invalid year (${NOTE_YEAR_MIN}–${NOTE_YEAR_MAX}).`, status: 400 };
+  }
+  if (!next.text) return { error: "Missing text.", status: 400 };
+  if (next.text.length > NOTE_TEXT_MAX) return { error: `Text too long (max ${NOTE_TEXT_MAX}).`, status: 400 };
+
+  const sourceId = next.sourceId || "";
+  if (sourceId && !loadConfig().sources.some((s) => s.id === sourceId)) {
+    return { error: `Unknown source: ${sourceId}`, status: 400 };
+  }
+
+  return {
+    note: {
+      id: current ? current.id : nextNoteId(notes),
+      year: next.year,
+      cat: next.cat || "",
+      sourceId,
+      text: next.text,
+      updatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/** Antwort für IDs, die nicht in notes.json stehen (PersYears-Memo => 403). */
+function noteMissing(id) {
+  if (readPersYearsNotes().some((n) => n.id === id)) {
+    return { status: 403, error: `Note is read-only (edit PersYears.json): ${id}` };
+  }
+  return { status: 404, error: `Unknown note: ${id}` };
+}
+
+app.get("/api/notes", (_req, res) => {
+  try {
+    res.json({ ok: true, notes: readPersYearsNotes().concat(readNotes()) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Notiz anlegen: { year, cat?, sourceId?, text }
+app.post("/api/notes", (req, res) => {
+  try {
+    const notes = readNotes();
+    const { note, error, status } = validateNoteInput(notes, req.body);
+    if (error) return res.status(status).json({ ok: false, error });
+
+    saveNotes(notes.concat(note));
+    res.status(201).json({ ok: true, note });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Notiz ändern: { year?, cat?, sourceId?, text? } (PersYears-Memos sind schreibgeschützt)
+app.put("/api/notes/:id", (req, res) => {
+  try {
+    const notes = readNotes();
+    const idx = notes.findIndex((n) => n.id === req.params.id);
+    if (idx < 0) {
+      const { status, error } = noteMissing(req.params.id);
+      return res.status(status).json({ ok: false, error });
+    }
+
+    const { note, error, status } = validateNoteInput(notes, req.body, notes[idx]);
+    if (error) return res.status(status).json({ ok: false, error });
+
+    notes[idx] = note;
+    saveNotes(notes);
+    res.json({ ok: true, note });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/notes/:id", (req, res) => {
+  try {
+    const notes = readNotes();
+    const next = notes.filter((n) => n.id !== req.params.id);
+    if (next.length === notes.length) {
+      const { status, error } = noteMissing(req.params.id);
+      return res.status(status).json({ ok: false, error });
+    }
+
+    saveNotes(next);
+    res.json({ ok: true, notes: next });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// 5g) Fehler aus express.json (kaputtes JSON, Body zu groß) als JSON melden
+// - Sonst liefert Express eine HTML-Fehlerseite; api.js (sendJson) liest `error`
+// -----------------------------------------------------------------------------
+app.use("/api", (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err?.type === "entity.parse.failed") {
+    return res.status(400).json({ ok: false, error: `Invalid JSON body: ${err.message}` });
+  }
+  if (err?.type === "entity.too.large") {
+    return res.status(413).json({ ok: false, error: `Request body too large (max ${JSON_BODY_LIMIT}).` });
+  }
+
+  console.error(`index - [api] ${req.method} ${req.originalUrl} failed:`, err);
+  res.status(err?.status || 500).json({ ok: false, error: err?.message || "Internal error" });
+});
+
 // -----------------------------------------------------------------------------
 // 6) Server Start
 // -----------------------------------------------------------------------------
 const cfg = loadConfig();
+syncWatchTargets(cfg);
 app.listen(cfg.port, () => {
   console.log(`[server] listening on http://localhost:${cfg.port}`);
   console.log(`[server] serving static from ${publicDir}`);
@@ -0,0 +1,220 @@
+import fs from "fs";
+
+import { buildModel, normalizeDimension, DETAIL_LIMIT_ALL } from "./public/assets/js/parse.js";
+import { mergeModels } from "./public/assets/js/api.js";
+import { normalizeGranularity } from "./public/assets/js/period.js";
+import {
+  makeVisibleModel,
+  computeTotalsForVisibleRange,
+  computePeriodTotals,
+  getVisibleYearRange,
+} from "./public/assets/js/view-derivations.js";
+
+// -----------------------------------------------------------------------------
+// model-service.js – Server-seitiges Parsen + Aggregieren
+// -----------------------------------------------------------------------------
+// Aufgaben:
+// - Dieselben Module wie im Browser (parse.js, mergeModels, view-derivations.js),
+//   damit Server- und Client-Ergebnis identisch sind
+// - Modell-Cache pro (Quelle, Granularität, Dimension): gültig, solange mtime/size der CSV
+//   und die Parse-Optionen (delimiter, numberLocale, allocation, columns, rules)
+//   gleich bleiben – analog zu loadConfig()
+// - Antworten ohne Rohtext: nur Bars, Summen und Detail-Seiten
+// - Modelle ohne detailLimit: /api/details blättert über alle Zeilen eines Schlüssels
+// -----------------------------------------------------------------------------
+
+const DETAIL_PAGE_SIZE = 100;
+const DETAIL_PAGE_SIZE_MAX = 1000;
+
+// Map<`${sourceId}|${granularity}|${dimension}`, { sig, model }>
+const _modelCache = new Map();
+
+/**
+ * getSourceModel(src, opts)
+ * - src: normalisierte Quelle aus config.json ({ id, path, numberLocale, allocation, columns })
+ * - opts: { delimiter, rules, granularity, dimension }
+ * - Wirft bei fehlender CSV (Aufrufer mappt auf 404)
+ */
+export function getSourceModel(src, { delimiter = ";", rules = [], granularity = "year", dimension } = {}) {
+  const g = normalizeGranularity(granularity);
+  const dim = normalizeDimension(dimension);
+  const st = fs.statSync(src.path);
+
+  const buildOpts = {
+    sourceId: src.id,
+    numberLocale: src.numberLocale,
+    allocation: src.allocation,
+    columns: src.columns,
+    rules,
+  };
+
+  const sig = `${st.mtimeMs}|${st.size}|${delimiter}|${JSON.stringify(buildOpts)}`;
+  const cacheKey = `${src.id}|${g}|${dim}`;
+
+  const hit = _modelCache.get(cacheKey);
+  if (hit && hit.sig === sig) return hit.model;
+
+  const t0 = Date.now();
+  const text = fs.readFileSync(src.path, "utf8");
+  const model = buildModel(text, delimiter, {
+    ...buildOpts,
+    granularity: g,
+    dimension: dim,
+    detailLimit: DETAIL_LIMIT_ALL,
+  });
+
+  _modelCache.set(cacheKey, { sig, model });
+  console.log(`model-service - [getSourceModel] built ${src.id} (${g}, ${dim}, ${model.bars.length} bars, ${Date.now() - t0} ms)`);
+  return model;
+}
+
+/**
+ * checkSourceFile(src, opts)
+ * - Probe-Parse einer (neuen/geänderten) Quelle, ohne Cache
+ * - Wirft mit der Meldung aus parse.js, wenn die Datei nicht auswertbar ist
+ * - Rückgabe: Kurzbericht für die Quellenverwaltung
+ */
+export function checkSourceFile(src, opts = {}) {
+  return checkSourceText(src, fs.readFileSync(src.path, "utf8"), opts);
+}
+
+/**
+ * Wie checkSourceFile(), aber auf CSV-Text (Upload-Vorschau, Zeilen-Editor).
+ * - line: optional; dann zusätzlich die Diagnosen genau dieses Datensatzes
+ *   (Startzeile wie _line) als lineDiagnostics
+ */
+export function checkSourceText(src, text, { delimiter = ";", rules = [], line = null } = {}) {
+  const model = buildModel(text, delimiter, {
+    sourceId: src.id,
+    numberLocale: src.numberLocale,
+    allocation: src.allocation,
+    columns: src.columns,
+    rules,
+  });
+
+  const diagnostics = model.diagnostics || [];
+  return {
+    years: model.years,
+    cats: model.cats.length,
+    types: model.types.length,
+    bars: model.bars.length,
+    plannedBars: (model.plannedBars || []).length,
+    errors: diagnostics.filter((d) => d.severity === "error").length,
+    warnings: diagnostics.filter((d) => d.severity === "warning").length,
+    numberLocales: model.numberLocales,
+    ...(line != null ? { lineDiagnostics: diagnostics.filter((d) => d.line === line) } : {}),
+  };
+}
+
+/** Cache-Einträge einer Quelle verwerfen (z.B. nach Löschen der Quelle). */
+export function invalidateSourceModel(sourceId) {
+  for (const key of _modelCache.keys()) {
+    if (key.startsWith(`${sourceId}|`)) _modelCache.delete(key);
+  }
+}
+
+/**
+ * modelSummary(model)
+ * - Modell ohne Detailzeilen (JSON-tauglich: Maps → Arrays/Counts)
+ */
+export function modelSummary(model) {
+  return {
+    granularity: model.granularity,
+    dimension: model.dimension,
+    dimensions: model.dimensions || [],
+    years: model.years,
+    cats: model.cats,
+    types: model.types,
+    bars: model.bars,
+    plannedBars: model.plannedBars || [],
+    unitByCat: model.unitByCat || [],
+    hasUndated: !!model.hasUndated,
+    undatedLabel: model.undatedLabel,
+    plannedSourceCat: model.plannedSourceCat || [],
+    plannedSourceType: model.plannedSourceType || [],
+    plannedTypeCat: model.plannedTypeCat || [],
+    detailKeys: model.detailsByKey instanceof Map ? model.detailsByKey.size : 0,
+    uncategorizedCount: Array.isArray(model.uncategorized) ? model.uncategorized.length : 0,
+    diagnostics: model.diagnostics || [],
+  };
+}
+
+/**
+ * aggregateModels(modelsBySource, query)
+ * - modelsBySource: Map<sourceId, model>
+ * - query: { from, to, types: string[], cats: string[], mode }
+ *   (leere Listen => alle; gleiche Semantik wie state im Browser)
+ * - Rückgabe: sichtbare Bars + Summen je Kategorie / Quelle / Zeitraum
+ */
+export function aggregateModels(modelsBySource, query = {}) {
+  const models = Array.from(modelsBySource.values());
+
+  // Details werden hier nicht gebraucht: nicht mit-mergen
+  const merged = mergeModels(models.map((m) => ({ ...m, detailsByKey: null })));
+
+  const state = {
+    mode: query.mode === "menge" ? "menge" : "kosten",
+    yearFrom: Number.isFinite(query.from) ? query.from : null,
+    yearTo: Number.isFinite(query.to) ? query.to : null,
+    enabledTypes: new Set(query.types || []),
+    enabledCats: new Set(query.cats || []),
+  };
+
+  const range = getVisibleYearRange(merged, state);
+  const view = makeVisibleModel(merged, state);
+  const catAllowed = (c) => !state.enabledCats.size || state.enabledCats.has(c);
+
+  const { totals } = computeTotalsForVisibleRange(merged, state);
+
+  const totalsBySource = {};
+  for (const [sid, m] of modelsBySource) {
+    let sum = 0;
+    for (const v of computeTotalsForVisibleRange(m, state).totals.values()) sum += v;
+    totalsBySource[sid] = sum;
+  }
+
+  let net = 0;
+  for (const v of totals.values()) net += v;
+
+  return {
+    granularity: merged.granularity,
+    dimension: merged.dimension,
+    mode: state.mode,
+    range: range ? { from: range.yf, to: range.yt } : null,
+    years: view.years,
+    cats: merged.cats,
+    types: merged.types,
+    unitByCat: merged.unitByCat,
+    bars: (view.bars || []).filter((b) => catAllowed(b.cat)),
+    plannedBars: (view.plannedBars || []).filter((b) => catAllowed(b.cat)),
+    totalsByCat: Object.fromEntries(totals),
+    totalsBySource,
+    periodTotals: Object.fromEntries(computePeriodTotals(merged, state)),
+    net,
+  };
+}
+
+/**
+ * detailPage(modelsBySource, key, page, pageSize)
+ * - key: `${yearKey}||${cat}||${type}` (wie detailsByKey in parse.js)
+ * - page: 1-basiert; pageSize: Default 100, max 1000
+ */
+export function detailPage(modelsBySource, key, page = 1, pageSize = DETAIL_PAGE_SIZE) {
+  const size = Math.max(1, Math.min(DETAIL_PAGE_SIZE_MAX, Math.trunc(pageSize) || DETAIL_PAGE_SIZE));
+  const p = Math.max(1, Math.trunc(page) || 1);
+
+  const all = [];
+  for (const m of modelsBySource.values()) {
+    const rows = m.detailsByKey instanceof Map ? m.detailsByKey.get(key) : null;
+    if (Array.isArray(rows)) all.push(...rows);
+  }
+
+  return {
+    key,
+    page: p,
+    pageSize: size,
+    total: all.length,
+    pages: Math.max(1, Math.ceil(all.length / size)),
+    rows: all.slice((p - 1) * size, p * size),
+  };
+}
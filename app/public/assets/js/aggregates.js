@@ -35,6 +35,8 @@
  *   (für Chart; aggregiert über alle ausgewählten Sources)
  * - totalsByCat / totalsBySource / totalsByType / totalsByYear: Map<key, number>
  *   (signiert; bezogen auf state.mode)
+ * - totalsByCatYear / totalsBySourceYear: Map<key, Map<year, number>>
+ *   (dieselben Summen je Jahr; Grundlage für Trends/Jahresvergleiche)
  * - visibleCats / visibleTypes / visibleSources: string[]
  *   (Dropdown-Universen basierend auf YearRange × Sources × Types; OHNE disabledCats)
  * - hasAny: boolean
@@ -92,6 +94,15 @@ function addToMap(map, key, delta) {
   map.set(key, (map.get(key) || 0) + delta);
 }
 
+function addToNestedMap(map, key, year, delta) {
+  let inner = map.get(key);
+  if (!inner) {
+    inner = new Map();
+    map.set(key, inner);
+  }
+  addToMap(inner, year, delta);
+}
+
 function pushUnique(out, seen, v) {
   if (!seen.has(v)) {
     seen.add(v);
@@ -126,7 +137,9 @@ function buildTotalsBuckets() {
     totalsByCat: new Map(),
     totalsBySource: new Map(),
     totalsByType: new Map(),
-    totalsByYear: new Map()
+    totalsByYear: new Map(),
+    totalsByCatYear: new Map(),
+    totalsBySourceYear: new Map()
   };
 }
 
@@ -204,6 +217,8 @@ function addTotals(ctx, sourceId, type, cat, year, metrics) {
   addToMap(ctx.totalsBySource, sourceId, value);
   addToMap(ctx.totalsByType, type, value);
   addToMap(ctx.totalsByYear, year, value);
+  addToNestedMap(ctx.totalsByCatYear, cat, year, value);
+  addToNestedMap(ctx.totalsBySourceYear, sourceId, year, value);
 }
 
 function sortBars(barMap) {
@@ -257,6 +272,8 @@ export function aggregate(data, state) {
     totalsBySource: ctx.totalsBySource,
     totalsByType: ctx.totalsByType,
     totalsByYear: ctx.totalsByYear,
+    totalsByCatYear: ctx.totalsByCatYear,
+    totalsBySourceYear: ctx.totalsBySourceYear,
     visibleCats: ctx.visibleCats,
     visibleTypes: ctx.visibleTypes,
     visibleSources: ctx.visibleSources,
@@ -0,0 +1,386 @@
+// -----------------------------------------------------------------------------
+// anomalies.js
+// - Automatische Ausreißer-Erkennung (pure, ohne DOM) auf dem sichtbaren Modell
+//   (ctx.derived.view: bars + detailsByKey), gleiche Filter wie der Chart
+// - Vier Arten:
+//   - "row":       einzelne Buchung weit weg vom üblichen Betrag ihrer Kategorie
+//                  bzw. Gegenpartei (robuster z-Wert über Median/MAD)
+//   - "spike":     Jahr einer Kategorie weicht stark vom Trend ab
+//                  (Theil-Sen-Gerade über die Jahressummen, Residuen über MAD)
+//   - "duplicate": gleich aussehende Buchungen (Gegenpartei, Kategorie, Kostenart,
+//                  Buchungstyp, Memo, Von/Bis/Jahr, Betrag, Menge), auch
+//                  quellenübergreifend
+//   - "price":     Stückpreis (Betrag je Menge) springt von Jahr zu Jahr
+//                  (Median je Kategorie + Einheit)
+// - view.detailsByKey enthält pro Zeitraum × Kategorie × Typ höchstens detailLimit
+//   Zeilen (parse.js). "row"/"duplicate"/"price" bekommen daher alle Zeilen über
+//   collectAnomalyDetails(): Modell ohne detailLimit aus api.js (uncappedModel),
+//   dasselbe, auf dem auch die Suche (search.js) filtert
+// - Ergebnis: [{ kind, key, year, cat, sourceId, reason, score, row }]
+//   key = Zeitschlüssel (yearKey) für Chart-Marker; bei "spike"/"price" null
+//   (Marker am ersten Zeitraum des Jahres)
+// -----------------------------------------------------------------------------
+
+import { cleanKey } from "./keys.js";
+import { yearOfPeriodKey } from "./period.js";
+import { isFirstPiece } from "./parse.js";
+import { uncappedModel } from "./api.js";
+
+export const ANOMALY_LABEL = {
+  row: "Ausreißer",
+  spike: "Jahressprung",
+  duplicate: "Doppelt?",
+  price: "Stückpreis",
+};
+
+// Robuster z-Wert ab dem eine Buchung auffällt (Iglewicz/Hoaglin: 3,5)
+const ROW_Z = 3.5;
+// Mindestabstand zum Median (relativ), damit eng streuende Gruppen nicht jeden Cent melden
+const ROW_MIN_REL = 0.5;
+// Mindestanzahl Buchungen je Kategorie/Gegenpartei für "row"
+const ROW_MIN_GROUP = 5;
+// Trend-Abweichung: z-Wert der Residuen und Mindestabstand relativ zum Median
+const SPIKE_Z = 3;
+const SPIKE_MIN_REL = 0.25;
+// Mindestanzahl Jahre für "spike"
+const SPIKE_MIN_YEARS = 4;
+// Stückpreis-Sprung: relative Änderung zum Vorjahr
+const PRICE_JUMP = 0.5;
+
+// MAD -> Standardabweichung (Normalverteilung)
+const MAD_SCALE = 1.4826;
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * detectAnomalies(view, opts)
+ * - view: sichtbares Modell ({ years, bars, detailsByKey })
+ * - opts.enabledTypes: Set<type> (null => alle)
+ * - opts.enabledCats:  Set<cat>  (null => alle)
+ * - opts.mode: "kosten" | "menge" (Basis für "row" und "spike"; Default kosten)
+ * - opts.detailsByKey: Zeilen für "row"/"duplicate"/"price" (Default view.detailsByKey)
+ * - Rückgabe: Array (sortiert nach Jahr, dann Art), leer ohne Daten
+ */
+export function detectAnomalies(
+  view,
+  { enabledTypes = null, enabledCats = null, mode = "kosten", detailsByKey = null } = {}
+) {
+  const years = new Set((Array.isArray(view?.years) ? view.years : []).map(Number).filter(Number.isFinite));
+  if (!years.size) return [];
+
+  const allowed = (year, cat, type) =>
+    years.has(year) &&
+    (!(enabledTypes instanceof Set) || enabledTypes.has(cleanKey(type))) &&
+    (!(enabledCats instanceof Set) || enabledCats.has(cat));
+
+  const rows = collectRows(detailsByKey instanceof Map ? detailsByKey : view?.detailsByKey, allowed);
+  const bars = (Array.isArray(view?.bars) ? view.bars : []).filter((b) =>
+    allowed(Number(b?.year), b?.cat, b?.type)
+  );
+
+  const valueKey = mode === "menge" ? "menge" : "kosten";
+  const out = [
+    ...detectRowOutliers(rows, valueKey),
+    ...detectYearSpikes(bars, valueKey),
+    ...detectDuplicates(rows),
+    ...detectPriceJumps(rows),
+  ];
+
+  const kindOrder = Object.keys(ANOMALY_LABEL);
+  return out.sort(
+    (a, b) =>
+      a.year - b.year ||
+      kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) ||
+      b.score - a.score
+  );
+}
+
+/**
+ * collectAnomalyDetails(ctx, sourceIds)
+ * - Alle Detailzeilen (ohne detailLimit) der genannten Quellen, je Schlüssel zusammengeführt
+ * - Quelle: uncappedModel() aus api.js (ein Parse pro Quelle + Version, mit der Suche geteilt)
+ */
+export function collectAnomalyDetails(ctx, sourceIds) {
+  const out = new Map();
+  const bySource = ctx?.raw?.bySource;
+  if (!(bySource instanceof Map)) return out;
+
+  for (const sid of sourceIds) {
+    const entry = bySource.get(sid);
+    if (!entry) continue;
+
+    for (const [k, rows] of uncappedModel(ctx, entry).detailsByKey) {
+      const list = out.get(k);
+      if (list) list.push(...rows);
+      else out.set(k, rows.slice());
+    }
+  }
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Input
+// -----------------------------------------------------------------------------
+
+/** Detailzeilen der sichtbaren Schlüssel, flach mit key/year/cat/type. */
+function collectRows(detailsByKey, allowed) {
+  const out = [];
+  if (!(detailsByKey instanceof Map)) return out;
+
+  for (const [key, list] of detailsByKey) {
+    const [yearKey, cat, type] = String(key).split("||");
+    const year = yearOfPeriodKey(yearKey);
+    if (!Number.isFinite(year) || !allowed(year, cat, type)) continue;
+
+    for (const row of Array.isArray(list) ? list : []) {
+      if (!row || typeof row !== "object") continue;
+      out.push({
+        key: yearKey,
+        year,
+        cat,
+        type,
+        sourceId: String(row.Quelle ?? ""),
+        kosten: toNumber(row._kosten),
+        menge: toNumber(row._menge),
+        row,
+      });
+    }
+  }
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Detectors
+// -----------------------------------------------------------------------------
+
+function detectRowOutliers(rows, valueKey) {
+  const out = [];
+  const seen = new Set();
+
+  const groups = [
+    ["Kategorie", groupBy(rows, (r) => r.cat)],
+    ["Gegenpartei", groupBy(rows, (r) => cleanKey(r.row.Gegenpartei).toLowerCase())],
+  ];
+
+  for (const [label, byGroup] of groups) {
+    for (const [group, list] of byGroup) {
+      if (!group) continue;
+
+      const items = list.filter((r) => Number.isFinite(r[valueKey]));
+      if (items.length < ROW_MIN_GROUP) continue;
+
+      const values = items.map((r) => r[valueKey]);
+      const med = median(values);
+      const scale = robustScale(values, med);
+      if (!scale) continue;
+
+      for (const r of items) {
+        const z = (r[valueKey] - med) / scale;
+        if (Math.abs(z) < ROW_Z || seen.has(r.row)) continue;
+        if (Math.abs(r[valueKey] - med) < ROW_MIN_REL * Math.abs(med)) continue;
+        seen.add(r.row);
+
+        const name = label === "Kategorie" ? r.cat : cleanKey(r.row.Gegenpartei);
+        out.push(
+          anomaly("row", r, {
+            score: Math.abs(z),
+            reason: `${fmt(r[valueKey])} weicht stark vom Üblichen für ${label} „${name}“ ab (Median ${fmt(med)}, n=${items.length})`,
+          })
+        );
+      }
+    }
+  }
+  return out;
+}
+
+function detectYearSpikes(bars, valueKey) {
+  const out = [];
+
+  // Jahressummen je Kategorie (über Typen und Zeiträume)
+  const byCat = new Map();
+  for (const b of bars) {
+    const v = Number(b?.[valueKey]);
+    if (!Number.isFinite(v)) continue;
+    const perYear = byCat.get(b.cat) || new Map();
+    perYear.set(Number(b.year), (perYear.get(Number(b.year)) || 0) + v);
+    byCat.set(b.cat, perYear);
+  }
+
+  for (const [cat, perYear] of byCat) {
+    if (perYear.size < SPIKE_MIN_YEARS) continue;
+
+    const pts = Array.from(perYear, ([x, y]) => ({ x, y })).sort((a, b) => a.x - b.x);
+    const { slope, intercept } = theilSen(pts);
+    const residuals = pts.map((p) => p.y - (intercept + slope * p.x));
+
+    const scale = robustScale(residuals, median(residuals));
+    const level = median(pts.map((p) => Math.abs(p.y)));
+    if (!scale) continue;
+
+    pts.forEach((p, i) => {
+      const r = residuals[i];
+      if (Math.abs(r) < SPIKE_MIN_REL * level) return;
+
+      const z = Math.abs(r) / scale;
+      if (z < SPIKE_Z) return;
+
+      const expected = intercept + slope * p.x;
+      out.push(
+        anomaly("spike", { key: null, year: p.x, cat, sourceId: "" }, {
+          score: z,
+          reason: `${p.x}: ${fmt(p.y)} statt ~${fmt(expected)} laut Trend (${r > 0 ? "+" : ""}${fmt(r)})`,
+        })
+      );
+    });
+  }
+  return out;
+}
+
+function detectDuplicates(rows) {
+  const out = [];
+
+  const bySignature = groupBy(
+    rows.filter((r) => isFirstPiece(r.row) && Number.isFinite(r.kosten)),
+    (r) =>
+      [
+        cleanKey(r.row.Gegenpartei).toLowerCase(),
+        cleanKey(r.row.Kategorie).toLowerCase(),
+        cleanKey(r.row.Kostenart).toLowerCase(),
+        (r.row._typ || cleanKey(r.row.Buchungstyp)).toLowerCase(),
+        cleanKey(r.row.memo).toLowerCase(),
+        cleanKey(r.row.Von),
+        cleanKey(r.row.Bis),
+        cleanKey(r.row.Jahr),
+        r.kosten.toFixed(2),
+        Number.isFinite(r.menge) ? r.menge.toFixed(3) : "",
+      ].join("|")
+  );
+
+  for (const list of bySignature.values()) {
+    if (list.length < 2) continue;
+
+    const where = list.map((r) => `${r.sourceId}:${r.row._line ?? "?"}`).join(", ");
+    for (const r of list.slice(1)) {
+      out.push(
+        anomaly("duplicate", r, {
+          score: list.length,
+          reason: `${list.length}× gleiche Buchung (${cleanKey(r.row.Gegenpartei) || "ohne Gegenpartei"}, ${fmt(r.kosten)}) – Zeilen ${where}`,
+        })
+      );
+    }
+  }
+  return out;
+}
+
+function detectPriceJumps(rows) {
+  const out = [];
+
+  const priced = rows.filter((r) => Number.isFinite(r.kosten) && Number.isFinite(r.menge) && r.menge !== 0);
+  const byGroup = groupBy(priced, (r) => `${r.cat}||${cleanKey(r.row.Einheit)}`);
+
+  for (const [group, list] of byGroup) {
+    const [cat, unit] = group.split("||");
+
+    const perYear = groupBy(list, (r) => r.year);
+    const prices = Array.from(perYear, ([year, items]) => ({
+      year,
+      price: median(items.map((r) => r.kosten / r.menge)),
+      sourceId: sameOrEmpty(items.map((r) => r.sourceId)),
+    })).sort((a, b) => a.year - b.year);
+
+    for (let i = 1; i < prices.length; i++) {
+      const prev = prices[i - 1];
+      const cur = prices[i];
+      if (!prev.price || Math.sign(prev.price) !== Math.sign(cur.price)) continue;
+
+      const change = cur.price / prev.price - 1;
+      if (Math.abs(change) < PRICE_JUMP) continue;
+
+      const per = unit ? `/${unit}` : " je Menge";
+      out.push(
+        anomaly("price", { key: null, year: cur.year, cat, sourceId: cur.sourceId }, {
+          score: Math.abs(change),
+          reason: `Stückpreis ${fmt(prev.price)}${per} (${prev.year}) → ${fmt(cur.price)}${per} (${change > 0 ? "+" : ""}${Math.round(change * 100)} %)`,
+        })
+      );
+    }
+  }
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function anomaly(kind, r, { score, reason }) {
+  return {
+    kind,
+    key: r.key ?? null,
+    year: r.year,
+    cat: r.cat,
+    sourceId: r.sourceId || "",
+    reason,
+    score,
+    row: r.row || null,
+  };
+}
+
+/**
+ * Theil-Sen-Schätzer: Median der paarweisen Steigungen, Achsenabschnitt als
+ * Median von y - m·x. Robust gegen einzelne Ausreißer (anders als kleinste Quadrate).
+ */
+function theilSen(pts) {
+  const slopes = [];
+  for (let i = 0; i < pts.length; i++) {
+    for (let j = i + 1; j < pts.length; j++) {
+      const dx = pts[j].x - pts[i].x;
+      if (dx) slopes.push((pts[j].y - pts[i].y) / dx);
+    }
+  }
+  const slope = slopes.length ? median(slopes) : 0;
+  const intercept = median(pts.map((p) => p.y - slope * p.x));
+  return { slope, intercept };
+}
+
+/** Streuung über MAD; bei MAD = 0 mittlere absolute Abweichung (sonst 0). */
+function robustScale(values, med) {
+  const dev = values.map((v) => Math.abs(v - med));
+  const mad = median(dev);
+  if (mad) return MAD_SCALE * mad;
+
+  const mean = dev.reduce((s, v) => s + v, 0) / dev.length;
+  return mean ? 1.2533 * mean : 0;
+}
+
+function median(values) {
+  const a = values.filter(Number.isFinite).sort((x, y) => x - y);
+  if (!a.length) return 0;
+  const m = Math.floor(a.length / 2);
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+}
+
+function groupBy(list, keyOf) {
+  const out = new Map();
+  for (const item of list) {
+    const k = keyOf(item);
+    if (!out.has(k)) out.set(k, []);
+    out.get(k).push(item);
+  }
+  return out;
+}
+
+function sameOrEmpty(values) {
+  const set = new Set(values);
+  return set.size === 1 ? values[0] : "";
+}
+
+function toNumber(v) {
+  const n = v == null || v === "" ? NaN : Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function fmt(n) {
+  return Number(n).toLocaleString("de-DE", { maximumFractionDigits: 2 });
+}
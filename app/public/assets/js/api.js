@@ -4,14 +4,25 @@
 // -----------------------------------------------------------------------------
 // Responsibilities
 // - fetchConfig(): holt /api/config (Sources + Default delimiter)
-// - fetchCsvText(sourceId): holt /api/data (CSV text + delimiter)
+// - fetchCsvText(sourceId): holt /api/data (CSV text + delimiter + numberLocale + allocation + columns + rules)
 // - loadData(ctx): lädt alle CSV Quellen und baut RAW-Modelle pro Source
-//     * ctx.raw.bySource : Map<sourceId, { sid, text, delimiter, model }>
+//     * ctx.raw.bySource : Map<sourceId, { sid, text, version, delimiter, model }>
+// - rebuildModels(ctx): baut RAW-Modelle aus dem gecachten Text neu (z.B. Granularität)
+// - reloadSources(ctx, ids): lädt einzelne Quellen neu vom Server (Live-Reload)
+// - uncappedModel(ctx, entry): Modell einer Quelle ohne detailLimit, geteilt von
+//   search.js und anomalies.js (einmal pro Quelle + Version + Parse-Optionen)
+// - fetchSourceList / createSource / updateSource / reorderSources / deleteSource:
+//   Quellenverwaltung (/api/sources, schreibt config.json)
+// - previewUpload / uploadSource: CSV-Import (/api/upload)
+// - fetchViews / createView / updateView / deleteView: gespeicherte Ansichten (/api/views)
+// - fetchNotes / createNote / updateNote / deleteNote: Notizen (/api/notes)
+// - updateCsvRow: Zeilen-Editor (/api/rows, schreibt die CSV-Zeile zurück)
 // - mergeModels(models): kombiniert mehrere Source-Modelle deterministisch (yearKey-aware)
 // -----------------------------------------------------------------------------
 
 
-import { buildModel } from "./parse.js";
+import { buildModel, normalizeDimension, columnFiltersKey, DETAIL_LIMIT_ALL } from "./parse.js";
+import { normalizeGranularity } from "./period.js";
 
 // ============================================================================
 // 1) Small fetch helpers (server is source of truth)
@@ -50,12 +61,131 @@ export async function fetchCsvText(sourceId) {
   return {
     text: json.text,
     delimiter: json.delimiter || ";",
+    numberLocale: json.numberLocale || "auto", // "de" | "en" | "auto"
+    allocation: json.allocation || "none",     // "none" | "prorata"
+    columns: json.columns || null,             // optional column mapping
+    rules: Array.isArray(json.rules) ? json.rules : [], // rules.json (bereits pro Quelle gefiltert)
     source: json.source || null,   // optional: {id,label}
     csvPath: json.csvPath || null, // optional: debug aid
+    version: json.version || null, // Hash der CSV (Konflikt-Erkennung beim Zeilen-Editor)
   };
 }
 
 
+// ============================================================================
+// 2) Quellenverwaltung (/api/sources) – Änderungen kommen per Live-Reload zurück
+// ============================================================================
+
+async function sendJson(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    cache: "no-store",
+    headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const json = await res.json();
+  if (!json.ok) {
+    const err = new Error(json.error || `API error: ${method} ${url}`);
+    err.status = res.status;
+    if (json.check) err.check = json.check; // Probe-Parse-Bericht (z.B. /api/rows)
+    throw err;
+  }
+  return json;
+}
+
+export async function fetchSourceList() {
+  const json = await sendJson("GET", "/api/sources");
+  return Array.isArray(json.sources) ? json.sources : [];
+}
+
+export function createSource(source) {
+  return sendJson("POST", "/api/sources", source);
+}
+
+export function updateSource(sourceId, patch) {
+  return sendJson("PUT", `/api/sources/${encodeURIComponent(sourceId)}`, patch);
+}
+
+export function reorderSources(order) {
+  return sendJson("PUT", "/api/sources", { order });
+}
+
+export function deleteSource(sourceId) {
+  return sendJson("DELETE", `/api/sources/${encodeURIComponent(sourceId)}`);
+}
+
+// Gespeicherte Ansichten (views.json, für alle Clients gleich)
+export async function fetchViews() {
+  const json = await sendJson("GET", "/api/views");
+  return Array.isArray(json.views) ? json.views : [];
+}
+
+export function createView(view) {
+  return sendJson("POST", "/api/views", view);
+}
+
+export function updateView(viewId, patch) {
+  return sendJson("PUT", `/api/views/${encodeURIComponent(viewId)}`, patch);
+}
+
+export function deleteView(viewId) {
+  return sendJson("DELETE", `/api/views/${encodeURIComponent(viewId)}`);
+}
+
+// Notizen (notes.json + schreibgeschützte Jahres-Memos aus PersYears.json)
+export async function fetchNotes() {
+  const json = await sendJson("GET", "/api/notes");
+  return Array.isArray(json.notes) ? json.notes : [];
+}
+
+export function createNote(note) {
+  return sendJson("POST", "/api/notes", note);
+}
+
+export function updateNote(noteId, patch) {
+  return sendJson("PUT", `/api/notes/${encodeURIComponent(noteId)}`, patch);
+}
+
+export function deleteNote(noteId) {
+  return sendJson("DELETE", `/api/notes/${encodeURIComponent(noteId)}`);
+}
+
+// Zeilen-Editor: Zellen eines Datensatzes (Quelle + Startzeile) in die CSV schreiben
+export function updateCsvRow(sourceId, line, { version, changes }) {
+  return sendJson("PUT", `/api/rows/${encodeURIComponent(sourceId)}/${encodeURIComponent(line)}`, { version, changes });
+}
+
+// CSV-Upload: Datei (File/Blob) als Text-Body, Optionen als Query
+async function sendCsv(url, file, params = {}) {
+  const qs = new URLSearchParams({ name: file?.name || "upload.csv" });
+  for (const [k, v] of Object.entries(params)) {
+    if (v != null && v !== "") qs.set(k, String(v));
+  }
+
+  const res = await fetch(`${url}?${qs}`, {
+    method: "POST",
+    cache: "no-store",
+    headers: { "Content-Type": "text/csv; charset=utf-8" },
+    body: file,
+  });
+  const json = await res.json();
+  if (!json.ok) {
+    const err = new Error(json.error || `API error: POST ${url}`);
+    err.preview = json.preview || null;
+    throw err;
+  }
+  return json;
+}
+
+export function previewUpload(file, params) {
+  return sendCsv("/api/upload/preview", file, params);
+}
+
+export function uploadSource(file, params) {
+  return sendCsv("/api/upload", file, params);
+}
+
+
 /// ============================================================================
 // loadData(ctx) – Single Source of Truth (RAW-in-Memory-Modell Variante B)
 // ============================================================================
@@ -89,8 +219,20 @@ export async function loadData(ctx) {
     const res = await fetchCsvText(sid);
     if (!res?.text) throw new Error(`CSV load failed for source ${sid}`);
 
-    const model = buildModel(res.text, res.delimiter || DEFAULT_DELIM, {
+    // Parse-Optionen bleiben am Entry, damit rebuildModels() ohne Fetch neu bauen kann
+    const buildOpts = {
       sourceId: sid,
+      numberLocale: res.numberLocale,
+      allocation: res.allocation,
+      columns: res.columns,
+      rules: res.rules,
+    };
+
+    const model = buildModel(res.text, res.delimiter || DEFAULT_DELIM, {
+      ...buildOpts,
+      granularity: normalizeGranularity(ctx.state?.granularity),
+      dimension: normalizeDimension(ctx.state?.dimension),
+      filters: ctx.state?.columnFilters,
     });
 
     if (!model) throw new Error(`buildModel failed for source ${sid}`);
@@ -98,7 +240,9 @@ export async function loadData(ctx) {
     const entry = {
       sid,
       text: res.text,
+      version: res.version,
       delimiter: res.delimiter || DEFAULT_DELIM,
+      buildOpts,
       model,
     };
 
@@ -117,6 +261,110 @@ export async function loadData(ctx) {
   return ctx.raw;
 }
 
+// ============================================================================
+// rebuildModels(ctx) – RAW-Modelle neu bauen (ohne Fetch)
+// ============================================================================
+
+/**
+ * Baut alle geladenen Quellen aus ctx.raw.bySource[sid].text neu, z.B. nach
+ * Wechsel der Zeit-Granularität (state.granularity) oder der Dimension
+ * (state.dimension) oder der Spaltenfilter (state.columnFilters).
+ * - erhöht ctx.flags.dataBuildToken (invalidiert den Merge-Cache im Renderer)
+ */
+export function rebuildModels(ctx) {
+  const bySource = ctx?.raw?.bySource;
+  if (!(bySource instanceof Map)) throw new Error("rebuildModels: ctx.raw.bySource missing");
+  if (!ctx.flags) ctx.flags = {};
+
+  const granularity = normalizeGranularity(ctx.state?.granularity);
+  const dimension = normalizeDimension(ctx.state?.dimension);
+  const filters = ctx.state?.columnFilters;
+
+  for (const entry of bySource.values()) {
+    entry.model = buildModel(entry.text, entry.delimiter, { ...entry.buildOpts, granularity, dimension, filters });
+  }
+
+  ctx.flags.dataBuildToken = (ctx.flags.dataBuildToken || 0) + 1;
+  console.log("api.js [rebuildModels] rebuilt", { sources: bySource.size, granularity, dimension });
+  return ctx.raw;
+}
+
+// ============================================================================
+// uncappedModel(ctx, entry) – alle Detailzeilen einer Quelle
+// ============================================================================
+
+/**
+ * Modell einer Quelle ohne detailLimit mit den aktuellen Parse-Optionen
+ * (state.granularity, state.dimension, state.columnFilters).
+ * - Ein Parse pro Quelle + Version: Suche (search.js) und Ausreißer
+ *   (anomalies.js) lesen dieselben Detailzeilen
+ * - Cache am Entry (entry.uncapped); reloadSources() ersetzt den Entry
+ */
+export function uncappedModel(ctx, entry) {
+  const granularity = normalizeGranularity(ctx?.state?.granularity);
+  const dimension = normalizeDimension(ctx?.state?.dimension);
+  const filters = ctx?.state?.columnFilters;
+  const key = `${entry.version}|${granularity}|${dimension}|${columnFiltersKey(filters)}`;
+
+  if (entry.uncapped?.key !== key) {
+    const model = buildModel(entry.text, entry.delimiter, {
+      ...entry.buildOpts,
+      granularity,
+      dimension,
+      filters,
+      detailLimit: DETAIL_LIMIT_ALL,
+    });
+    entry.uncapped = { key, model };
+  }
+  return entry.uncapped.model;
+}
+
+// ============================================================================
+// reloadSources(ctx, sourceIds) – einzelne Quellen neu laden (Live-Reload)
+// ============================================================================
+
+/**
+ * Verwirft die RAW-Einträge der genannten Quellen und lädt sie über loadData()
+ * neu; alle anderen Quellen bleiben gecacht.
+ * - Quellen, die nicht mehr in ctx.config.sources stehen, bleiben entfernt.
+ * - Schlägt das Laden fehl (z.B. Datei gerade im Schreiben), bleibt der alte
+ *   Stand der Quelle erhalten.
+ */
+export async function reloadSources(ctx, sourceIds) {
+  const bySource = ctx?.raw?.bySource;
+  if (!(bySource instanceof Map)) throw new Error("reloadSources: ctx.raw.bySource missing");
+
+  const previous = new Map();
+  for (const sid of sourceIds || []) {
+    const key = String(sid ?? "").trim();
+    if (!bySource.has(key)) continue;
+    previous.set(key, bySource.get(key));
+    bySource.delete(key);
+  }
+
+  const configured = (ctx.config?.sources || []).map((s) => String(s?.id ?? "").trim());
+
+  // Reihenfolge wie in config.json (Dropdowns/Legende bleiben stabil)
+  const restoreOrder = () => {
+    const entries = new Map(bySource);
+    bySource.clear();
+    for (const sid of configured) if (entries.has(sid)) bySource.set(sid, entries.get(sid));
+  };
+
+  try {
+    const raw = await loadData(ctx);
+    restoreOrder();
+    return raw;
+  } catch (e) {
+    for (const [sid, entry] of previous) {
+      if (configured.includes(sid) && !bySource.has(sid)) bySource.set(sid, entry);
+    }
+    restoreOrder();
+    ctx.flags.dataBuildToken = (ctx.flags.dataBuildToken || 0) + 1;
+    throw e;
+  }
+}
+
 // ============================================================================
 // 3) mergeModels(models) – deterministic, type-aware merge
 // ============================================================================
@@ -136,6 +384,7 @@ export async function loadData(ctx) {
  *   - year: number | null (nur numerisch, sonst null)
  *   - akzeptiert Eingaben mit .type ODER .typ (defensiv), schreibt canonical als .type
  *
+ * - plannedBars: wie bars, aber nur geplante Beträge (Plan/Ist-Ansicht)
  * - unitByCat: erster Treffer gewinnt (stabil)
  * - detailsByKey: concat arrays (key bleibt unverändert; erwartet `${yearKey}||${cat}||${type}`)
  *
@@ -145,6 +394,8 @@ export async function loadData(ctx) {
  *   - plannedTypeCat   : string[]  // `${type}||${cat}`
  *
  * - hasUndated / undatedLabel: Meta für UI (Chart/Legend)
+ * - dimension / dimensions: Spalte hinter `cat`; Vereinigung der wählbaren Spalten
+ * - dimensionValues: Werte je Spalte (Vereinigung, sortiert); filterKey: Spaltenfilter
  */
 export function mergeModels(models) {
   console.log("api.js [mergeModels] called");
@@ -219,6 +470,7 @@ export function mergeModels(models) {
   const typesSet = new Map();     // Map<typeKey, firstRawLabel>
   const unitByCat = new Map();    // Map<catKey, unit>
   const barsAcc = new Map();      // key = `${yearKey}||${cat}||${type}` -> aggregate
+  const plannedBarsAcc = new Map(); // same keying, planned amounts only
   const detailsByKey = new Map(); // Map<string, any[]>
 
   // planned relations (dedup)
@@ -257,7 +509,7 @@ export function mergeModels(models) {
     return { yearKey, year };
   };
 
-  const addBar = (b) => {
+  const addBar = (b, target = barsAcc) => {
     const cat = resolveBarCat(b);
     const type = resolveBarType(b);
     if (!cat || !type) return;
@@ -268,10 +520,10 @@ export function mergeModels(models) {
     if (year != null) yearsSet.add(year);
 
     const k = `${yearKey}||${cat}||${type}`;
-    let acc = barsAcc.get(k);
+    let acc = target.get(k);
     if (!acc) {
       acc = { yearKey, year, type, cat, kosten: 0, menge: 0 };
-      barsAcc.set(k, acc);
+      target.set(k, acc);
     } else {
       // Defensive: keep the "best" year value (numeric beats null)
       if (acc.year == null && year != null) acc.year = year;
@@ -331,6 +583,7 @@ export function mergeModels(models) {
 
     // bars: yearKey-aware; undated allowed; type fallback (.typ)
     for (const b of m.bars || []) addBar(b);
+    for (const b of m.plannedBars || []) addBar(b, plannedBarsAcc);
 
     // planned relations (legend-only)
     addStringArrayDedup(plannedSourceCatSet, m.plannedSourceCat);
@@ -355,6 +608,7 @@ export function mergeModels(models) {
   );
 
   const bars = Array.from(barsAcc.values());
+  const plannedBars = Array.from(plannedBarsAcc.values());
 
   // hasUndated if any bar is undated
   const hasUndated = bars.some((b) => b?.year == null || String(b?.yearKey) === undatedLabelFinal);
@@ -364,6 +618,7 @@ export function mergeModels(models) {
     cats,
     types,
     bars,
+    plannedBars,
     unitByCat: Array.from(unitByCat.entries()),
     detailsByKey, // Map<string, any[]>
 
@@ -374,5 +629,40 @@ export function mergeModels(models) {
 
     hasUndated,
     undatedLabel: undatedLabelFinal,
+    granularity: list.find((m) => m?.granularity)?.granularity || "year",
+    dimension: list.find((m) => m?.dimension)?.dimension || "Kategorie",
+    dimensions: mergeDimensions(list),
+    dimensionValues: mergeDimensionValues(list),
+    filterKey: list.find((m) => m?.filterKey)?.filterKey || "[]",
   };
+}
+
+/** Wählbare Dimensionen aller Modelle (Reihenfolge: erstes Vorkommen, case-insensitiv dedupliziert). */
+function mergeDimensions(list) {
+  const byKey = new Map();
+  for (const m of list) {
+    for (const d of Array.isArray(m?.dimensions) ? m.dimensions : []) {
+      const k = String(d ?? "").trim().toLowerCase();
+      if (k && !byKey.has(k)) byKey.set(k, String(d).trim());
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+/** Werte je Dimension aller Modelle (Spaltenname wie in mergeDimensions, Werte sortiert). */
+function mergeDimensionValues(list) {
+  const names = new Map(mergeDimensions(list).map((d) => [d.toLowerCase(), d]));
+  const byName = new Map();
+
+  for (const m of list) {
+    for (const [col, values] of Object.entries(m?.dimensionValues || {})) {
+      const name = names.get(String(col).trim().toLowerCase()) || String(col).trim();
+      if (!byName.has(name)) byName.set(name, new Set());
+      for (const v of Array.isArray(values) ? values : []) byName.get(name).add(String(v));
+    }
+  }
+
+  return Object.fromEntries(
+    Array.from(byName, ([name, set]) => [name, Array.from(set).sort((a, b) => a.localeCompare(b, "de"))])
+  );
 }
\ No newline at end of file
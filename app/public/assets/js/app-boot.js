@@ -1,9 +1,10 @@
 // app-boot.js
 // -----------------------------------------------------------------------------
-// Bootstrapping (einmalig, ohne Persistenz)
+// Bootstrapping (einmalig)
 // -----------------------------------------------------------------------------
 // Verantwortlichkeiten:
 // - ctx erstellen (config + state + flags + dom + model placeholders)
+// - gemerkte Ansicht übernehmen (URL-Hash vor localStorage, view-state.js)
 // - DOM lookup
 // - optional weiteres UI wiring (Dropdowns/Mode/Years) via opts.wireUI(ctx)
 // - initial UI aus State spiegeln (ohne redraw)
@@ -20,6 +21,7 @@
 import { fetchConfig, loadData } from "./api.js";
 import { getSourceIdsFromConfig } from "./state.js";
 import { initUI } from "./ui.js";
+import { restoreViewState, reconcileViewState } from "./view-state.js";
 
 // ============================================================================
 // 1) Public API
@@ -78,6 +80,9 @@ export async function boot(opts = {}) {
   // ---------------------------------------------------------------------------
   await loadData(ctx);
 
+  // Gemerkte Typen gegen die geladenen Typen klemmen
+  reconcileViewState(ctx);
+
   // Optional: Wenn du flags/dataDirty nutzt, hier sauber markieren:
   // ctx.flags.dataDirty = true;
 
@@ -101,8 +106,11 @@ async function createContext() {
   const cfg = await fetchConfig();
   const config = buildConfig(cfg);
 
-  // 2) State initialisieren (OHNE Persistenz)
+  // 2) State initialisieren + gemerkte Ansicht übernehmen (vor loadData:
+  //    Zeitraster/Dimension/Spaltenfilter bestimmen den ersten Modell-Build)
   const state = createInitialState(config);
+  const restoredFrom = restoreViewState(state, config);
+  if (restoredFrom) console.log("app-boot.js - [createContext] view restored from", restoredFrom);
 
   // 3) ctx erzeugen (Single Owner)
   const ctx = {
@@ -144,7 +152,7 @@ function buildConfig(cfg) {
 }
 
 /**
- * Initial State (persistenzfrei, industrial contract)
+ * Initial State (Defaults, industrial contract; gemerkte Ansicht kommt danach)
  *
  * Boot-Default:
  * - enabledSourceIds: explizit alle Quellen aktiv (leer = alle aktiv, UI-Intent)
@@ -161,6 +169,25 @@ function createInitialState(config) {
   return {
     mode: "kosten",
 
+    // Zeitraster der x-Achse: "year" | "quarter" | "month"
+    granularity: "year",
+
+    // Chart-Dimension (Spalte hinter cats): "Kategorie" | "Gegenpartei" | "Kostenart" | Zusatzspalte
+    dimension: "Kategorie",
+
+    // Plan/Ist im Chart: "off" | "side" | "marker"
+    planView: "off",
+
+    // Balken-Layout: "grouped" | "stacked" | "stacked-type" | "percent"
+    barLayout: "grouped",
+
+    // Kumulierte Linie(n): "off" | "total" | "sources" | "both"
+    lineOverlay: "off",
+
+    // Volltextsuche (search.js); searchLimitChart => Chart nur aus Treffern
+    searchQuery: "",
+    searchLimitChart: false,
+
     // datenabhängig / UI-range
     yearFrom: null,
     yearTo: null,
@@ -174,6 +201,9 @@ function createInitialState(config) {
     // Kategorien: invertierte Logik (UI-Intent)
     // disabledCats: expliziter UI-State, leer = alle Kategorien aktiv
     disabledCats: new Set(),
+
+    // Spaltenfilter: { [Spalte]: string[] } erlaubte Werte; fehlende Spalte = alle
+    columnFilters: {},
   };
 }
 
@@ -265,8 +295,23 @@ function createEmptyDomRefs() {
     catResetBtn: null,
     catList: null,
 
+    // Column filter (extra columns etc.: column select + value Multi-Select)
+    colFilterBox: null,
+    colFilterSelect: null,
+    colFilterBtn: null,
+    colFilterAllBtn: null,
+    colFilterList: null,
+
     // Other Filters / Chart
     modeSelect: null,
+    granularitySelect: null,
+    dimensionSelect: null,
+    planViewSelect: null,
+    barLayoutSelect: null,
+    lineOverlaySelect: null,
+    searchForm: null,
+    searchInput: null,
+    searchLimitChart: null,
     legendEl: null,
     svgEl: null,
 
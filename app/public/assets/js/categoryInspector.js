@@ -14,6 +14,8 @@
  * =============================================================================
  */
 
+import { yearOfPeriodKey, comparePeriodKeys } from "./period.js";
+
 // -----------------------------------------------------------------------------
 // 1) Small utils
 // -----------------------------------------------------------------------------
@@ -273,7 +275,7 @@ function collectCategoryRows(ctx, payload) {
   if (hasYearKey) {
     const yKey = String(yearKeyPayload);
     const isUndatedHover = yKey === undatedLabel;
-    const targetYearNum = !isUndatedHover ? Number(yKey) : NaN;
+    const targetYearNum = !isUndatedHover ? yearOfPeriodKey(yKey) : NaN;
 
     // Guard: if hovered year itself is outside global range, return empty
     if (!isUndatedHover) {
@@ -300,12 +302,13 @@ function collectCategoryRows(ctx, payload) {
         const isUndatedRow = kYearKey === undatedLabel;
 
         if (!isUndatedRow) {
-          const y = Number(kYearKey);
+          // yearKey may be a period ("2024-Q1", "2024-03"): compare chronologically
+          const y = yearOfPeriodKey(kYearKey);
 
           if (!Number.isFinite(targetYearNum) || !Number.isFinite(y)) {
             if (kYearKey !== yKey) continue;
           } else {
-            if (y > targetYearNum) continue;
+            if (comparePeriodKeys(kYearKey, yKey) > 0) continue;
           }
 
           if (Number.isFinite(yf) && Number.isFinite(y) && y < yf) continue;
@@ -390,7 +393,7 @@ function collectCategoryRows(ctx, payload) {
 
       const isUndated = yearKey === undatedLabel;
       if (!isUndated) {
-        const y = Number(yearKey);
+        const y = yearOfPeriodKey(yearKey);
         if (Number.isFinite(yf) && Number.isFinite(y) && y < yf) continue;
         if (Number.isFinite(yt) && Number.isFinite(y) && y > yt) continue;
       }
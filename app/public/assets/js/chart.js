@@ -1,6 +1,9 @@
 // chart.js
 // -----------------------------------------------------------------------------
-// Grouped bar chart (D3) – Year × Type × Category
+// Bar chart (D3) – Year × Type × Category
+// - grouped (default): year → type → category bands
+// - stacked: categories stacked per year (or per year × type), with separate
+//   positive/negative stacks; "percent" normalises each side to 100 %
 //
 // Responsibilities (strict):
 // - Render the SVG chart (scales, axes, bars).
@@ -15,6 +18,17 @@
 // - data.bars: aggregates with { yearKey, year|null, cat, type|typ, kosten, menge }
 // - data.cats: string[] (category identities; no normalization beyond trim)
 // - data.hasUndated / data.undatedLabel: support “Undatiert” bucket
+// - state.granularity: "year" | "quarter" | "month" (yearKey is then a period key)
+// - data.plannedBars + state.planView ("off" | "side" | "marker"): plan vs. actual
+//   (plan layers are drawn in the grouped layout only; hover carries plan values always)
+// - state.barLayout: "grouped" | "stacked" | "stacked-type" | "percent"
+// - lines (optional, renderer-owned): { total: Map<yearKey, number>|null, sources: [{ id, label, totals }] }
+//   drawn as cumulative lines along the x domain on a secondary (right) axis
+// - notes (optional, renderer-owned): [{ year, cat, sourceId, text }] (notes.js, already
+//   filtered to the view) drawn as one marker per year below the x axis, at the first period
+// - anomalies (optional, renderer-owned): [{ kind, key, year, reason }] (anomalies.js) drawn
+//   as one warning marker per period below the x axis (band center; year-level findings
+//   at the year's first period)
 // -----------------------------------------------------------------------------
 
 // -----------------------------------------------------------------------------
@@ -32,10 +46,55 @@
 //   mode: "kosten" | "menge",
 //   value: number,          // value in current mode
 //   unit: string            // "€" or unit for menge
+//   planned?: number,       // only with planView != "off" (plan value of the slice)
+//   delta?: number,         // value - planned
+//   share?: number          // only in stacked layouts: |value| / |sum of its stack side| (0..1)
 // }
 
 import { cleanKey } from "/assets/js/keys.js";
 import { chartAnimMs } from "/assets/js/timing.js";
+import { normalizeGranularity, comparePeriodKeys, formatPeriodTick, yearOfPeriodKey } from "/assets/js/period.js";
+import { moneyToneClassFromDelta } from "/assets/js/moneytone.js";
+import { ANOMALY_LABEL } from "/assets/js/anomalies.js";
+
+function fmtValue(v) {
+  return Number(v).toLocaleString("de-DE", { maximumFractionDigits: 2 });
+}
+
+/**
+ * stackSegments(rows, valueOf, percent)
+ * - Stacks rows in the given order; positives grow up from 0, negatives down.
+ * - percent: each side is normalised to ±100 (share of its side).
+ * - Returns shallow copies with s0/s1 (stack extent) and share (0..1).
+ */
+function stackSegments(rows, valueOf, percent) {
+  let posSum = 0;
+  let negSum = 0;
+  for (const r of rows) {
+    const v = valueOf(r);
+    if (v > 0) posSum += v;
+    else negSum -= v;
+  }
+
+  let pos = 0;
+  let neg = 0;
+  return rows.map((r) => {
+    const v = valueOf(r);
+    const side = v >= 0 ? posSum : negSum;
+    const share = side ? Math.abs(v) / side : 0;
+    const hv = percent ? Math.sign(v) * share * 100 : v;
+
+    let s0;
+    if (hv >= 0) {
+      s0 = pos;
+      pos += hv;
+    } else {
+      s0 = neg;
+      neg += hv;
+    }
+    return { ...r, share, s0, s1: s0 + hv };
+  });
+}
 
 function drawEmpty(svg, msg, w, h) {
   svg.selectAll("*").remove();
@@ -48,7 +107,7 @@ function drawEmpty(svg, msg, w, h) {
     .text(msg);
 }
 
-export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }) {
+export function drawChart({ svgEl, rootEl, data, state, colorByCat, lines, notes, anomalies, onBarHover }) {
   const d3 = window.d3;
   if (!d3) throw new Error("D3 not loaded");
 
@@ -85,6 +144,10 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
   const mode = state.mode === "menge" ? "menge" : "kosten";
   const valueOf = (b) => (mode === "kosten" ? b.kosten : b.menge);
 
+  // Plan vs. actual: planned amounts come from data.plannedBars (never from bars)
+  const planView = state.planView === "side" || state.planView === "marker" ? state.planView : "off";
+  const planOn = planView !== "off" && Array.isArray(data.plannedBars) && data.plannedBars.length > 0;
+
   // ---------------------------------------------------------------------------
   // Animation timing (single source of truth)
   // ---------------------------------------------------------------------------
@@ -107,24 +170,29 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
 
   // ---------------------------------------------------------------------------
   // Year domain (yearKey-based)
+  // - year: every numeric year gets a band (gaps stay visible)
+  // - quarter/month: only periods that carry bars, sorted chronologically
   // ---------------------------------------------------------------------------
   const undatedLabel = String(data?.undatedLabel || "Undatiert");
+  const granularity = normalizeGranularity(state?.granularity);
 
   const numericYears = (data?.years || [])
     .map((y) => Number(y))
     .filter(Number.isFinite)
     .sort((a, b) => a - b);
 
-  const yearKeysOrdered = numericYears.map(String);
+  const yearKeysOrdered = granularity === "year" ? numericYears.map(String) : [];
 
+  const barsForDomain = planOn ? (data.bars || []).concat(data.plannedBars) : data.bars || [];
   const yearKeysFromBars = Array.from(
-    new Set((data.bars || []).map((b) => String(b.yearKey || "")).filter(Boolean))
+    new Set(barsForDomain.map((b) => String(b.yearKey || "")).filter(Boolean))
   );
 
   for (const k of yearKeysFromBars) {
     if (k === undatedLabel) continue;
     if (!yearKeysOrdered.includes(k)) yearKeysOrdered.push(k);
   }
+  yearKeysOrdered.sort(comparePeriodKeys);
 
   const hasUndated = !!data.hasUndated || yearKeysFromBars.includes(undatedLabel);
   if (hasUndated && !yearKeysOrdered.includes(undatedLabel)) {
@@ -143,7 +211,7 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
   // ---------------------------------------------------------------------------
   const getType = (b) => cleanKey(b?.type ?? b?.typ ?? b?.Buchungstyp ?? "") || "Unbekannt";
 
-  const barsRaw = data.bars.map((b) => ({
+  const normalizeBar = (b) => ({
     yearKey: String(b.yearKey ?? (b.year == null ? "" : String(b.year))).trim(),
     year: b.year == null ? null : Number(b.year),
     // Category is an IDENTITY (Option A strict): do not normalize beyond trim
@@ -151,7 +219,10 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
     type: getType(b),
     kosten: Number(b.kosten),
     menge: Number(b.menge),
-  }));
+  });
+
+  const barsRaw = data.bars.map(normalizeBar);
+  const plannedRaw = planOn ? data.plannedBars.map(normalizeBar) : [];
 
   // ---------------------------------------------------------------------------
   // Kategorie-Filter
@@ -208,10 +279,29 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
     addToAgg(`${b.yearKey}||${b.type}||${b.cat}`, b);
   }
 
-  const aggRows = Array.from(acc.values()).filter((r) => {
-    const v = valueOf(r);
-    return Number.isFinite(v) && v !== 0;
-  });
+  // Planned values per slice; plan-only slices get an actual of 0 so the plan stays visible
+  const planByKey = new Map();
+  for (const b of plannedRaw) {
+    if (!b.yearKey || !b.cat) continue;
+    if (!enabledCatSet.has(b.cat)) continue;
+
+    const key = `${b.yearKey}||${b.type}||${b.cat}`;
+    const v = valueOf(b);
+    if (!Number.isFinite(v)) continue;
+    planByKey.set(key, (planByKey.get(key) || 0) + v);
+    if (!acc.has(key)) addToAgg(key, { ...b, kosten: 0, menge: 0 });
+  }
+
+  const aggRows = Array.from(acc.values())
+    .map((r) => {
+      const planned = planByKey.get(`${r.yearKey}||${r.type}||${r.cat}`);
+      return planned == null ? r : { ...r, planned };
+    })
+    .filter((r) => {
+      const v = valueOf(r);
+      const hasPlan = Number.isFinite(r.planned) && r.planned !== 0;
+      return Number.isFinite(v) && (v !== 0 || hasPlan);
+    });
 
   if (!aggRows.length) {
     drawEmpty(svg, "Keine Werte im aktuellen Filter.", w, h);
@@ -224,33 +314,98 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
     rowsByYearKey.get(r.yearKey)?.push(r);
   }
 
+  // ---------------------------------------------------------------------------
+  // Layout: grouped (default) or stacked (per yearKey / per yearKey × type / 100 %)
+  // ---------------------------------------------------------------------------
+  const barLayout = ["stacked", "stacked-type", "percent"].includes(state.barLayout)
+    ? state.barLayout
+    : "grouped";
+  const stacked = barLayout !== "grouped";
+  const percent = barLayout === "percent";
+
+  // Stable segment order across stacks: type, then category universe order
+  const catOrder = new Map(catsUniverse.map((c, i) => [c, i]));
+  const bySegmentOrder = (a, b) =>
+    String(a.type).localeCompare(String(b.type)) ||
+    (catOrder.get(a.cat) ?? 0) - (catOrder.get(b.cat) ?? 0);
+
+  // yearKey -> [{ key, segs }]
+  const stacksByYearKey = new Map();
+  if (stacked) {
+    for (const [yearKey, rows] of rowsByYearKey) {
+      const groups = new Map();
+      for (const r of rows) {
+        const k = barLayout === "stacked-type" ? r.type : "";
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(r);
+      }
+
+      const stacks = Array.from(groups, ([key, list]) => ({
+        key,
+        segs: stackSegments(list.slice().sort(bySegmentOrder), valueOf, percent),
+      })).sort((a, b) => String(a.key).localeCompare(String(b.key)));
+
+      stacksByYearKey.set(yearKey, stacks);
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Scales
   // ---------------------------------------------------------------------------
-  const margin = { top: 24, right: 12, bottom: 78, left: 80 };
+  // Line overlay: cumulative series along the dated x domain (undated bucket excluded)
+  const lineSeries = buildLineSeries(lines, yearStrings.filter((k) => k !== undatedLabel));
+  const linesOn = lineSeries.length > 0;
+
+  // Tilted month labels reach further down: marker rows (notes, anomalies) move with them
+  const markerShift = granularity === "month" ? MONTH_LABEL_EXTRA : 0;
+  const margin = { top: 24, right: linesOn ? 72 : 12, bottom: 78 + markerShift, left: 80 };
   const innerW = w - margin.left - margin.right;
 
   const xYear = d3.scaleBand().domain(yearStrings).range([0, innerW]).paddingInner(0.08);
 
+  let yDomain;
+  if (percent) {
+    const hasPos = aggRows.some((r) => valueOf(r) > 0);
+    const hasNeg = aggRows.some((r) => valueOf(r) < 0);
+    yDomain = [hasNeg ? -100 : 0, hasPos ? 100 : 0];
+  } else if (stacked) {
+    const ext = [0];
+    for (const stacks of stacksByYearKey.values()) {
+      for (const s of stacks) for (const d of s.segs) ext.push(d.s0, d.s1);
+    }
+    yDomain = d3.extent(ext).map((v) => v * 1.15);
+  } else {
+    const domainValues = aggRows.map(valueOf);
+    for (const r of aggRows) if (Number.isFinite(r.planned)) domainValues.push(r.planned);
+    yDomain = d3.extent(domainValues).map((v) => v * 1.15);
+  }
+
   const y = d3
     .scaleLinear()
-    .domain(d3.extent(aggRows.map(valueOf)).map((v) => v * 1.15))
+    .domain(yDomain)
     .nice()
     .range([h - margin.bottom, margin.top]);
 
   const g = svg.append("g").attr("transform", `translate(${margin.left},0)`);
 
-  g.append("g").attr("class", "axis axis-y").call(d3.axisLeft(y).ticks(5));
+  const yAxis = d3.axisLeft(y).ticks(5);
+  if (percent) yAxis.tickFormat((v) => `${v} %`);
+  g.append("g").attr("class", "axis axis-y").call(yAxis);
 
-  g.append("g")
+  const xAxis = g.append("g")
     .attr("class", "axis axis-x")
     .attr("transform", `translate(0,${h - margin.bottom})`)
-    .call(
-      d3.axisBottom(xYear).tickFormat((d) => {
-        const n = Number(d);
-        return Number.isFinite(n) ? String(n).slice(-2) : String(d);
-      })
-    );
+    .call(d3.axisBottom(xYear).tickFormat(formatPeriodTick));
+
+  // Monthly ticks get crowded: tilt labels
+  if (granularity === "month") {
+    xAxis
+      .selectAll("text")
+      .attr("text-anchor", "end")
+      .attr("transform", "rotate(-45)")
+      .attr("dx", "-0.4em")
+      .attr("dy", "0.6em");
+  }
 
   // ---------------------------------------------------------------------------
   // Render bars
@@ -295,9 +450,99 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
       unit: unitFor(d.cat),
       // nice-to-have for controllers:
       color: colorByCat.get(d.cat) || "",
+      ...(Number.isFinite(d.planned) ? { planned: d.planned, delta: v - d.planned } : null),
+      ...(Number.isFinite(d.share) ? { share: d.share } : null),
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Stacked layout (one or more stacks per yearKey)
+  // ---------------------------------------------------------------------------
+  // Segment labels only where they fit (horizontal, inside the segment)
+  const STACK_LABEL_MIN_PX = 14;
+  const STACK_LABEL_CHAR_PX = 7;
+
+  function segGeom(d) {
+    const yTop = y(Math.max(d.s0, d.s1));
+    const h = Math.abs(y(d.s0) - y(d.s1));
+    return { yTop, h };
+  }
+
+  function drawStacks(gYear, stacks) {
+    const xStack = d3
+      .scaleBand()
+      .domain(stacks.map((s) => s.key))
+      .range([0, xYear.bandwidth()])
+      .paddingInner(0.12);
+
+    const bw = xStack.bandwidth();
+    const keyFn = (d) => `${d.yearKey}||${d.type}||${d.cat}`;
+
+    for (const s of stacks) {
+      const xS = xStack(s.key);
+      if (xS == null) continue;
+
+      const gStack = gYear.append("g").attr("class", "bar-stack").attr("transform", `translate(${xS},0)`);
+
+      // Layers (DOM order = paint order): segments -> hit targets -> labels
+      const gVis = gStack.append("g").attr("class", "bars-vis");
+      const gHit = gStack.append("g").attr("class", "bars-hit");
+
+      gVis
+        .selectAll("rect.bar")
+        .data(s.segs, keyFn)
+        .join("rect")
+        .attr("class", (d) => `bar ${valueOf(d) < 0 ? "is-neg" : "is-pos"}`)
+        .attr("x", 0)
+        .attr("width", bw)
+        .attr("fill", (d) => colorByCat.get(d.cat) || "#111")
+        .style("pointer-events", "none")
+        // start collapsed at baseline, animate to final geometry
+        .attr("y", y0)
+        .attr("height", 0)
+        .transition()
+        .duration(ANIM_MS_SAFE)
+        .ease(ANIM_EASE)
+        .attr("y", (d) => segGeom(d).yTop)
+        .attr("height", (d) => segGeom(d).h);
+
+      // Segments sit edge to edge: hit rects use the exact geometry (no min height)
+      const hits = gHit
+        .selectAll("rect.bar-hit")
+        .data(s.segs, keyFn)
+        .join("rect")
+        .attr("class", "bar-hit")
+        .attr("x", 0)
+        .attr("width", bw)
+        .attr("y", (d) => segGeom(d).yTop)
+        .attr("height", (d) => Math.max(1, segGeom(d).h))
+        .attr("fill", "transparent")
+        .style("pointer-events", "all");
+
+      const fits = (d) =>
+        segGeom(d).h >= STACK_LABEL_MIN_PX && String(d.cat || "").length * STACK_LABEL_CHAR_PX <= bw;
+
+      gStack
+        .append("g")
+        .attr("class", "bar-labels")
+        .selectAll("text.bar-seg-label")
+        .data(s.segs.filter(fits), keyFn)
+        .join("text")
+        .attr("class", "bar-seg-label")
+        .attr("x", bw / 2)
+        .attr("y", (d) => segGeom(d).yTop + segGeom(d).h / 2)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .style("pointer-events", "none")
+        .text((d) => String(d.cat || ""));
+
+      hits
+        .on("pointerenter", (event, d) => emitHover(event, d))
+        .on("pointermove", (event, d) => emitHover(event, d))
+        .on("pointerleave", () => emitBarHover?.(null));
+    }
+  }
+
   for (const yearKey of yearStrings) {
     const xYearPos = xYear(yearKey);
     if (xYearPos == null) continue;
@@ -305,6 +550,12 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
     const rows = rowsByYearKey.get(yearKey) || [];
     if (!rows.length) continue;
 
+    if (stacked) {
+      const gStackYear = gBarsRoot.append("g").attr("transform", `translate(${xYearPos},0)`);
+      drawStacks(gStackYear, stacksByYearKey.get(yearKey) || []);
+      continue;
+    }
+
     const types = Array.from(new Set(rows.map((r) => r.type)));
 
     const xType = d3
@@ -328,6 +579,9 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
 
       const gType = gYear.append("g").attr("transform", `translate(${xT},0)`);
 
+      // Side-by-side plan: actual takes the left half of the category band
+      const actualW = planOn && planView === "side" ? xCat.bandwidth() / 2 : xCat.bandwidth();
+
       // Layers (DOM order = paint order): bars -> hit targets -> labels
       const gVis = gType.append("g").attr("class", "bars-vis");
       const gHit = gType.append("g").attr("class", "bars-hit");
@@ -352,7 +606,7 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
             enter
               .append("rect")
               .attr("x", (d) => xCat(d.cat))
-              .attr("width", xCat.bandwidth())
+              .attr("width", actualW)
               // start collapsed at baseline
               .attr("y", y0)
               .attr("height", 0)
@@ -380,7 +634,7 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
           (update) =>
             update
               .attr("x", (d) => xCat(d.cat))
-              .attr("width", xCat.bandwidth())
+              .attr("width", actualW)
               .attr("fill", (d) => colorByCat.get(d.cat) || "#111")
               .attr("class", (d) => `bar ${valueOf(d) < 0 ? "is-neg" : "is-pos"}`)
               .style("pointer-events", "none")
@@ -402,6 +656,37 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
               .remove()
         );
 
+      // Plan vs. actual (view-only layer; variance tone via moneytone.js)
+      if (planOn) {
+        const rowsP = rowsT.filter((d) => Number.isFinite(d.planned));
+        const toneClass = (d) => moneyToneClassFromDelta(valueOf(d), d.planned);
+
+        if (planView === "side") {
+          gVis
+            .selectAll("rect.bar-plan")
+            .data(rowsP, keyFn)
+            .join("rect")
+            .attr("class", (d) => `bar-plan ${toneClass(d)}`)
+            .attr("x", (d) => xCat(d.cat) + actualW)
+            .attr("width", actualW)
+            .attr("y", (d) => y(Math.max(0, d.planned)))
+            .attr("height", (d) => Math.abs(y(d.planned) - y0))
+            .attr("fill", (d) => colorByCat.get(d.cat) || "#111")
+            .style("pointer-events", "none");
+        } else {
+          gVis
+            .selectAll("line.plan-marker")
+            .data(rowsP, keyFn)
+            .join("line")
+            .attr("class", (d) => `plan-marker ${toneClass(d)}`)
+            .attr("x1", (d) => xCat(d.cat) - 2)
+            .attr("x2", (d) => xCat(d.cat) + xCat.bandwidth() + 2)
+            .attr("y1", (d) => y(d.planned))
+            .attr("y2", (d) => y(d.planned))
+            .style("pointer-events", "none");
+        }
+      }
+
       // Hit rects: final geometry (no animation needed) with min height.
       const hits = gHit
         .selectAll("rect.bar-hit")
@@ -428,6 +713,18 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
           (exit) => exit.remove()
         );
 
+      // Native tooltip with plan/actual values (no extra DOM outside the SVG)
+      if (planOn) {
+        hits
+          .filter((d) => Number.isFinite(d.planned))
+          .append("title")
+          .text((d) => {
+            const v = valueOf(d);
+            const u = unitFor(d.cat);
+            return `${d.cat} ${d.yearKey}\nIst: ${fmtValue(v)} ${u}\nPlan: ${fmtValue(d.planned)} ${u}\nAbw.: ${fmtValue(v - d.planned)} ${u}`;
+          });
+      }
+
       // Append labels LAST so they render above bars/hit rects
       const gLabels = gType.append("g").attr("class", "bar-labels");
 
@@ -481,5 +778,229 @@ export function drawChart({ svgEl, rootEl, data, state, colorByCat, onBarHover }
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Line overlay (secondary axis, own hover values via <title>)
+  // ---------------------------------------------------------------------------
+  if (linesOn) {
+    const lineUnit = mode === "kosten" ? " €" : "";
+    const cumValues = [0];
+    for (const s of lineSeries) for (const p of s.points) cumValues.push(p.cum);
+
+    const y2 = d3
+      .scaleLinear()
+      .domain(d3.extent(cumValues).map((v) => v * 1.1))
+      .nice()
+      .range([h - margin.bottom, margin.top]);
+
+    g.append("g")
+      .attr("class", "axis axis-y2")
+      .attr("transform", `translate(${innerW},0)`)
+      .call(d3.axisRight(y2).ticks(5));
+
+    const xMid = (k) => xYear(k) + xYear.bandwidth() / 2;
+    const line = d3
+      .line()
+      .x((p) => xMid(p.yearKey))
+      .y((p) => y2(p.cum));
+
+    const gLines = g.append("g").attr("class", "cum-lines");
+    const gLegend = svg
+      .append("g")
+      .attr("class", "cum-legend")
+      .attr("transform", `translate(${margin.left},${margin.top - 10})`);
+
+    let legendX = 0;
+    lineSeries.forEach((s, i) => {
+      const color = s.id == null ? null : d3.schemeTableau10[i % 10];
+      const cls = s.id == null ? "cum-line is-total" : "cum-line is-source";
+
+      const gS = gLines.append("g").attr("class", cls);
+      if (color) gS.style("color", color);
+
+      gS.append("path").attr("class", "cum-line__path").attr("d", line(s.points));
+
+      gS.selectAll("circle.cum-line__pt")
+        .data(s.points)
+        .join("circle")
+        .attr("class", "cum-line__pt")
+        .attr("cx", (p) => xMid(p.yearKey))
+        .attr("cy", (p) => y2(p.cum))
+        .attr("r", 4)
+        .append("title")
+        .text(
+          (p) =>
+            `${s.label} – ${p.yearKey}\nKumuliert: ${fmtValue(p.cum)}${lineUnit}\nIm Zeitraum: ${fmtValue(p.value)}${lineUnit}`
+        );
+
+      // Legend entry (swatch + label)
+      const gL = gLegend.append("g").attr("class", cls).attr("transform", `translate(${legendX},0)`);
+      if (color) gL.style("color", color);
+      gL.append("line").attr("class", "cum-line__path").attr("x1", 0).attr("x2", 18).attr("y1", 0).attr("y2", 0);
+      const txt = gL.append("text").attr("class", "cum-legend__label").attr("x", 22).attr("dy", "0.32em").text(s.label);
+      legendX += 22 + (txt.node()?.getComputedTextLength?.() || s.label.length * 7) + 16;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Notes (markers below the x axis; tooltip lists the notes of that year)
+  // ---------------------------------------------------------------------------
+  const noteMarkers = buildNoteMarkers(notes, yearStrings.filter((k) => k !== undatedLabel));
+  if (noteMarkers.length) {
+    const gNotes = g
+      .append("g")
+      .attr("class", "note-markers")
+      .attr("transform", `translate(0,${h - margin.bottom})`);
+
+    // Marker on the gap before the year's first band
+    const gap = (xYear.step() * xYear.paddingInner()) / 2;
+
+    for (const m of noteMarkers) {
+      const gM = gNotes.append("g").attr("class", "note-marker").attr("transform", `translate(${xYear(m.key) - gap},0)`);
+
+      gM.append("line").attr("class", "note-marker__line").attr("y1", 0).attr("y2", margin.top - (h - margin.bottom));
+      gM.append("circle").attr("class", "note-marker__dot").attr("cy", NOTE_MARKER_Y + markerShift).attr("r", 8);
+      gM.append("text")
+        .attr("class", "note-marker__count")
+        .attr("y", NOTE_MARKER_Y + markerShift)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "central")
+        .text(m.notes.length);
+      gM.append("title").text(m.notes.map(noteLabel).join("\n"));
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Anomalies (warning markers below the x axis; tooltip lists the reasons)
+  // ---------------------------------------------------------------------------
+  const anomalyMarkers = buildAnomalyMarkers(anomalies, yearStrings.filter((k) => k !== undatedLabel));
+  if (anomalyMarkers.length) {
+    const gAnom = g
+      .append("g")
+      .attr("class", "anomaly-markers")
+      .attr("transform", `translate(0,${h - margin.bottom})`);
+
+    for (const m of anomalyMarkers) {
+      const gM = gAnom
+        .append("g")
+        .attr("class", "anomaly-marker")
+        .attr("transform", `translate(${xYear(m.key) + xYear.bandwidth() / 2},${ANOMALY_MARKER_Y + markerShift})`);
+
+      gM.append("path").attr("class", "anomaly-marker__shape").attr("d", "M0,-9L9,7L-9,7Z");
+      gM.append("text")
+        .attr("class", "anomaly-marker__count")
+        .attr("y", 2)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "central")
+        .text(m.items.length > 1 ? m.items.length : "!");
+      gM.append("title").text(m.items.map(anomalyLabel).join("\n"));
+    }
+  }
+
   return { colorByCat };
+}
+
+/**
+ * highlightChartCat(svgEl, cat)
+ * - Hebt eine Kategorie im gezeichneten Chart hervor (alle anderen Balken,
+ *   Plan-Layer und Labels werden gedimmt); cat leer/null => alles normal
+ * - Reine Klassen-Umschaltung (.is-muted), kein Redraw
+ */
+export function highlightChartCat(svgEl, cat) {
+  const d3 = window.d3;
+  if (!svgEl || !d3) return;
+  const c = typeof cat === "string" ? cat : "";
+
+  d3.select(svgEl)
+    .selectAll("rect.bar, rect.bar-plan, .plan-marker, .bar-cat-label, .bar-seg-label")
+    .classed("is-muted", function (d) {
+      return !!c && d?.cat !== c;
+    });
+}
+
+// Marker rows below the tick labels (inside margin.bottom), one row each so
+// notes (band gap) and anomalies (band center) never overlap
+const NOTE_MARKER_Y = 44;
+const ANOMALY_MARKER_Y = 68;
+// Extra room for month labels (rotate(-45) at 17px reaches ~30px further down)
+const MONTH_LABEL_EXTRA = 30;
+
+/**
+ * buildNoteMarkers(notes, keys)
+ * - Groups notes by year and anchors each year at its first period key in the domain.
+ * - Years outside the domain are dropped.
+ */
+function buildNoteMarkers(notes, keys) {
+  if (!Array.isArray(notes) || !notes.length || !keys.length) return [];
+
+  const out = new Map();
+  for (const n of notes) {
+    const year = Number(n?.year);
+    const key = keys.find((k) => yearOfPeriodKey(k) === year);
+    if (key == null) continue;
+
+    if (!out.has(key)) out.set(key, { key, notes: [] });
+    out.get(key).notes.push(n);
+  }
+  return Array.from(out.values());
+}
+
+function noteLabel(n) {
+  const where = [String(n.year), n.cat || "", n.sourceId || ""].filter(Boolean).join(" · ");
+  return `${where}: ${n.text}`;
+}
+
+/**
+ * buildAnomalyMarkers(anomalies, keys)
+ * - Groups anomalies by period key; year-level findings (key null) go to the
+ *   year's first period key in the domain. Keys outside the domain are dropped.
+ */
+function buildAnomalyMarkers(anomalies, keys) {
+  if (!Array.isArray(anomalies) || !anomalies.length || !keys.length) return [];
+
+  const out = new Map();
+  for (const a of anomalies) {
+    const key = a?.key != null && keys.includes(a.key)
+      ? a.key
+      : keys.find((k) => yearOfPeriodKey(k) === Number(a?.year));
+    if (key == null) continue;
+
+    if (!out.has(key)) out.set(key, { key, items: [] });
+    out.get(key).items.push(a);
+  }
+  return Array.from(out.values());
+}
+
+function anomalyLabel(a) {
+  const label = ANOMALY_LABEL[a.kind] || a.kind;
+  return `${label} · ${a.cat}: ${a.reason}`;
+}
+
+/**
+ * buildLineSeries(lines, keys)
+ * - Turns per-period totals into cumulative points along the x domain.
+ * - Periods without values carry the running sum forward (flat segment).
+ * - Series without any value in the domain are dropped.
+ */
+function buildLineSeries(lines, keys) {
+  if (!lines || !keys.length) return [];
+
+  const raw = [];
+  if (lines.total instanceof Map) raw.push({ id: null, label: "Gesamt", totals: lines.total });
+  for (const s of Array.isArray(lines.sources) ? lines.sources : []) {
+    if (s?.totals instanceof Map) raw.push({ id: String(s.id), label: String(s.label || s.id), totals: s.totals });
+  }
+
+  const out = [];
+  for (const s of raw) {
+    if (!keys.some((k) => s.totals.has(k))) continue;
+
+    let cum = 0;
+    const points = keys.map((k) => {
+      const value = s.totals.get(k) || 0;
+      cum += value;
+      return { yearKey: k, value, cum };
+    });
+    out.push({ id: s.id, label: s.label, points });
+  }
+  return out;
 }
\ No newline at end of file
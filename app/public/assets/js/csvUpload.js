@@ -0,0 +1,204 @@
+// -----------------------------------------------------------------------------
+// csvUpload.js
+// - CSV per Drag & Drop (irgendwo auf dem Dashboard) oder Dateiauswahl importieren
+// - Ablauf: Datei -> /api/upload/preview (Header + erste Zeilen + Probe-Parse)
+//   -> Vorschau im "Quellen"-Tab -> "Übernehmen" -> /api/upload
+// - Der Server legt die Datei im Datenverzeichnis ab und trägt sie in
+//   config.json ein; Daten/Chart ziehen per Live-Reload nach
+// - Ohne Dependencies, ohne Inline-Styles
+// -----------------------------------------------------------------------------
+
+import { previewUpload, uploadSource } from "./api.js";
+import { resolveEl, escapeHtml, readFields, describeCheck } from "./dom-helpers.js";
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * wireCsvUpload(ctx, opts)
+ * - Rendert Dateiauswahl + Vorschau in #csvUpload (oder opts.root)
+ * - opts.onRegistered(result): nach erfolgreichem Import (z.B. Quellenliste neu laden)
+ * - Rückgabe: { open(file) } oder null, wenn der Mount fehlt
+ */
+export function wireCsvUpload(ctx, opts = {}) {
+  const root = resolveEl(opts.root || "csvUpload");
+  if (!root) return null;
+
+  // Aktuelle Datei + letzte Vorschau (null => Ruhezustand)
+  let file = null;
+  let preview = null;
+  let busy = false;
+
+  const render = (status = "", isError = false, failedPreview = null) => {
+    root.innerHTML = renderUpload(file, preview || failedPreview, status, isError);
+  };
+
+  const open = async (nextFile) => {
+    if (!nextFile || busy) return;
+    file = nextFile;
+    preview = null;
+    showSourcesTab();
+
+    busy = true;
+    render(`„${file.name}“ wird geprüft …`);
+    try {
+      preview = await previewUpload(file);
+      render(preview.exists ? `Datei „${preview.name}“ liegt bereits im Datenverzeichnis und wird ersetzt.` : "");
+    } catch (e) {
+      render(`Import nicht möglich: ${e.message}`, true, e.preview ? { preview: e.preview } : null);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const confirm = async () => {
+    if (!file || !preview || busy) return;
+    busy = true;
+    const params = readFields(root);
+    render("Import läuft …");
+
+    try {
+      const res = await uploadSource(file, { ...params, overwrite: preview.exists ? 1 : null });
+      file = null;
+      preview = null;
+      render(
+        res.replaced
+          ? `Quelle „${res.source.id}“: Datei ersetzt.`
+          : `Quelle „${res.source.id}“ angelegt.`
+      );
+      opts.onRegistered?.(res);
+    } catch (e) {
+      render(`Import fehlgeschlagen: ${e.message}`, true);
+    } finally {
+      busy = false;
+    }
+  };
+
+  root.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-action]");
+    if (!btn || !root.contains(btn)) return;
+
+    if (btn.dataset.action === "confirm") confirm();
+    if (btn.dataset.action === "cancel") {
+      file = null;
+      preview = null;
+      render();
+    }
+  });
+
+  root.addEventListener("change", (ev) => {
+    const input = ev.target.closest("[data-role='file']");
+    if (input?.files?.[0]) open(input.files[0]);
+  });
+
+  wireDropZone(document.body, open);
+
+  render();
+  return { open };
+}
+
+// -----------------------------------------------------------------------------
+// 1) Drag & Drop
+// -----------------------------------------------------------------------------
+
+/**
+ * Ganze Seite als Drop-Ziel.
+ * - Nur Datei-Drags (keine Text-/Element-Drags)
+ * - dragenter/leave zählen, weil Kinder-Elemente eigene Events feuern
+ */
+function wireDropZone(el, onFile) {
+  let depth = 0;
+  const isFileDrag = (ev) => Array.from(ev.dataTransfer?.types || []).includes("Files");
+
+  el.addEventListener("dragenter", (ev) => {
+    if (!isFileDrag(ev)) return;
+    ev.preventDefault();
+    depth++;
+    el.classList.add("is-csv-drop");
+  });
+
+  el.addEventListener("dragover", (ev) => {
+    if (!isFileDrag(ev)) return;
+    ev.preventDefault();
+    ev.dataTransfer.dropEffect = "copy";
+  });
+
+  el.addEventListener("dragleave", (ev) => {
+    if (!isFileDrag(ev)) return;
+    depth = Math.max(0, depth - 1);
+    if (!depth) el.classList.remove("is-csv-drop");
+  });
+
+  el.addEventListener("drop", (ev) => {
+    if (!isFileDrag(ev)) return;
+    ev.preventDefault();
+    depth = 0;
+    el.classList.remove("is-csv-drop");
+    onFile(ev.dataTransfer.files?.[0] || null);
+  });
+}
+
+function showSourcesTab() {
+  const tabBtn = document.getElementById("sourcesTab");
+  if (tabBtn && window.bootstrap?.Tab) window.bootstrap.Tab.getOrCreateInstance(tabBtn).show();
+}
+
+// -----------------------------------------------------------------------------
+// 2) Rendering
+// -----------------------------------------------------------------------------
+
+function renderUpload(file, preview, status, isError) {
+  const picker = `
+    <label class="btn btn-sm btn-outline-secondary mb-0">
+      CSV hochladen …
+      <input type="file" accept=".csv,text/csv" data-role="file" hidden />
+    </label>
+    <span class="csv-upload__hint">oder Datei auf das Dashboard ziehen</span>
+  `;
+
+  const statusLine = `<div class="csv-upload__status${isError ? " is-error" : ""}" aria-live="polite">${escapeHtml(status)}</div>`;
+
+  if (!file || !preview?.preview) return `<div class="csv-upload">${picker}${statusLine}</div>`;
+
+  const p = preview.preview;
+  const canConfirm = !!preview.ok;
+
+  const head = p.header.map((h) => `<th>${escapeHtml(h)}</th>`).join("");
+  const body = p.rows
+    .map((cells) => `<tr>${p.header.map((_h, i) => `<td>${escapeHtml(cells[i] ?? "")}</td>`).join("")}</tr>`)
+    .join("");
+
+  const summary = [
+    `${escapeHtml(file.name)} – ${p.rowCount} Zeilen`,
+    `erkannt: ${escapeHtml(p.recognized.join(", ") || "–")}`,
+    p.missing.length ? `nicht vorhanden: ${escapeHtml(p.missing.join(", "))}` : "",
+    preview.check ? escapeHtml(describeCheck(preview.check)) : "",
+  ].filter(Boolean);
+
+  const form = canConfirm
+    ? `
+      <div class="csv-upload__form">
+        <input class="form-control form-control-sm" data-field="id" value="${escapeHtml(preview.suggestedId)}" placeholder="ID" aria-label="ID" />
+        <input class="form-control form-control-sm" data-field="label" value="" placeholder="Bezeichnung" aria-label="Bezeichnung" />
+        <button type="button" class="btn btn-sm btn-primary" data-action="confirm">Übernehmen</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="cancel">Verwerfen</button>
+      </div>
+    `
+    : `<div class="csv-upload__form"><button type="button" class="btn btn-sm btn-outline-secondary" data-action="cancel">Verwerfen</button></div>`;
+
+  return `
+    <div class="csv-upload">
+      ${picker}
+      <div class="sources-panel__summary">${summary.join(" · ")}</div>
+      <div class="derived-table csv-upload__preview">
+        <table>
+          <thead><tr>${head}</tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+      ${form}
+      ${statusLine}
+    </div>
+  `;
+}
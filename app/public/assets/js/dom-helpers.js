@@ -0,0 +1,62 @@
+// -----------------------------------------------------------------------------
+// dom-helpers.js
+// - Kleine, gemeinsame Helfer der UI-Module (wireX / renderXIntoDom)
+// - Ohne State, ohne Dependencies
+// -----------------------------------------------------------------------------
+
+/** Element per id (string) oder direkt (HTMLElement); sonst null. */
+export function resolveEl(rootOrId) {
+  if (!rootOrId) return null;
+  if (typeof rootOrId === "string") return document.getElementById(rootOrId);
+  if (rootOrId instanceof HTMLElement) return rootOrId;
+  return null;
+}
+
+/** Text für innerHTML/Attribute escapen. */
+export function escapeHtml(v) {
+  const s = v == null ? "" : String(v);
+  return s
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+/** Text für XML (SVG, SpreadsheetML) escapen. */
+export function escapeXml(v) {
+  return String(v ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/** Blob als Datei herunterladen (temporärer <a download>). */
+export function saveFile(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Werte aller [data-field]-Eingaben unter rootEl: { field: getrimmter Wert }. */
+export function readFields(rootEl) {
+  const out = {};
+  for (const el of rootEl?.querySelectorAll("[data-field]") || []) {
+    out[el.dataset.field] = String(el.value ?? "").trim();
+  }
+  return out;
+}
+
+/** Kurzbericht des Server-Probe-Parse (check aus /api/sources bzw. /api/upload). */
+export function describeCheck(check) {
+  const years = Array.isArray(check?.years) && check.years.length
+    ? `${check.years[0]}–${check.years[check.years.length - 1]}`
+    : "keine Jahre";
+  return `${check.bars} Balken, ${check.cats} Kategorien, ${years}, ${check.errors} Fehler, ${check.warnings} Warnungen`;
+}
@@ -0,0 +1,336 @@
+// -----------------------------------------------------------------------------
+// exportView.js
+// - Export der aktuellen, gefilterten Ansicht (Stand des letzten Redraws)
+// - Inhalt:
+//   * Balken: ctx.derived.view.bars (wie im Chart)
+//   * Summen: ctx.derived.aggregates (je Kategorie/Dimension, Typ, Quelle, Jahr;
+//     Wert im aktiven Modus Kosten/Menge)
+//   * Detailzeilen: dieselben Zeilen wie die CTX-Tabelle (renderGenTables.js)
+//   * Metadaten: aktive Filter, Zeitraum, Modus, Ansicht als Hash (view-state.js)
+// - Formate:
+//   * CSV (je Tabelle eine Datei): Semikolon, UTF-8 mit BOM, Dezimalkomma;
+//     Metadaten als `#`-Zeilen vor dem Header (parse.js überspringt sie, die
+//     Detail-CSV lässt sich also wieder als Quelle einlesen)
+//   * Excel: SpreadsheetML 2003 (.xml, ein Blatt je Tabelle; Excel/LibreOffice)
+//   * JSON: alles in einer Datei, Zahlen unformatiert
+// - Ohne Dependencies, ohne Inline-Styles
+// -----------------------------------------------------------------------------
+
+import { collectDerivedRows } from "./renderGenTables.js";
+import { encodeViewState } from "./view-state.js";
+import { normalizeDimension, normalizeColumnFilters, formatCsvCell } from "./parse.js";
+import { normalizeGranularity } from "./period.js";
+import { resolveEl, escapeXml, saveFile } from "./dom-helpers.js";
+
+// Spaltenreihenfolge der Detail-CSV = erwarteter Header von parse.js
+const DETAIL_COLUMNS = [
+  ["Gegenpartei", "Gegenpartei"],
+  ["Kostenart", "Kostenart"],
+  ["Kategorie", "Kategorie"],
+  ["Buchungstyp", "Buchungstyp"],
+  ["Von", "Von"],
+  ["Bis", "Bis"],
+  ["Jahr", "Jahr"],
+  ["Betrag", "Betrag"],
+  ["Menge", "Menge"],
+  ["Einheit", "Einheit"],
+  ["Status", "status"],
+  ["Memo", "memo"],
+  ["Quelle", "Quelle"],
+];
+
+// Nur als Spalte, wenn mindestens eine Zeile einen Wert hat
+const DETAIL_OPTIONAL_COLUMNS = ["Regel", "Aufteilung", "Anteil"];
+
+const DETAIL_FIELDS = new Set([...DETAIL_COLUMNS.map(([, f]) => f), ...DETAIL_OPTIONAL_COLUMNS]);
+
+const GRANULARITY_LABELS = { year: "Jahr", quarter: "Quartal", month: "Monat" };
+
+const FORMATS = {
+  "details-csv": { suffix: "details.csv", mime: "text/csv;charset=utf-8" },
+  "bars-csv": { suffix: "balken.csv", mime: "text/csv;charset=utf-8" },
+  "totals-csv": { suffix: "summen.csv", mime: "text/csv;charset=utf-8" },
+  xls: { suffix: "ansicht.xml", mime: "application/vnd.ms-excel;charset=utf-8" },
+  json: { suffix: "ansicht.json", mime: "application/json;charset=utf-8" },
+};
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * collectExportData(ctx)
+ * - Rückgabe: { meta, bars, totals, details } als flache Tabellen
+ *   - meta: [label, value][]
+ *   - bars/totals/details: { columns: string[], rows: object[] }
+ * - Wirft, wenn noch nichts gerendert wurde
+ */
+export function collectExportData(ctx) {
+  const d = ctx?.derived;
+  if (!d?.view || !d?.aggregates) throw new Error("exportView: keine sichtbaren Daten");
+
+  return {
+    meta: describeView(ctx),
+    bars: barsTable(ctx),
+    totals: totalsTable(ctx),
+    details: detailsTable(collectDerivedRows(ctx)),
+  };
+}
+
+/**
+ * buildExport(ctx, format, now)
+ * - format: "details-csv" | "bars-csv" | "totals-csv" | "xls" | "json"
+ * - Rückgabe: { fileName, mime, text }
+ */
+export function buildExport(ctx, format, now = new Date()) {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`exportView: unbekanntes Format ${format}`);
+
+  const data = collectExportData(ctx);
+  const meta = [["Export", formatTimestamp(now)], ...data.meta];
+  const fileName = `export-${formatTimestamp(now).slice(0, 10)}-${spec.suffix}`;
+
+  let text = "";
+  if (format === "details-csv") text = toCsv(meta, data.details);
+  if (format === "bars-csv") text = toCsv(meta, data.bars);
+  if (format === "totals-csv") text = toCsv(meta, data.totals);
+  if (format === "xls") {
+    text = toSpreadsheetXml([
+      ["Info", { columns: ["Feld", "Wert"], rows: meta.map(([Feld, Wert]) => ({ Feld, Wert })) }],
+      ["Balken", data.bars],
+      ["Summen", data.totals],
+      ["Details", data.details],
+    ]);
+  }
+  if (format === "json") {
+    text = `${JSON.stringify(
+      {
+        meta: Object.fromEntries(meta),
+        bars: data.bars.rows,
+        totals: data.totals.rows,
+        details: data.details.rows,
+      },
+      null,
+      2
+    )}\n`;
+  }
+
+  return { fileName, mime: spec.mime, text };
+}
+
+/**
+ * wireExport(ctx, opts)
+ * - Klicks auf [data-export="<format>"] in #exportMenu (oder opts.root)
+ *   laden die Datei herunter
+ * - Rückgabe: { download(format) } oder null, wenn der Mount fehlt
+ */
+export function wireExport(ctx, opts = {}) {
+  if (!ctx) throw new Error("wireExport: ctx missing");
+
+  const root = resolveEl(opts.root || "exportMenu");
+  if (!root) return null;
+
+  const download = (format) => {
+    try {
+      const { fileName, mime, text } = buildExport(ctx, format);
+      // BOM: Excel erkennt UTF-8 in CSV sonst nicht (parse.js entfernt ihn beim Einlesen)
+      const body = format.endsWith("-csv") ? `\uFEFF${text}` : text;
+      saveFile(fileName, new Blob([body], { type: mime }));
+    } catch (e) {
+      console.warn("exportView.js [download] failed:", e?.message || e);
+      window.alert(`Export nicht möglich: ${e?.message || e}`);
+    }
+  };
+
+  root.addEventListener("click", (ev) => {
+    const item = ev.target.closest("[data-export]");
+    if (!item || !root.contains(item)) return;
+    ev.preventDefault();
+    download(item.dataset.export);
+  });
+
+  return { download };
+}
+
+// -----------------------------------------------------------------------------
+// 1) Tabellen
+// -----------------------------------------------------------------------------
+
+function describeView(ctx) {
+  const s = ctx.state || {};
+  const dimension = normalizeDimension(s.dimension);
+  const sourceIds = Array.isArray(ctx.config?.sourceIds) ? ctx.config.sourceIds : [];
+  const labels = sourceLabels(ctx);
+
+  const enabledSources = s.enabledSourceIds instanceof Set ? Array.from(s.enabledSourceIds) : [];
+  const allSources = !enabledSources.length || sourceIds.every((id) => enabledSources.includes(id));
+
+  const filters = normalizeColumnFilters(s.columnFilters)
+    .map(([column, values]) => `${column} = ${values.join(", ")}`)
+    .join("; ");
+
+  const query = String(s.searchQuery ?? "").trim();
+  const hash = encodeViewState(s, {
+    sourceIds,
+    yearDomain: ctx.derived?.options?.yearDomain || null,
+  });
+
+  return [
+    ["Modus", s.mode === "menge" ? "Menge" : "Kosten"],
+    ["Zeitraum", s.yearFrom === s.yearTo ? String(s.yearFrom) : `${s.yearFrom}–${s.yearTo}`],
+    ["Zeitraster", GRANULARITY_LABELS[normalizeGranularity(s.granularity)]],
+    ["Gruppe", dimension],
+    ["Quellen", allSources ? "alle" : enabledSources.map((id) => labels.get(id) || id).join(", ")],
+    ["Typen", s.enabledTypes instanceof Set ? Array.from(s.enabledTypes).join(", ") : "alle"],
+    ["Ausgeblendet", s.disabledCats instanceof Set && s.disabledCats.size ? Array.from(s.disabledCats).join(", ") : "–"],
+    ["Spaltenfilter", filters || "–"],
+    ["Suche", query ? `${query}${s.searchLimitChart ? " (Chart nur Treffer)" : ""}` : "–"],
+    ["Ansicht", hash ? `#${hash}` : "–"],
+  ];
+}
+
+function barsTable(ctx) {
+  const dimension = normalizeDimension(ctx.state?.dimension);
+  const rows = (ctx.derived.view.bars || []).map((b) => ({
+    Zeitraum: String(b.yearKey ?? b.year ?? ""),
+    Jahr: Number.isFinite(b.year) ? b.year : "",
+    [dimension]: b.cat,
+    Buchungstyp: b.type,
+    Betrag: toNumber(b.kosten),
+    Menge: toNumber(b.menge),
+  }));
+
+  return { columns: ["Zeitraum", "Jahr", dimension, "Buchungstyp", "Betrag", "Menge"], rows };
+}
+
+function totalsTable(ctx) {
+  const ag = ctx.derived.aggregates;
+  const labels = sourceLabels(ctx);
+  const value = ctx.state?.mode === "menge" ? "Menge" : "Betrag";
+
+  const groups = [
+    [normalizeDimension(ctx.state?.dimension), ag.totalsByCat, (k) => k],
+    ["Buchungstyp", ag.totalsByType, (k) => k],
+    ["Quelle", ag.totalsBySource, (k) => labels.get(k) || k],
+    ["Jahr", ag.totalsByYear, (k) => k],
+  ];
+
+  const rows = [];
+  for (const [group, totals, label] of groups) {
+    if (!(totals instanceof Map)) continue;
+    for (const [key, sum] of totals) rows.push({ Gruppe: group, Wert: label(key), [value]: toNumber(sum) });
+  }
+
+  return { columns: ["Gruppe", "Wert", value], rows };
+}
+
+/**
+ * Detailzeilen (CTX-Tabelle) auf den CSV-Header von parse.js abbilden.
+ * - Zeitraum aus dem Detail-Key; Zusatzspalten der Quellen hinten (sortiert)
+ * - interne Felder (_cat, _line, …) fallen weg
+ */
+function detailsTable(list) {
+  const extras = new Set();
+  const optional = new Set();
+
+  for (const r of list) {
+    for (const [k, v] of Object.entries(r || {})) {
+      if (k.startsWith("_")) continue;
+      if (DETAIL_OPTIONAL_COLUMNS.includes(k)) {
+        if (v !== "" && v != null) optional.add(k);
+      } else if (!DETAIL_FIELDS.has(k)) {
+        extras.add(k);
+      }
+    }
+  }
+
+  // Eine Zusatzspalte "Zeitraum" der Quelle hat Vorrang vor dem Detail-Key
+  const periodColumns = extras.has("Zeitraum") ? [] : ["Zeitraum"];
+  const extraColumns = Array.from(extras).sort((a, b) => a.localeCompare(b, "de"));
+  const optionalColumns = DETAIL_OPTIONAL_COLUMNS.filter((c) => optional.has(c));
+
+  const rows = list.map((r) => {
+    const out = {};
+    for (const [column, field] of DETAIL_COLUMNS) out[column] = r?.[field] ?? "";
+    if (periodColumns.length) out.Zeitraum = String(r?.__key ?? "").split("||")[0];
+    for (const c of extraColumns) out[c] = r?.[c] ?? "";
+    for (const c of optionalColumns) out[c] = r?.[c] ?? "";
+    return out;
+  });
+
+  return {
+    columns: [...DETAIL_COLUMNS.map(([c]) => c), ...periodColumns, ...extraColumns, ...optionalColumns],
+    rows,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// 2) Formate
+// -----------------------------------------------------------------------------
+
+function toCsv(meta, table, delim = ";") {
+  const lines = meta.map(([k, v]) => formatCsvCell(`# ${k}: ${v}`, delim));
+  lines.push(table.columns.map((c) => formatCsvCell(c, delim)).join(delim));
+  for (const r of table.rows) {
+    lines.push(table.columns.map((c) => formatCsvCell(formatCsvValue(r[c]), delim)).join(delim));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/** Zahlen mit Dezimalkomma, ohne Tausenderpunkt (parse.js: numberLocale "de"/"auto"). */
+function formatCsvValue(v) {
+  if (typeof v !== "number") return v;
+  return Number.isFinite(v) ? String(v).replace(".", ",") : "";
+}
+
+/**
+ * SpreadsheetML 2003: reines XML, ein <Worksheet> je Tabelle.
+ * - Zahlen als Number-Zellen, Kopfzeile fett
+ */
+function toSpreadsheetXml(sheets) {
+  const cell = (v) => {
+    const isNum = typeof v === "number" && Number.isFinite(v);
+    return `<Cell><Data ss:Type="${isNum ? "Number" : "String"}">${escapeXml(isNum ? String(v) : v ?? "")}</Data></Cell>`;
+  };
+
+  const worksheets = sheets.map(([name, table]) => {
+    const head = `<Row ss:StyleID="head">${table.columns.map((c) => cell(c)).join("")}</Row>`;
+    const body = table.rows.map((r) => `<Row>${table.columns.map((c) => cell(r[c])).join("")}</Row>`);
+    return `<Worksheet ss:Name="${escapeXml(name)}"><Table>${[head, ...body].join("\n")}</Table></Worksheet>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles><Style ss:ID="head"><Font ss:Bold="1"/></Style></Styles>',
+    ...worksheets,
+    "</Workbook>",
+    "",
+  ].join("\n");
+}
+
+// -----------------------------------------------------------------------------
+// 3) Helpers
+// -----------------------------------------------------------------------------
+
+function sourceLabels(ctx) {
+  return new Map(
+    (Array.isArray(ctx.config?.sources) ? ctx.config.sources : []).map((s) => [
+      String(s?.id ?? "").trim(),
+      String(s?.label || s?.id || ""),
+    ])
+  );
+}
+
+/** Auf 6 Nachkommastellen runden (Float-Rauschen aus Summen, z.B. 0.30000000000000004). */
+function toNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n * 1e6) / 1e6 : 0;
+}
+
+/** Lokale Zeit "2025-03-14 09:30" (Dateiname + Metadaten). */
+function formatTimestamp(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
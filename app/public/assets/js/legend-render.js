@@ -91,6 +91,21 @@ export function textColorForBg(bg) {
   return "#0A0A0A";
 }
 
+/**
+ * Appends a note badge ("✎ n") to a legend node and lists the notes in its tooltip.
+ * No-op without notes.
+ */
+function appendNoteBadge(nodeEl, notes) {
+  if (!Array.isArray(notes) || !notes.length) return;
+
+  const lines = notes.map((n) => `${n.year}: ${n.text}`);
+  const badge = el("span", "legend-note-badge", `✎ ${notes.length}`);
+  badge.title = lines.join("\n");
+
+  nodeEl.title = [nodeEl.title, ...lines].filter(Boolean).join("\n");
+  nodeEl.appendChild(badge);
+}
+
 /**
  * Mount skeleton per CSS contract:
  * - legend-graph__edges (SVG)
@@ -180,6 +195,9 @@ export function renderHtmlNodes({
   catYearSpan,
   // OPTIONAL: currently highlighted year from the bar chart (hover/selection)
   highlightedYear,
+  // OPTIONAL: notes (notes.js) per category / source id -> badge + tooltip lines
+  notesByCat,
+  notesBySource,
 }) {
   const nodeElById = new Map();
 
@@ -242,6 +260,7 @@ export function renderHtmlNodes({
     const lab = el("div", "legend-type__label", node.label);
     const val = el("div", "legend-type__value", totalStr);
     circle.append(lab, val);
+    appendNoteBadge(circle, notesBySource?.get?.(String(node.sid ?? stripPrefix(node.id, "src:"))));
 
     // hide unrelated nodes if required (usedNodeIds computed from links)
     if (usedNodeIds && !usedNodeIds.has(node.id)) circle.dataset.hidden = "true";
@@ -365,6 +384,7 @@ export function renderHtmlNodes({
     }
 
     btn.append(label, valueEl);
+    appendNoteBadge(btn, notesByCat?.get?.(node.cat));
 
     btn.addEventListener("click", (ev) => {
       if (btn.dataset.drag === "true") {
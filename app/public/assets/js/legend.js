@@ -170,6 +170,8 @@ export function renderLegend({
   sourceTotals,
   catYearSpan,
   highlightedYear,
+  notesByCat,
+  notesBySource,
   graph,
 } = {}) {
   if (!mountEl) throw new Error("renderLegend: mountEl missing");
@@ -179,6 +181,8 @@ export function renderLegend({
   assertMap("typeTotals", typeTotals, true);
   assertMap("sourceTotals", sourceTotals);
   assertMap("catYearSpan", catYearSpan, true);
+  assertMap("notesByCat", notesByCat, true);
+  assertMap("notesBySource", notesBySource, true);
 
   if (!graph || typeof graph !== "object") {
     throw new Error("renderLegend: graph missing/invalid");
@@ -267,6 +271,8 @@ export function renderLegend({
     highlightedCat,
     catYearSpan,
     highlightedYear: getHighlightYear(state, highlightedYear),
+    notesByCat,
+    notesBySource,
   });
 
   const nodeById = new Map(nodes.map((n) => [n.id, n]));
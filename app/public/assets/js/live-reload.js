@@ -0,0 +1,108 @@
+// live-reload.js
+// -----------------------------------------------------------------------------
+// Live-Reload (Server-Sent Events, /api/events)
+// -----------------------------------------------------------------------------
+// - Server beobachtet config.json, rules.json, views.json, notes.json,
+//   PersYears.json und sources[].path (index.js)
+// - Event "change": { kind: "source" | "config" | "rules" | "views" | "notes", sourceIds: string[] }
+// - kind "views": nur die Liste der gespeicherten Ansichten neu holen
+// - kind "notes": nur die Notizen neu holen (notes.js fordert selbst den Redraw an)
+// - Client verwirft nur die betroffenen Quellen (reloadSources) und fordert
+//   einen Redraw an; Filter-State (Quellen/Typen/Kategorien/Jahre) bleibt erhalten
+// - EventSource verbindet sich selbst neu; nach einem Reconnect werden alle
+//   Quellen neu geladen (Änderungen während der Trennung sind sonst verloren)
+// -----------------------------------------------------------------------------
+
+import { fetchConfig, reloadSources } from "./api.js";
+import { getSourceIdsFromConfig } from "./state.js";
+
+/**
+ * connectLiveReload(ctx)
+ * - Rückgabe: { close() } oder null, wenn EventSource fehlt
+ */
+export function connectLiveReload(ctx) {
+  if (!ctx) throw new Error("connectLiveReload: ctx missing");
+  if (typeof EventSource !== "function") return null;
+
+  const es = new EventSource("/api/events");
+
+  // Events strikt nacheinander abarbeiten (Speichern erzeugt oft mehrere Events)
+  let queue = Promise.resolve();
+  const enqueue = (msg) => {
+    queue = queue
+      .then(() => applyChange(ctx, msg))
+      .catch((e) => console.warn("live-reload.js [applyChange] failed:", e?.message || e));
+  };
+
+  let opened = false;
+  es.addEventListener("open", () => {
+    if (opened) enqueue({ kind: "config", sourceIds: ctx.config?.sourceIds || [] });
+    opened = true;
+  });
+
+  es.addEventListener("change", (ev) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(ev.data);
+    } catch (_e) {
+      return;
+    }
+    enqueue(msg);
+  });
+
+  return { close: () => es.close() };
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+async function applyChange(ctx, msg) {
+  if (msg?.kind === "views") {
+    await ctx.savedViews?.refresh();
+    return;
+  }
+
+  if (msg?.kind === "notes") {
+    await ctx.notes?.refresh();
+    return;
+  }
+
+  const ids = new Set((Array.isArray(msg?.sourceIds) ? msg.sourceIds : []).map(String));
+
+  if (msg?.kind === "config") {
+    for (const sid of await refreshConfig(ctx)) ids.add(sid);
+  }
+  if (!ids.size) return;
+
+  console.log("live-reload.js [applyChange]", { kind: msg?.kind, sources: Array.from(ids) });
+  await reloadSources(ctx, Array.from(ids));
+  ctx.requestRedraw?.(ctx);
+}
+
+/**
+ * Config neu holen und ctx.config aktualisieren.
+ * - neue Quellen werden aktiviert, entfernte aus dem Filter genommen
+ * - Rückgabe: IDs hinzugekommener/entfernter Quellen
+ */
+async function refreshConfig(ctx) {
+  const cfg = await fetchConfig();
+  const nextIds = getSourceIdsFromConfig(cfg);
+  const prevIds = Array.isArray(ctx.config?.sourceIds) ? ctx.config.sourceIds : [];
+
+  const added = nextIds.filter((id) => !prevIds.includes(id));
+  const removed = prevIds.filter((id) => !nextIds.includes(id));
+
+  ctx.config.delimiter = String(cfg.delimiter || ";");
+  ctx.config.sources = cfg.sources;
+  ctx.config.sourceIds = nextIds;
+  ctx.config.defaultSourceId = String(cfg.defaultSource ?? "").trim() || nextIds[0];
+
+  const enabled = ctx.state?.enabledSourceIds;
+  if (enabled instanceof Set && enabled.size) {
+    for (const id of removed) enabled.delete(id);
+    for (const id of added) enabled.add(id);
+  }
+
+  return added.concat(removed);
+}
@@ -0,0 +1,329 @@
+// -----------------------------------------------------------------------------
+// notes.js
+// - "Notizen"-Karte (Insights): Anmerkungen zu Jahr, Kategorie und Quelle
+//   ("Insolvenz ab Q3") anlegen, bearbeiten, löschen
+// - Gespeichert in notes.json auf dem Server (/api/notes) – für alle Clients gleich;
+//   Jahres-Memos aus PersYears.json kommen schreibgeschützt dazu
+// - Koordinate: { year, cat, sourceId }; cat/sourceId leer => alle
+// - Anzeige neben den Zahlen übernimmt der Renderer:
+//   selectVisibleNotes() => Marker an der x-Achse (chart.js) und Badges an
+//   Kategorie-/Quellen-Knoten der Legende (groupNotes())
+// - Nach Laden/Speichern wird ein Redraw angefordert (Marker/Badges aktualisieren)
+// - Ohne Dependencies, ohne Inline-Styles
+// -----------------------------------------------------------------------------
+
+import { fetchNotes, createNote, updateNote, deleteNote } from "./api.js";
+import { resolveEl, escapeHtml } from "./dom-helpers.js";
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * wireNotes(ctx, opts)
+ * - Rendert Formular + Liste in #notesBody (oder opts.root)
+ * - Rückgabe: { refresh(), list(), render() } oder null, wenn der Mount fehlt
+ *   - refresh: Liste neu vom Server holen (z.B. Live-Reload kind "notes")
+ *   - list: alle geladenen Notizen (inkl. PersYears-Memos)
+ *   - render: Liste neu zeichnen (nach Redraw: Auswahl-Listen, "außerhalb der Ansicht")
+ */
+export function wireNotes(ctx, opts = {}) {
+  if (!ctx) throw new Error("wireNotes: ctx missing");
+
+  const root = resolveEl(opts.root || "notesBody");
+  if (!root) return null;
+
+  root.innerHTML = renderSkeleton();
+  const el = {
+    form: root.querySelector("[data-role='form']"),
+    year: root.querySelector("[data-field='year']"),
+    cat: root.querySelector("[data-field='cat']"),
+    cats: root.querySelector("[data-role='cats']"),
+    source: root.querySelector("[data-field='sourceId']"),
+    text: root.querySelector("[data-field='text']"),
+    submit: root.querySelector("[data-action='save']"),
+    cancel: root.querySelector("[data-action='cancel']"),
+    status: root.querySelector("[data-role='status']"),
+    list: root.querySelector("[data-role='list']"),
+  };
+
+  let notes = [];
+  let editingId = "";
+  let busy = false;
+
+  const setStatus = (text = "", isError = false) => {
+    el.status.textContent = text;
+    el.status.classList.toggle("is-error", !!isError);
+  };
+
+  const render = () => {
+    renderChoices(ctx, el);
+
+    el.submit.textContent = editingId ? "Ändern" : "Hinzufügen";
+    el.submit.disabled = busy;
+    el.cancel.hidden = !editingId;
+
+    const visible = new Set(selectVisibleNotes(notes, ctx.state, { sourceIds: ctx.config?.sourceIds }).map((n) => n.id));
+    el.list.innerHTML = renderList(notes, { visible, editingId, sourceLabel: sourceLabelOf(ctx) });
+  };
+
+  const resetForm = () => {
+    editingId = "";
+    el.cat.value = "";
+    el.source.value = "";
+    el.text.value = "";
+    el.year.value = defaultYear(ctx);
+  };
+
+  const run = async (label, fn) => {
+    if (busy) return;
+    busy = true;
+    setStatus(label);
+    render();
+
+    let status = "";
+    let isError = false;
+    try {
+      status = await fn();
+    } catch (e) {
+      status = `Fehler: ${e.message}`;
+      isError = true;
+    } finally {
+      busy = false;
+      render();
+      setStatus(status, isError);
+    }
+  };
+
+  const refresh = async () => {
+    try {
+      notes = await fetchNotes();
+      if (editingId && !notes.some((n) => n.id === editingId)) resetForm();
+      render();
+      ctx.requestRedraw?.(ctx);
+    } catch (e) {
+      setStatus(`Notizen nicht ladbar: ${e.message}`, true);
+    }
+  };
+
+  const save = () =>
+    run("Speichern …", async () => {
+      const input = {
+        year: Number.parseInt(el.year.value, 10),
+        cat: el.cat.value.trim(),
+        sourceId: el.source.value,
+        text: el.text.value.trim(),
+      };
+      if (!Number.isFinite(input.year)) throw new Error("Bitte ein Jahr eingeben.");
+      if (!input.text) throw new Error("Bitte einen Text eingeben.");
+
+      if (editingId) {
+        const res = await updateNote(editingId, input);
+        notes = notes.map((n) => (n.id === editingId ? res.note : n));
+      } else {
+        const res = await createNote(input);
+        notes = notes.concat(res.note);
+      }
+
+      const was = editingId;
+      resetForm();
+      ctx.requestRedraw?.(ctx);
+      return was ? "Notiz geändert." : "Notiz gespeichert.";
+    });
+
+  const edit = (note) => {
+    editingId = note.id;
+    el.year.value = String(note.year);
+    el.cat.value = note.cat || "";
+    el.source.value = note.sourceId || "";
+    el.text.value = note.text || "";
+    setStatus("");
+    render();
+    el.text.focus();
+  };
+
+  const remove = (note) => {
+    if (!window.confirm(`Notiz „${shorten(note.text, 40)}“ für alle löschen?`)) return;
+
+    run("Löschen …", async () => {
+      const res = await deleteNote(note.id);
+      notes = Array.isArray(res.notes) ? readonlyNotes(notes).concat(res.notes) : notes.filter((n) => n.id !== note.id);
+      if (editingId === note.id) resetForm();
+      ctx.requestRedraw?.(ctx);
+      return "Notiz gelöscht.";
+    });
+  };
+
+  el.form.addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    save();
+  });
+
+  root.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-action]");
+    if (!btn || !root.contains(btn)) return;
+
+    if (btn.dataset.action === "cancel") {
+      resetForm();
+      setStatus("");
+      render();
+      return;
+    }
+
+    const note = notes.find((n) => n.id === btn.dataset.id);
+    if (!note || note.readonly) return;
+    if (btn.dataset.action === "edit") edit(note);
+    if (btn.dataset.action === "delete") remove(note);
+  });
+
+  resetForm();
+  render();
+  refresh();
+  return { refresh, list: () => notes, render };
+}
+
+/**
+ * selectVisibleNotes(notes, state, opts)
+ * - Notizen, die zur aktuellen Ansicht passen:
+ *   Jahr im Bereich yearFrom..yearTo, Quelle aktiv (oder leer), Kategorie nicht
+ *   ausgeblendet (oder leer)
+ * - opts.sourceIds: alle Quellen (leere Auswahl = alle aktiv)
+ */
+export function selectVisibleNotes(notes, state, { sourceIds = [] } = {}) {
+  const s = state || {};
+  const enabled =
+    s.enabledSourceIds instanceof Set && s.enabledSourceIds.size ? s.enabledSourceIds : new Set(sourceIds || []);
+  const disabledCats = s.disabledCats instanceof Set ? s.disabledCats : new Set();
+
+  return (Array.isArray(notes) ? notes : []).filter((n) => {
+    const year = Number(n?.year);
+    if (!Number.isFinite(year)) return false;
+    if (Number.isFinite(s.yearFrom) && year < s.yearFrom) return false;
+    if (Number.isFinite(s.yearTo) && year > s.yearTo) return false;
+    if (n.sourceId && !enabled.has(n.sourceId)) return false;
+    if (n.cat && disabledCats.has(n.cat)) return false;
+    return true;
+  });
+}
+
+/**
+ * groupNotes(notes, key)
+ * - key: "year" | "cat" | "sourceId"
+ * - Rückgabe: Map<string, note[]> (Notizen ohne Wert für key fehlen)
+ */
+export function groupNotes(notes, key) {
+  const out = new Map();
+  for (const n of Array.isArray(notes) ? notes : []) {
+    const k = n?.[key] == null ? "" : String(n[key]);
+    if (!k) continue;
+    if (!out.has(k)) out.set(k, []);
+    out.get(k).push(n);
+  }
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function renderSkeleton() {
+  return `
+    <div class="notes">
+      <form class="notes__form" data-role="form" autocomplete="off">
+        <input type="number" class="form-control form-control-sm notes__year" data-field="year"
+          min="1900" max="2100" step="1" required aria-label="Jahr" title="Jahr" />
+        <input class="form-control form-control-sm" data-field="cat" list="notesCatOptions"
+          placeholder="Kategorie (alle)" aria-label="Kategorie" />
+        <datalist id="notesCatOptions" data-role="cats"></datalist>
+        <select class="form-select form-select-sm" data-field="sourceId" aria-label="Quelle"></select>
+        <textarea class="form-control form-control-sm notes__text" data-field="text" rows="2" maxlength="1000"
+          placeholder="Notiz, z.B. „Insolvenz ab Q3“" aria-label="Notiz" required></textarea>
+        <div class="notes__actions">
+          <button type="submit" class="btn btn-sm btn-primary" data-action="save">Hinzufügen</button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="cancel" hidden>Abbrechen</button>
+          <span class="notes__status" data-role="status" aria-live="polite"></span>
+        </div>
+      </form>
+      <ul class="notes__list" data-role="list"></ul>
+    </div>
+  `;
+}
+
+/** Auswahl-Listen (Kategorien der aktuellen Dimension, Quellen) auffrischen. */
+function renderChoices(ctx, el) {
+  const cats = ctx?.derived?.options?.universe?.cats || [];
+  el.cats.innerHTML = cats.map((c) => `<option value="${escapeHtml(c)}"></option>`).join("");
+
+  const current = el.source.value;
+  const sources = Array.isArray(ctx?.config?.sources) ? ctx.config.sources : [];
+  const label = sourceLabelOf(ctx);
+  el.source.innerHTML = [
+    `<option value="">Alle Quellen</option>`,
+    ...sources.map((s) => {
+      const id = String(s?.id ?? "").trim();
+      return `<option value="${escapeHtml(id)}">${escapeHtml(label(id))}</option>`;
+    }),
+  ].join("");
+  el.source.value = current;
+  if (el.source.value !== current) el.source.value = "";
+}
+
+function renderList(notes, { visible, editingId, sourceLabel }) {
+  if (!notes.length) return `<li class="notes__empty">Noch keine Notizen.</li>`;
+
+  const sorted = notes.slice().sort(
+    (a, b) =>
+      a.year - b.year ||
+      String(a.cat || "").localeCompare(String(b.cat || ""), "de") ||
+      String(a.id).localeCompare(String(b.id))
+  );
+
+  return sorted
+    .map((n) => {
+      const where = [String(n.year), n.cat || "", n.sourceId ? sourceLabel(n.sourceId) : ""].filter(Boolean).join(" · ");
+      const cls = ["notes__item", visible.has(n.id) ? "" : "is-outside", n.id === editingId ? "is-editing" : ""]
+        .filter(Boolean)
+        .join(" ");
+
+      const actions = n.readonly
+        ? `<span class="notes__origin" title="Bearbeiten in ${escapeHtml(n.origin || "")}.json">${escapeHtml(n.origin || "")}</span>`
+        : `
+          <button type="button" class="btn btn-sm btn-link" data-action="edit" data-id="${escapeHtml(n.id)}">Bearbeiten</button>
+          <button type="button" class="btn btn-sm btn-link" data-action="delete" data-id="${escapeHtml(n.id)}">Löschen</button>`;
+
+      return `
+        <li class="${cls}"${visible.has(n.id) ? "" : ` title="Außerhalb der aktuellen Ansicht"`}>
+          <div class="notes__head">
+            <span class="notes__where">${escapeHtml(where)}</span>
+            <span class="notes__item-actions">${actions}</span>
+          </div>
+          <div class="notes__body">${escapeHtml(n.text)}</div>
+        </li>`;
+    })
+    .join("");
+}
+
+function readonlyNotes(notes) {
+  return notes.filter((n) => n.readonly);
+}
+
+function defaultYear(ctx) {
+  const y = Number(ctx?.state?.yearTo);
+  return String(Number.isFinite(y) ? y : new Date().getFullYear());
+}
+
+function sourceLabelOf(ctx) {
+  const labels = new Map(
+    (Array.isArray(ctx?.config?.sources) ? ctx.config.sources : []).map((s) => [
+      String(s?.id ?? "").trim(),
+      String(s?.label || s?.name || s?.id || ""),
+    ])
+  );
+  return (sid) => labels.get(sid) || sid;
+}
+
+function shorten(text, max) {
+  const s = String(text ?? "");
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
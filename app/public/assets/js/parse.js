@@ -5,6 +5,12 @@
 // Expected header (recommended):
 // Gegenpartei;Kostenart;Kategorie;Buchungstyp;Von;Bis;Jahr;Betrag;Menge;Einheit
 //
+// Quoting (RFC 4180):
+// - Cells may be quoted ("..."), contain the delimiter, `""` and line breaks.
+// - Rows keep their physical start line (`_line`) for error reporting.
+// - Lines starting with `#` BEFORE the header are a preamble (e.g. the metadata
+//   of an exported view, exportView.js) and are skipped.
+//
 // Contract (year / undated):
 // - If Jahr cell contains a valid year => SOURCE OF TRUTH (never overwritten)
 // - Else derive year from Bis (preferred) or Von
@@ -14,18 +20,57 @@
 // - Planned vs Actual is modeled via `status` (not via a virtual type)
 // - Optional text is modeled via `memo`
 //
+// Granularity (opts.granularity: "year" | "quarter" | "month", see period.js):
+// - yearKey is the period key ("2024", "2024-Q1", "2024-03"); bar.year stays the year
+// - Month comes from Bis (preferred) or Von, only if that date lies in the row's year
+//
+// Allocation (opts.allocation: "none" | "prorata"):
+// - prorata splits rows with a date-derived year across the periods of Von..Bis,
+//   weighted by days; detail rows keep the original fields plus `Aufteilung`
+//
+// Dimension (opts.dimension: column name, default "Kategorie"):
+// - Column that becomes `cat` (chart series, category dropdown, legend),
+//   e.g. "Gegenpartei", "Kostenart" or any extra column of the CSV
+// - Kategorie keeps rules.json; other columns are taken as-is (empty -> "?")
+// - The original Kategorie stays in the detail rows
+//
+// Extra columns (everything not canonical, e.g. Objekt, Vertrag, Konto):
+// - kept per row (`extra`) and in the detail rows under their header name
+// - usable as dimension and as column filter
+//
+// Column filters (opts.filters: { [column]: string[] } of allowed values):
+// - applied to parsed rows before allocation; universes still come from ALL rows
+//
 // Output model (dimensioned; future-proof):
 // - years: number[]
-// - cats: string[]   (KATEGORIE; chart dimension / dropdown)
+// - cats: string[]   (values of the chart dimension, default KATEGORIE; dropdown)
 // - types: string[]  (BUCHUNGSTYP; filter / dropdown)
 // - bars: { yearKey: string, year?: number|null, cat: string, type: string, kosten: number, menge: number }[]  (aggregated per (yearKey, Kategorie, Typ))
+// - plannedBars: same shape as bars, aggregated from status=planned rows only
 // - unitByCat: [cat, unit][]
 // - detailsByKey: Map<`${yearKey}||${cat}||${typ}`, detailRow[]>
 // - hasUndated: boolean
 // - undatedLabel: string
+// - uncategorized: detailRow[]  (rows still landing in "?" for Kategorie or Buchungstyp)
+// - granularity: "year" | "quarter" | "month"
+// - dimension: string      (column behind `cat`)
+// - dimensions: string[]   (columns usable as dimension: Kategorie first, then
+//                           text columns with at least one value)
+// - dimensionValues: { [column]: string[] }  (values per dimension over ALL rows;
+//                           columns with too many values are left out)
+// - filterKey: string      (normalized opts.filters, see columnFiltersKey)
+// - numberLocales: { Betrag, Menge }  (effective "de" | "en" per column)
+// - diagnostics: { line, column, value, severity, action, reason }[]
+//     action  : "dropped" | "repaired" | "suspicious"
+//     severity: "error" | "warning" | "info"
+//
+// Runs in the browser AND in Node (app/model-service.js): keep imports relative,
+// no DOM access.
 // -----------------------------------------------------------------------------
 
-import { cleanKey } from "/assets/js/keys.js";
+import { cleanKey } from "./keys.js";
+import { compileRules, applyRules } from "./rules.js";
+import { normalizeGranularity, periodKey, yearOfPeriodKey } from "./period.js";
 
 function cleanText(s) {
   return String(s ?? "").replace(/^\uFEFF/, "").trim();
@@ -39,17 +84,242 @@ function dimOrQuestion(s) {
   return t ? t : "?";
 }
 
-function splitLine(line, delimiter) {
-  // IMPORTANT: do NOT filter empty cells -> positions must stay stable
-  return cleanText(line).split(delimiter).map((x) => cleanText(x));
+/**
+ * RFC 4180 tokenizer (quoted fields, escaped quotes, multi-line cells).
+ *
+ * Returns one record per logical CSV row:
+ * - line : 1-based physical line where the record starts (for error reporting)
+ * - cells: string[] (positions stable; empty cells are kept)
+ * - spans: [start, end][] per cell (only with opts.offsets; offsets into the
+ *          text WITHOUT BOM, raw cell text incl. quotes – used by editCsvRecord)
+ *
+ * Rules:
+ * - A field starting with `"` is quoted; `""` inside is a literal quote.
+ * - Delimiters and line breaks inside quotes belong to the cell.
+ * - Quotes inside an unquoted field are kept literally (lenient).
+ * - Blank lines are skipped (same as before), line numbers stay intact.
+ * - `#` lines before the first real record (preamble) are skipped as well.
+ * - An unterminated quote is a structural error => throw with its line.
+ */
+function tokenizeCsv(text, delimiter, opts = {}) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const delim = String(delimiter || ";");
+  const withOffsets = !!opts?.offsets;
+
+  const records = [];
+  let cells = [];
+  let spans = [];
+  let cellStart = 0;
+  let cell = "";
+  let quoted = false;   // current cell started with a quote
+  let inQuotes = false; // currently inside the quoted section
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+
+  const endCell = (end) => {
+    cells.push(quoted ? cell : cleanText(cell));
+    if (withOffsets) spans.push([cellStart, end]);
+    cell = "";
+    quoted = false;
+  };
+
+  const endRecord = (end) => {
+    endCell(end);
+    const isBlank = cells.length === 1 && cells[0].trim() === "";
+    const isPreamble = !records.length && cells[0].trim().startsWith("#");
+    if (!isBlank && !isPreamble) records.push(withOffsets ? { line: recordLine, cells, spans } : { line: recordLine, cells });
+    cells = [];
+    spans = [];
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        i += 1;
+        continue;
+      }
+      if (ch === "\r" || ch === "\n") {
+        // Normalize embedded line breaks to \n, but count physical lines
+        if (ch === "\r" && src[i + 1] === "\n") i += 1;
+        cell += "\n";
+        line += 1;
+        i += 1;
+        continue;
+      }
+      cell += ch;
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' && !quoted && cell.trim() === "") {
+      quoted = true;
+      inQuotes = true;
+      quoteLine = line;
+      cell = "";
+      i += 1;
+      continue;
+    }
+
+    if (src.startsWith(delim, i)) {
+      endCell(i);
+      i += delim.length;
+      cellStart = i;
+      continue;
+    }
+
+    if (ch === "\r" || ch === "\n") {
+      endRecord(i);
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      line += 1;
+      recordLine = line;
+      i += 1;
+      cellStart = i;
+      continue;
+    }
+
+    // Text after a closing quote (e.g. `"abc"x`) is appended leniently
+    cell += ch;
+    i += 1;
+  }
+
+  if (inQuotes) {
+    throw new Error(`CSV: Anführungszeichen ab Zeile ${quoteLine} wird nicht geschlossen.`);
+  }
+
+  // Last record (no trailing newline)
+  if (cell.length || cells.length || quoted) endRecord(src.length);
+
+  return records;
 }
 
-function parseNumberStrict(s) {
-  const t = cleanText(s);
-  if (!t) return NaN;
-  const normalized = t.replace(/[−–]/g, "-"); // safety
-  const v = Number.parseFloat(normalized);
-  return Number.isFinite(v) ? v : NaN;
+// -----------------------------------------------------------------------------
+// Numbers (locale-aware)
+// -----------------------------------------------------------------------------
+// numberLocale:
+// - "de"  : 1.234,56  (thousands ".", decimal ",")
+// - "en"  : 1,234.56  (thousands ",", decimal ".")
+// - "auto": decided once per column (see detectNumberLocale)
+//
+// Accepted decorations (both locales):
+// - currency prefix/suffix: €, EUR
+// - parenthesised negatives: (1.234,56) => -1234.56
+// - trailing minus (SAP style): 1.234,56- => -1234.56
+// - unicode minus / dash, inner spaces (also NBSP / thin space)
+// -----------------------------------------------------------------------------
+
+export const NUMBER_LOCALES = new Set(["de", "en", "auto"]);
+
+export function normalizeNumberLocale(v, fallback = "auto") {
+  const s = String(v ?? "").trim().toLowerCase();
+  return NUMBER_LOCALES.has(s) ? s : fallback;
+}
+
+const NUM_RE = {
+  de: /^\d{1,3}(?:\.\d{3})+(?:,\d+)?$|^\d+(?:,\d+)?$|^,\d+$/,
+  en: /^\d{1,3}(?:,\d{3})+(?:\.\d+)?$|^\d+(?:\.\d+)?$|^\.\d+$/,
+};
+
+/**
+ * Strip currency / sign decorations.
+ * Returns { sign: 1|-1, body: string } or null for empty input.
+ */
+export function splitNumberDecor(s) {
+  let t = cleanText(s)
+    .replace(/[\s\u00A0\u2009\u202F]/g, "")
+    .replace(/[−–]/g, "-")
+    .replace(/^(?:€|EUR)/i, "")
+    .replace(/(?:€|EUR)$/i, "");
+  if (!t) return null;
+
+  let sign = 1;
+
+  const paren = t.match(/^\((.*)\)$/);
+  if (paren) {
+    sign = -1;
+    t = paren[1].replace(/^(?:€|EUR)/i, "").replace(/(?:€|EUR)$/i, "");
+  }
+
+  if (t.startsWith("-") || t.startsWith("+")) {
+    if (t[0] === "-") sign = -sign;
+    t = t.slice(1);
+  } else if (t.endsWith("-")) {
+    sign = -sign;
+    t = t.slice(0, -1);
+  }
+
+  // Currency may also sit between sign and digits (-€ 12,50)
+  t = t.replace(/^(?:€|EUR)/i, "").replace(/(?:€|EUR)$/i, "");
+
+  return { sign, body: t };
+}
+
+/**
+ * Vote for one locale based on a single value.
+ * - "de" / "en" when the separators decide it
+ * - null when neutral (no separator) or ambiguous (1.234 / 1,234)
+ */
+export function numberLocaleHint(s) {
+  const p = splitNumberDecor(s);
+  if (!p) return null;
+  const t = p.body;
+
+  const iDot = t.lastIndexOf(".");
+  const iComma = t.lastIndexOf(",");
+
+  if (iDot >= 0 && iComma >= 0) return iComma > iDot ? "de" : "en";
+  if (iComma >= 0) return /^\d{1,3}(?:,\d{3})+$/.test(t) ? null : "de";
+  if (iDot >= 0) return /^\d{1,3}(?:\.\d{3})+$/.test(t) ? null : "en";
+  return null;
+}
+
+/** Only thousands-style groups of one separator (1.234 / 1,234.567): de and en disagree. */
+function isAmbiguousNumber(s) {
+  const p = splitNumberDecor(s);
+  return !!p && /^\d{1,3}(?:\.\d{3})+$|^\d{1,3}(?:,\d{3})+$/.test(p.body);
+}
+
+/**
+ * Column-wide locale detection (majority vote over ALL values).
+ * Ties / no deciding value => "de" (German sources are the default here;
+ * columnNumberLocales reports ambiguous-only columns as suspicious).
+ */
+function detectNumberLocale(values) {
+  let de = 0;
+  let en = 0;
+  for (const v of values) {
+    const hint = numberLocaleHint(v);
+    if (hint === "de") de += 1;
+    else if (hint === "en") en += 1;
+  }
+  return en > de ? "en" : "de";
+}
+
+/**
+ * Strict, locale-aware number parse. Invalid input => NaN (never partial).
+ */
+export function parseNumberStrict(s, locale = "en") {
+  const p = splitNumberDecor(s);
+  if (!p) return NaN;
+
+  const loc = locale === "de" ? "de" : "en";
+  if (!NUM_RE[loc].test(p.body)) return NaN;
+
+  const normalized = loc === "de"
+    ? p.body.replace(/\./g, "").replace(",", ".")
+    : p.body.replace(/,/g, "");
+
+  const v = Number(normalized);
+  return Number.isFinite(v) ? p.sign * v : NaN;
 }
 
 function uniqueSorted(arr, locale = "de") {
@@ -63,40 +333,243 @@ function isValidYear(y) {
 }
 
 /**
- * Extract a year from common date formats.
+ * Parse common date formats into parts.
  * Supports:
  * - YYYY-MM-DD (also with time suffix)
  * - YYYY/MM/DD
  * - DD.MM.YYYY
  * - DD/MM/YYYY
+ *
+ * Returns { y, m, d, exists } or null (format not recognised).
+ * - exists=false for calendar-impossible dates like 30.02.2025
  */
-function yearFromDateStr(s) {
+function parseDateStr(s) {
   const t = cleanText(s);
   if (!t) return null;
 
+  let y, mo, d;
+
   // YYYY-MM-DD / YYYY/MM/DD (optionally with time)
   let m = t.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T].*)?$/);
   if (m) {
-    const y = Number(m[1]);
-    return isValidYear(y) ? y : null;
+    y = Number(m[1]);
+    mo = Number(m[2]);
+    d = Number(m[3]);
+  } else {
+    // DD.MM.YYYY / DD/MM/YYYY
+    m = t.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:\s.*)?$/);
+    if (!m) return null;
+    d = Number(m[1]);
+    mo = Number(m[2]);
+    y = Number(m[3]);
   }
 
-  // DD.MM.YYYY / DD/MM/YYYY
-  m = t.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:\s.*)?$/);
-  if (m) {
-    const y = Number(m[3]);
-    return isValidYear(y) ? y : null;
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  const exists =
+    dt.getUTCFullYear() === y && dt.getUTCMonth() === mo - 1 && dt.getUTCDate() === d;
+
+  return { y, m: mo, d, exists };
+}
+
+/**
+ * Extract a year from common date formats (see parseDateStr).
+ * Calendar-impossible dates still yield their year (reported as diagnostic).
+ */
+function yearFromDateStr(s) {
+  const p = parseDateStr(s);
+  if (!p) return null;
+  return isValidYear(p.y) ? p.y : null;
+}
+
+// -----------------------------------------------------------------------------
+// Column mapping (per source, from config.json `sources[].columns`)
+// -----------------------------------------------------------------------------
+// Keys are canonical column names, values one of:
+// - "Amount"                                   -> take source column "Amount"
+// - { column: "Amount", default: "0" }         -> source column, default if empty
+// - { const: "OPEX" }                          -> constant for every row
+// - { from: "Verwendungszweck", regex: "(Strom|Gas)", flags: "i",
+//     group: 1, value: "Energie", default: "?" } -> derived via regex
+//     * value set   => value when the regex matches
+//     * value unset => capture group (default: 1 if present, else whole match)
+//     * no match    => default ("" if unset)
+//
+// Source column names are matched case-insensitively. `from` may also name a
+// canonical column that is itself mapped to a source column.
+// Unmapped canonical columns keep the default lookup by header name.
+// Keys must be canonical column names; Kategorie and Betrag must resolve to a
+// source column or a constant (otherwise buildModel throws a config error).
+// -----------------------------------------------------------------------------
+
+export const CANONICAL_COLUMNS = [
+  "Gegenpartei",
+  "Kostenart",
+  "Kategorie",
+  "Buchungstyp",
+  "Von",
+  "Bis",
+  "Jahr",
+  "Betrag",
+  "Menge",
+  "Einheit",
+  "Status",
+  "Memo",
+];
+
+// Without these every row would be dropped ("Betrag fehlt") or land in "?"
+const REQUIRED_COLUMNS = ["Kategorie", "Betrag"];
+
+function hasColumnMapping(mapping) {
+  return !!mapping && typeof mapping === "object" && Object.keys(mapping).length > 0;
+}
+
+/** Mapping keys that are no canonical column (case-insensitive); shared with index.js. */
+export function unknownMappingKeys(mapping) {
+  if (!hasColumnMapping(mapping)) return [];
+  const canonical = new Set(CANONICAL_COLUMNS.map((c) => c.toLowerCase()));
+  return Object.keys(mapping).filter((k) => !canonical.has(cleanText(k).toLowerCase()));
+}
+
+/**
+ * Build a resolver (cells -> string) for one mapping entry.
+ * Throws on references to missing source columns or invalid regexes.
+ */
+function columnResolver(field, spec, lcHeader, mapping) {
+  const indexOf = (name) => {
+    const key = cleanText(name).toLowerCase();
+    const i = lcHeader.indexOf(key);
+    if (i >= 0) return i;
+
+    // Allow referencing a canonical column mapped to a plain source column
+    const canon = CANONICAL_COLUMNS.find((c) => c.toLowerCase() === key);
+    const ref = canon ? mapping[canon] : null;
+    const refName = typeof ref === "string" ? ref : ref?.column;
+    return refName ? lcHeader.indexOf(cleanText(refName).toLowerCase()) : -1;
+  };
+
+  const requireIndex = (name) => {
+    const i = indexOf(name);
+    if (i < 0) {
+      throw new Error(`Spaltenzuordnung ${field}: Spalte "${name}" fehlt im Header.`);
+    }
+    return i;
+  };
+
+  const at = (cells, i) => (i >= 0 && i < cells.length ? cells[i] : "");
+
+  if (typeof spec === "string") {
+    const i = requireIndex(spec);
+    return (cells) => at(cells, i);
   }
 
-  return null;
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`Spaltenzuordnung ${field}: ungültiger Eintrag.`);
+  }
+
+  const fallback = spec.default == null ? "" : String(spec.default);
+
+  if ("const" in spec) {
+    const v = String(spec.const ?? "");
+    return () => v;
+  }
+
+  if (spec.column != null) {
+    const i = requireIndex(spec.column);
+    return (cells) => cleanText(at(cells, i)) || fallback;
+  }
+
+  if (spec.from != null && spec.regex != null) {
+    const i = requireIndex(spec.from);
+
+    let re;
+    try {
+      re = new RegExp(String(spec.regex), String(spec.flags ?? "i"));
+    } catch (e) {
+      throw new Error(`Spaltenzuordnung ${field}: Regex ungültig (${e?.message || e}).`);
+    }
+
+    const hasValue = spec.value != null;
+    const value = hasValue ? String(spec.value) : "";
+    const group = Number.isInteger(spec.group) ? spec.group : null;
+
+    return (cells) => {
+      const m = re.exec(cleanText(at(cells, i)));
+      if (!m) return fallback;
+      if (hasValue) return value;
+      const g = group ?? (m.length > 1 ? 1 : 0);
+      return cleanText(m[g] ?? "") || fallback;
+    };
+  }
+
+  throw new Error(`Spaltenzuordnung ${field}: erwartet Spaltenname, {column}, {const} oder {from, regex}.`);
+}
+
+/**
+ * Project records onto the canonical header (mapping applied).
+ * - Header: canonical columns first, then ALL original columns (extra columns stay available).
+ * - Line numbers are preserved (diagnostics keep pointing at the file).
+ */
+function applyColumnMapping(records, mapping) {
+  if (!hasColumnMapping(mapping)) return records;
+
+  const unknown = unknownMappingKeys(mapping);
+  if (unknown.length) {
+    throw new Error(
+      `Spaltenzuordnung: unbekannte Spalte ${unknown.map((k) => `"${k}"`).join(", ")}. Erlaubt: ${CANONICAL_COLUMNS.join(", ")}.`
+    );
+  }
+
+  const header = records[0].cells.map((h) => cleanText(h));
+  const lcHeader = header.map((h) => h.toLowerCase());
+  const mappedKey = (field) => Object.keys(mapping).find((k) => cleanText(k).toLowerCase() === field.toLowerCase());
+
+  // Pflichtspalten: zugeordnet (Resolver prüft die Quellspalte) oder im Header vorhanden
+  for (const field of REQUIRED_COLUMNS) {
+    if (mappedKey(field) == null && !lcHeader.includes(field.toLowerCase())) {
+      throw new Error(`Spaltenzuordnung ${field}: weder zugeordnet noch Spalte im Header. Header: ${header.join(" | ")}`);
+    }
+  }
+
+  const resolvers = CANONICAL_COLUMNS.map((field) => {
+    const key = mappedKey(field);
+    if (key != null) return columnResolver(field, mapping[key], lcHeader, mapping);
+
+    // Unmapped: default lookup by header name (may be missing => "")
+    const i = lcHeader.indexOf(field.toLowerCase());
+    return (cells) => (i >= 0 && i < cells.length ? cells[i] : "");
+  });
+
+  const out = [{ line: records[0].line, cells: CANONICAL_COLUMNS.concat(header) }];
+  for (let r = 1; r < records.length; r++) {
+    const { line, cells } = records[r];
+    out.push({ line, cells: resolvers.map((fn) => fn(cells)).concat(cells) });
+  }
+  return out;
+}
+
+/**
+ * Source columns that a mapping copies 1:1 onto a canonical column (string or
+ * { column }); lower-cased. They are not offered again as extra columns.
+ */
+function mappedSourceColumns(mapping) {
+  const out = new Set();
+  if (!hasColumnMapping(mapping)) return out;
+  for (const spec of Object.values(mapping)) {
+    const name = typeof spec === "string" ? spec : spec?.column;
+    if (name != null) out.add(cleanText(name).toLowerCase());
+  }
+  return out;
 }
 
 /**
  * Header index
  * - Required: Kategorie, Betrag
  * - Optional: Gegenpartei, Kostenart, Buchungstyp, Von, Bis, Jahr, Menge, Einheit, Status, Memo
+ * - iDimension: column behind `cat` (null => Kategorie incl. rules; -1 => missing, all "?")
+ * - extras: [{ name, index }] for all non-canonical columns (first occurrence wins),
+ *   except `skip` (lower-cased names, see mappedSourceColumns)
  */
-function headerIndex(headerParts) {
+function headerIndex(headerParts, dimension = DEFAULT_DIMENSION, skip = new Set()) {
   const lc = headerParts.map((h) => cleanText(h).toLowerCase());
   const idx = (name) => lc.indexOf(name);
 
@@ -112,6 +585,15 @@ function headerIndex(headerParts) {
   const iEinheit = idx("einheit");
   const iStatus = idx("status");
   const iMemo = idx("memo");
+  const dimKey = cleanText(dimension).toLowerCase();
+  const iDimension = !dimKey || dimKey === "kategorie" ? null : idx(dimKey);
+
+  const canonical = new Set(CANONICAL_COLUMNS.map((c) => c.toLowerCase()));
+  const extras = [];
+  lc.forEach((key, index) => {
+    if (!key || canonical.has(key) || skip.has(key) || extras.some((x) => x.name.toLowerCase() === key)) return;
+    extras.push({ name: cleanText(headerParts[index]), index });
+  });
 
   if (iKategorie < 0 || iBetrag < 0) {
     throw new Error(
@@ -134,19 +616,148 @@ function headerIndex(headerParts) {
     iEinheit,
     iStatus,
     iMemo,
+    iDimension,
+    extras,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Dimensions (opts.dimension)
+// -----------------------------------------------------------------------------
+
+const DEFAULT_DIMENSION = "Kategorie";
+
+// Columns that carry numbers/dates/flags: never offered as a dimension
+const NON_DIMENSION_COLUMNS = new Set(
+  ["Buchungstyp", "Von", "Bis", "Jahr", "Betrag", "Menge", "Einheit", "Status", "Memo"].map((c) => c.toLowerCase())
+);
+
+/** Column name for opts.dimension (empty => "Kategorie"); shared with api.js/ui.js. */
+export function normalizeDimension(v) {
+  return cleanText(v ?? "") || DEFAULT_DIMENSION;
+}
+
+/**
+ * Columns usable as chart dimension (header names as written in the file).
+ * - Kategorie always first; others in header order, deduped case-insensitively
+ * - Only columns with at least one non-empty cell; `skip` as in headerIndex
+ */
+function dimensionColumns(records, skip = new Set()) {
+  const header = records[0].cells.map((h) => cleanText(h));
+  const out = [DEFAULT_DIMENSION];
+  const seen = new Set([DEFAULT_DIMENSION.toLowerCase()]);
+
+  header.forEach((name, i) => {
+    const key = name.toLowerCase();
+    if (!key || seen.has(key) || NON_DIMENSION_COLUMNS.has(key) || skip.has(key)) return;
+    seen.add(key);
+
+    for (let r = 1; r < records.length; r++) {
+      if (cleanText(records[r].cells[i] ?? "")) {
+        out.push(name);
+        return;
+      }
+    }
+  });
+
+  return out;
+}
+
+// More distinct values than this: column stays a dimension, but gets no filter list
+const DIMENSION_VALUES_MAX = 1000;
+
+/**
+ * Value accessor for one dimension column on parsed rows (empty -> "?").
+ * - Kategorie after rules.json, Gegenpartei/Kostenart raw, anything else from `extra`
+ */
+function dimensionAccessor(column) {
+  const key = cleanText(column).toLowerCase();
+  if (key === "kategorie") return (r) => dimOrQuestion(r?.Kategorie);
+  if (key === "gegenpartei") return (r) => dimOrQuestion(r?.Gegenpartei);
+  if (key === "kostenart") return (r) => dimOrQuestion(r?.Kostenart);
+
+  return (r) => {
+    const extra = r?.extra || {};
+    const name = Object.keys(extra).find((k) => k.toLowerCase() === key);
+    return dimOrQuestion(name == null ? "" : extra[name]);
   };
 }
 
+function dimensionValues(rows, dimensions) {
+  const out = {};
+  for (const d of dimensions) {
+    const values = uniqueSorted(rows.map(dimensionAccessor(d)));
+    if (values.length <= DIMENSION_VALUES_MAX) out[d] = values;
+  }
+  return out;
+}
+
+/**
+ * Column filters (opts.filters, state.columnFilters): { [column]: Iterable<string> }.
+ * - Returns [column, values[]][] sorted by column; empty lists are dropped (=> all)
+ */
+export function normalizeColumnFilters(filters) {
+  if (!filters || typeof filters !== "object") return [];
+
+  return Object.entries(filters)
+    .map(([column, values]) => [
+      cleanText(column),
+      Array.from(new Set(Array.from(values || [], (v) => String(v)))).sort(),
+    ])
+    .filter(([column, values]) => column && values.length)
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/** Stable key of the column filters (cache / staleness checks). */
+export function columnFiltersKey(filters) {
+  return JSON.stringify(normalizeColumnFilters(filters));
+}
+
+/**
+ * Effective number locale per numeric column ("auto" => decided once over the
+ * whole column, see detectNumberLocale). Reported as model.numberLocales.
+ * - "auto" column with only ambiguous values (1.234 / 1,234) => read as "de",
+ *   one "suspicious" diagnostic at the first such cell
+ */
+function columnNumberLocales(records, cols, numberLocale = "auto", diagnostics = []) {
+  const columnLocale = (column, idx) => {
+    if (numberLocale !== "auto") return numberLocale;
+    if (idx < 0) return "de";
+    const values = [];
+    for (let i = 1; i < records.length; i++) {
+      const parts = records[i].cells;
+      values.push(idx < parts.length ? parts[idx] : "");
+    }
+
+    const locale = detectNumberLocale(values);
+    const decided = values.some((v) => numberLocaleHint(v) !== null);
+    const first = decided ? -1 : values.findIndex(isAmbiguousNumber);
+    if (first >= 0) {
+      diagnostics.push({
+        line: records[first + 1].line,
+        column,
+        value: String(values[first]),
+        severity: "warning",
+        action: "suspicious",
+        reason: `Zahlenformat der Spalte nicht eindeutig (nur Werte wie ${values[first]}) – als de gelesen; numberLocale der Quelle setzen`,
+      });
+    }
+    return locale;
+  };
+  return { Betrag: columnLocale("Betrag", cols.iBetrag), Menge: columnLocale("Menge", cols.iMenge) };
+}
+
 /**
  * Parse rows into a normalized list.
  *
  * Canonical fields:
  * - year: number (may be NaN if undated)
- * - cat: Kategorie key (chart dimension; empty -> "?")
+ * - cat: chart dimension key (Kategorie or opts.dimension column; empty -> "?")
  * - typ: Buchungstyp key (filter dimension; empty -> "?")
  * - kostenart: Kostenart key (info dimension; empty -> "?")
  * - status: string ("planned" or "actual")
  * - memo: string (optional text)
+ * - extra: { [header]: string } (all non-canonical columns, trimmed)
  *
  * IMPORTANT year rule:
  * - If Jahr cell contains a valid year, it is the source of truth.
@@ -154,8 +765,17 @@ function headerIndex(headerParts) {
  * - A valid Jahr is NEVER overwritten by Von/Bis.
  * - If Jahr, Von, Bis are ALL empty => undated (year is NaN)
  */
-function parseRows(rawLines, delimiter, cols) {
+function parseRows(records, cols, diagnostics, numberLocales, rules = []) {
   const rows = [];
+  const diag = Array.isArray(diagnostics) ? diagnostics : [];
+
+  // Diagnostics: one entry per dropped / repaired / suspicious cell
+  // - action  : "dropped" | "repaired" | "suspicious"
+  // - severity: "error" (dropped) | "warning" (default) | "info" (harmless hints)
+  const report = (line, column, value, action, reason, severity) => {
+    const sev = severity || (action === "dropped" ? "error" : "warning");
+    diag.push({ line, column, value: String(value ?? ""), severity: sev, action, reason });
+  };
   const cell = (parts, idx) => (idx >= 0 && idx < parts.length ? parts[idx] : "");
 
   // Year resolution with strict precedence:
@@ -178,17 +798,16 @@ function parseRows(rawLines, delimiter, cols) {
     return yearFromDateStr(bisRaw) ?? yearFromDateStr(vonRaw) ?? NaN;
   };
 
-  for (let i = 1; i < rawLines.length; i++) {
-    const line = rawLines[i];
-    if (!line) continue;
+  const { Betrag: betragLocale, Menge: mengeLocale } = numberLocales;
 
-    const parts = splitLine(line, delimiter);
+  for (let i = 1; i < records.length; i++) {
+    const { line, cells: parts } = records[i];
 
     // Raw fields (kept for tooltips/tables)
     const gegenpartei = cleanText(cell(parts, cols.iGegenpartei));
     const kostenartRaw = cleanText(cell(parts, cols.iKostenart));
-    const kategorieRaw = cleanText(cell(parts, cols.iKategorie));
-    const buchungstypRaw = cleanText(cell(parts, cols.iBuchungstyp));
+    let kategorieRaw = cleanText(cell(parts, cols.iKategorie));
+    let buchungstypRaw = cleanText(cell(parts, cols.iBuchungstyp));
     const von = cleanText(cell(parts, cols.iVon));
     const bis = cleanText(cell(parts, cols.iBis));
     const jahrRaw = cleanText(cell(parts, cols.iJahr));
@@ -198,16 +817,26 @@ function parseRows(rawLines, delimiter, cols) {
     const statusRaw = cleanText(cell(parts, cols.iStatus));
     const memoRaw = cleanText(cell(parts, cols.iMemo));
 
+    const extra = {};
+    for (const x of cols.extras) extra[x.name] = cleanText(cell(parts, x.index));
+
     // Betrag required (strict)
     // Semantik:
     // - Standard: Betrag ist der Gesamtbetrag
     // - Wenn Menge + Einheit existieren, interpretieren wir Betrag als *Preis pro Einheit*
     //   und rechnen den Gesamtbetrag als Betrag * Menge.
-    const betragNum = parseNumberStrict(betragRaw);
-    if (!Number.isFinite(betragNum)) continue;
+    const betragNum = parseNumberStrict(betragRaw, betragLocale);
+    if (!Number.isFinite(betragNum)) {
+      report(line, "Betrag", betragRaw, "dropped",
+        betragRaw ? "Betrag ist keine Zahl – Zeile verworfen" : "Betrag fehlt – Zeile verworfen");
+      continue;
+    }
 
     // Menge optional
-    const mengeNum = cols.iMenge >= 0 ? parseNumberStrict(mengeRaw) : NaN;
+    const mengeNum = cols.iMenge >= 0 ? parseNumberStrict(mengeRaw, mengeLocale) : NaN;
+    if (mengeRaw && !Number.isFinite(mengeNum)) {
+      report(line, "Menge", mengeRaw, "suspicious", "Menge ist keine Zahl – ignoriert");
+    }
 
     // Gesamtbetrag ableiten, wenn Menge + Einheit vorhanden sind
     const hasUnit = cols.iEinheit >= 0 && cleanText(einheitRaw).length > 0;
@@ -221,8 +850,59 @@ function parseRows(rawLines, delimiter, cols) {
     // Year: do not let Von/Bis override a valid Jahr
     const year = isUndated ? NaN : resolveYear(jahrRaw, bis, von);
 
+    // Date diagnostics (never change the year rule, only report)
+    const vonDate = parseDateStr(von);
+    const bisDate = parseDateStr(bis);
+    for (const [column, raw, p] of [["Von", von, vonDate], ["Bis", bis, bisDate]]) {
+      if (!raw) continue;
+      if (!p) report(line, column, raw, "suspicious", "Datumsformat nicht erkannt");
+      else if (!p.exists) report(line, column, raw, "suspicious", "Datum existiert nicht im Kalender");
+    }
+    // Month for quarter/month granularity (never changes the year)
+    const monthSrc = [bisDate, vonDate].find((p) => p?.exists && p.y === year);
+    const month = monthSrc ? monthSrc.m : null;
+
+    if (vonDate?.exists && bisDate?.exists) {
+      const a = Date.UTC(vonDate.y, vonDate.m - 1, vonDate.d);
+      const b = Date.UTC(bisDate.y, bisDate.m - 1, bisDate.d);
+      if (a > b) report(line, "Von", von, "suspicious", `Von liegt nach Bis (${bis})`);
+    }
+
+    if (!isUndated) {
+      const jahrValid = isValidYear(Number.parseInt(jahrRaw, 10));
+      if (jahrRaw && !jahrValid && isValidYear(year)) {
+        report(line, "Jahr", jahrRaw, "repaired", `Jahr ungültig – aus Bis/Von abgeleitet (${year})`);
+      } else if (!isValidYear(year)) {
+        // Wirklich verwerfen (wie Betrag): sonst landet die Zeile ohne Bar in den "Undatiert"-Details
+        report(line, jahrRaw ? "Jahr" : "Bis", jahrRaw || bis || von, "dropped",
+          "Kein gültiges Jahr ableitbar – Zeile verworfen");
+        continue;
+      }
+    }
+
+    // Auto-Kategorisierung (rules.json): füllt leere Kategorie/Buchungstyp
+    const hit = applyRules(rules, {
+      Gegenpartei: gegenpartei,
+      Kostenart: kostenartRaw,
+      Kategorie: kategorieRaw,
+      Buchungstyp: buchungstypRaw,
+      Memo: memoRaw,
+      Betrag: betragNum,
+    });
+    if (hit) {
+      kategorieRaw = hit.Kategorie;
+      buchungstypRaw = hit.Buchungstyp;
+    }
+
+    if (!kategorieRaw) {
+      report(line, "Kategorie", kategorieRaw, "suspicious", "Kategorie leer – als \"?\" gezählt", "info");
+    }
+
     // Canonical dimensions (NO cross-fallbacks!)
-    const cat = dimOrQuestion(kategorieRaw);     // ✅ Kategorie is the chart dimension
+    // ✅ Kategorie is the chart dimension unless opts.dimension picks another column
+    const cat = cols.iDimension == null
+      ? dimOrQuestion(kategorieRaw)
+      : dimOrQuestion(cleanText(cell(parts, cols.iDimension)));
     const kostenart = dimOrQuestion(kostenartRaw);
     const typ = dimOrQuestion(buchungstypRaw);  // ✅ Typ only from Buchungstyp
 
@@ -234,21 +914,28 @@ function parseRows(rawLines, delimiter, cols) {
     const status = st === "planned" || st === "geplant" ? "planned"
                  : st === "actual" || st === "ist" ? "actual"
                  : (isUndated ? "planned" : "actual");
+    if (st && status !== st && st !== "geplant" && st !== "ist") {
+      report(line, "Status", statusRaw, "suspicious", `Status unbekannt – als ${status} gewertet`, "info");
+    }
 
     const memo = memoRaw;
 
     rows.push({
       // canonical
       year,
+      month,       // 1..12 | null (from Bis/Von)
       cat,         // Kategorie
       typ,         // Buchungstyp
       kostenart,   // Kostenart (info)
       kosten: kostenNum,
+      betrag: betragNum, // parsed Betrag cell (kosten = Betrag × Menge with Einheit)
       menge: mengeNum,
       einheit: cleanText(einheitRaw),
       status,
       memo,
       _isUndated: isUndated,
+      _line: line, // physical CSV line (record start)
+      rule: hit?.id ?? "", // rules.json: ID der Regel, die Kategorie/Buchungstyp gesetzt hat
 
       // raw (for display)
       Gegenpartei: gegenpartei,
@@ -261,19 +948,170 @@ function parseRows(rawLines, delimiter, cols) {
       Betrag: betragRaw,
       Menge: mengeRaw,
       Einheit: einheitRaw,
+      extra,
     });
   }
 
   return rows;
 }
 
+// -----------------------------------------------------------------------------
+// Pro-rata allocation (opts.allocation = "prorata")
+// -----------------------------------------------------------------------------
+// Rows whose year is DERIVED from Von/Bis (no valid Jahr cell) and whose span
+// crosses a period boundary are split into one piece per covered period
+// (year / quarter / month, following opts.granularity), weighted by days.
+// - kosten/menge are scaled by days(piece) / days(span), Von and Bis inclusive
+// - raw display fields stay untouched; `_split` links each piece to its origin
+// - A valid Jahr cell stays the SOURCE OF TRUTH: such rows are never split
+// -----------------------------------------------------------------------------
+
+export const ALLOCATION_MODES = ["none", "prorata"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function normalizeAllocation(v, fallback = "none") {
+  const s = cleanText(v).toLowerCase();
+  return ALLOCATION_MODES.includes(s) ? s : fallback;
+}
+
+function dateMs(p) {
+  return p?.exists ? Date.UTC(p.y, p.m - 1, p.d) : NaN;
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Split [a, b] (UTC ms, inclusive days) at period boundaries.
+ * Returns { y, m, from, to, days }[] (m = month of the piece start).
+ */
+function splitSpan(a, b, granularity) {
+  const months = granularity === "month" ? 1 : granularity === "quarter" ? 3 : 12;
+  const pieces = [];
+
+  for (let cur = a; cur <= b; ) {
+    const d = new Date(cur);
+    const y = d.getUTCFullYear();
+    const m = d.getUTCMonth() + 1;
+
+    // First day of the next period (Date.UTC rolls month overflow into the next year)
+    const periodStart = Math.floor((m - 1) / months) * months;
+    const next = Date.UTC(y, periodStart + months, 1);
+    const end = Math.min(b, next - DAY_MS);
+
+    pieces.push({ y, m, from: cur, to: end, days: Math.round((end - cur) / DAY_MS) + 1 });
+    cur = end + DAY_MS;
+  }
+
+  return pieces;
+}
+
+function allocateRows(rows, granularity) {
+  const out = [];
+
+  for (const r of rows) {
+    const jahrValid = isValidYear(Number.parseInt(r?.Jahr, 10));
+    const a = dateMs(parseDateStr(r?.Von));
+    const b = dateMs(parseDateStr(r?.Bis));
+
+    if (r?._isUndated || jahrValid || !Number.isFinite(a) || !Number.isFinite(b) || a > b) {
+      out.push(r);
+      continue;
+    }
+
+    const pieces = splitSpan(a, b, granularity).filter((p) => isValidYear(p.y));
+    if (pieces.length < 2) {
+      out.push(r);
+      continue;
+    }
+
+    const totalDays = pieces.reduce((sum, p) => sum + p.days, 0);
+    pieces.forEach((p, index) => {
+      const w = p.days / totalDays;
+      out.push({
+        ...r,
+        year: p.y,
+        month: p.m,
+        kosten: r.kosten * w,
+        menge: Number.isFinite(r.menge) ? r.menge * w : r.menge,
+        _split: {
+          index,
+          count: pieces.length,
+          days: p.days,
+          totalDays,
+          from: isoDay(p.from),
+          to: isoDay(p.to),
+        },
+      });
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Detail record for tooltips/tables (raw display fields + canonical keys).
+ * - Split pieces (pro-rata) carry `Aufteilung` + `Anteil`; raw fields show the original row.
+ * - Extra columns come first, so they never shadow the fixed fields.
+ * - `_kosten`/`_menge`/`_betrag` keep the parsed numbers (anomalies.js compares
+ *   amounts/unit prices, search.js filters on them).
+ */
+function toDetailRecord(r, sourceId) {
+  return {
+    ...r?.extra,
+    Quelle: sourceId,
+
+    // canonical-ish
+    _cat: cleanKey(r?.cat),
+    _typ: cleanKey(r?.typ),
+
+    // raw display fields
+    Gegenpartei: r?.Gegenpartei ?? "",
+    Kostenart: r?.Kostenart ?? "",
+    Kategorie: r?.Kategorie ?? "",
+    Buchungstyp: r?.Buchungstyp ?? "",
+    Von: r?.Von ?? "",
+    Bis: r?.Bis ?? "",
+    Jahr: r?.Jahr ?? "",
+    Betrag: r?.Betrag ?? "",
+    Menge: r?.Menge ?? "",
+    Einheit: r?.Einheit ?? "",
+
+    status: r?.status ?? "",
+    memo: r?.memo ?? "",
+    Regel: r?.rule ?? "", // rules.json: ID der greifenden Regel (leer = aus CSV)
+    ...(r?._split ? splitDetailFields(r) : null),
+    _isUndated: !!r?._isUndated,
+    _line: r?._line ?? null, // physical CSV line of the original row
+    _betrag: Number.isFinite(r?.betrag) ? r.betrag : null, // parsed Betrag cell (whole row, also on pieces)
+    _kosten: Number.isFinite(r?.kosten) ? r.kosten : null, // parsed amount (piece amount for split rows)
+    _menge: Number.isFinite(r?.menge) ? r.menge : null,
+  };
+}
+
+/** Detail record of an unsplit row or piece 1/n (count split rows once). */
+export function isFirstPiece(rec) {
+  const s = String(rec?.Aufteilung ?? "");
+  return !s || s.startsWith("1/");
+}
+
+function splitDetailFields(r) {
+  const s = r._split;
+  return {
+    Aufteilung: `${s.index + 1}/${s.count}: ${s.from} – ${s.to} (${s.days}/${s.totalDays} Tage)`,
+    Anteil: Math.round(r.kosten * 100) / 100,
+  };
+}
+
 /**
  * Aggregate rows into:
  *  A) bars (ONLY actual rows) by (yearKey, cat, type)
  *  B) planned relations (ONLY planned rows) as lightweight edges for the legend
+ *  C) plannedBars (ONLY planned rows) by (yearKey, cat, type) for plan/actual views
  *
  * Dimensions:
- * - cat  = Kategorie (chart dimension)
+ * - cat  = Kategorie or opts.dimension column (chart dimension)
  * - type = Buchungstyp (filter dimension)
  *
  * Contract / Output:
@@ -281,6 +1119,7 @@ function parseRows(rawLines, delimiter, cols) {
  * - cats : string[] (unique, sorted; includes planned cats)
  * - types: string[] (unique, sorted; includes planned types)
  * - bars : { yearKey:string, year:number|null, cat:string, type:string, kosten:number, menge:number }[]
+ * - plannedBars: same shape as bars (planned amounts; totals/legend ignore them)
  * - unitByCat: [cat, unit][]
  * - hasUndated: boolean
  * - undatedLabel: string
@@ -296,7 +1135,7 @@ function parseRows(rawLines, delimiter, cols) {
  * - Year-rule: bars only built for rows that are dated OR explicitly undated (_isUndated).
  * - Planned rows do NOT affect bars/totals, but DO affect universes and planned relations.
  */
-function buildAggregates(rows, sourceId) {
+function buildAggregates(rows, sourceId, granularity = "year") {
   const UNDATED_LABEL = "Undatiert";
   const sid = String(sourceId ?? "").trim(); // required for plannedSource* keys
 
@@ -341,36 +1180,37 @@ function buildAggregates(rows, sourceId) {
   const plannedSourceType = new Set();
   const plannedTypeCat = new Set();
 
-  // ---- Aggregate bars (ACTUAL only) ----
+  // ---- Aggregate bars (ACTUAL) + plannedBars (PLANNED), same keying ----
   // `${yearKey}||${cat}||${type}` -> bar
   const acc = new Map();
+  const plannedAcc = new Map();
 
   for (const r of chartRows) {
     const cat = cleanKey(r?.cat);
     const type = cleanKey(r?.typ);
     if (!cat || !type) continue;
 
-    // Planned rows: collect relations, skip amounts
-    if (isPlanned(r)) {
+    // Planned rows: legend relations + separate plannedBars (never mixed into bars)
+    const planned = isPlanned(r);
+    if (planned) {
       // Only create source-relations if we have a sourceId (should be true per-source file model)
       if (sid) {
         plannedSourceCat.add(`${sid}||${cat}`);
         plannedSourceType.add(`${sid}||${type}`);
       }
       plannedTypeCat.add(`${type}||${cat}`);
-      continue;
     }
 
-    // Actual rows: go into bars
     const yearNum = Number(r?.year);
     const undated = !!r?._isUndated || !isValidYear(yearNum);
-    const yearKey = undated ? UNDATED_LABEL : String(yearNum);
+    const yearKey = undated ? UNDATED_LABEL : periodKey(yearNum, r?.month, granularity);
 
+    const target = planned ? plannedAcc : acc;
     const key = `${yearKey}||${cat}||${type}`;
-    let a = acc.get(key);
+    let a = target.get(key);
     if (!a) {
       a = { yearKey, year: undated ? null : yearNum, cat, type, kosten: 0, menge: 0 };
-      acc.set(key, a);
+      target.set(key, a);
     }
 
     const k = Number(r?.kosten);
@@ -385,6 +1225,7 @@ function buildAggregates(rows, sourceId) {
     cats,
     types,
     bars: Array.from(acc.values()),
+    plannedBars: Array.from(plannedAcc.values()),
     unitByCat: Array.from(unitByCat.entries()),
     hasUndated,
     undatedLabel: UNDATED_LABEL,
@@ -396,11 +1237,135 @@ function buildAggregates(rows, sourceId) {
   };
 }
 
+/**
+ * editCsvRecord(csvText, delimiter, line, changes, opts)
+ * - Ersetzt einzelne Zellen EINES Datensatzes; `line` ist die physische
+ *   Startzeile (wie `_line` der Detailzeilen)
+ * - changes: { [kanonische Spalte]: string } (z.B. { Kategorie: "Energie" })
+ * - Spalten werden wie beim Parsen aufgelöst (Header, optional opts.columns);
+ *   per const/regex abgeleitete Spalten sind nicht editierbar
+ * - Alle übrigen Bytes (andere Zellen, Quotes, Zeilenenden, BOM) bleiben erhalten
+ *
+ * Rückgabe: { text, before, after } (before/after: { [Spalte]: string })
+ */
+export function editCsvRecord(csvText, delimiter = ";", line, changes = {}, opts = {}) {
+  const text = String(csvText ?? "");
+  const bom = text.startsWith("\uFEFF") ? 1 : 0;
+  const delim = String(delimiter || ";");
+
+  const records = tokenizeCsv(text, delim, { offsets: true });
+  if (!records.length) throw new Error("CSV leer.");
+
+  const target = Number(line);
+  if (target === records[0].line) throw new Error("Die Kopfzeile ist nicht editierbar.");
+
+  const rec = records.find((r) => r.line === target);
+  if (!rec) throw new Error(`Kein Datensatz beginnt in Zeile ${line}.`);
+
+  const lcHeader = records[0].cells.map((h) => cleanText(h).toLowerCase());
+  const edits = [];
+  const before = {};
+  const after = {};
+
+  for (const [field, value] of Object.entries(changes || {})) {
+    const i = editableColumnIndex(field, lcHeader, opts?.columns);
+    const next = String(value ?? "");
+    before[field] = rec.cells[i] ?? "";
+    after[field] = next;
+    if (before[field] !== next) edits.push([i, formatCsvCell(next, delim)]);
+  }
+
+  if (!edits.length) return { text, before, after };
+
+  // Fehlende Zellen am Zeilenende (kurze Zeilen) mit leeren Zellen auffüllen
+  const spans = rec.spans.slice();
+  const cells = spans.map(([a, b]) => text.slice(a + bom, b + bom));
+  const recEnd = spans[spans.length - 1][1];
+  for (const [i, raw] of edits) {
+    while (cells.length <= i) cells.push("");
+    cells[i] = raw;
+  }
+
+  const start = spans[0][0] + bom;
+  return {
+    text: text.slice(0, start) + cells.join(delim) + text.slice(recEnd + bom),
+    before,
+    after,
+  };
+}
+
+function editableColumnIndex(field, lcHeader, mapping) {
+  const canon = CANONICAL_COLUMNS.find((c) => c.toLowerCase() === String(field).trim().toLowerCase());
+  if (!canon) throw new Error(`Unbekannte Spalte: ${field}`);
+
+  let name = canon;
+  if (hasColumnMapping(mapping)) {
+    const key = Object.keys(mapping).find((k) => k.toLowerCase() === canon.toLowerCase());
+    const spec = key != null ? mapping[key] : null;
+    if (typeof spec === "string") name = spec;
+    else if (spec && typeof spec === "object" && spec.column && spec.const == null && spec.from == null) name = spec.column;
+    else if (spec != null) throw new Error(`Spalte ${canon} ist per columns-Mapping abgeleitet und nicht editierbar.`);
+  }
+
+  const i = lcHeader.indexOf(cleanText(name).toLowerCase());
+  if (i < 0) throw new Error(`Spalte ${name} fehlt in der CSV.`);
+  return i;
+}
+
+/** Zelle für die CSV schreiben: quoten, wenn Trennzeichen/Quote/Zeilenumbruch/Randleerzeichen; shared with exportView.js. */
+export function formatCsvCell(value, delim) {
+  const v = String(value ?? "");
+  const needsQuotes = v.includes(delim) || /["\r\n]/.test(v) || v !== v.trim();
+  return needsQuotes ? `"${v.replaceAll('"', '""')}"` : v;
+}
+
+/**
+ * inspectCsv(csvText, delimiter, opts)
+ * - Vorschau für den Upload: Header prüfen (gleiche Regeln wie buildModel /
+ *   headerIndex), erste Datenzeilen als Zellen zurückgeben
+ * - Wirft bei leerer CSV, kaputten Quotes oder fehlender Pflichtspalte
+ *
+ * opts:
+ * - columns: object   // optionales Spalten-Mapping (see applyColumnMapping)
+ * - limit: number     // Anzahl Vorschauzeilen (default 10)
+ *
+ * Rückgabe: { header, recognized, missing, rows, rowCount }
+ */
+export function inspectCsv(csvText, delimiter = ";", opts = {}) {
+  const limit = Number.isFinite(opts?.limit) && Number(opts.limit) > 0 ? Number(opts.limit) : 10;
+
+  const tokenized = tokenizeCsv(csvText, delimiter);
+  if (tokenized.length < 1) throw new Error("CSV leer.");
+
+  const records = applyColumnMapping(tokenized, opts?.columns);
+  const header = records[0].cells.map((h) => cleanText(h));
+  const cols = headerIndex(header);
+
+  // iKategorie -> "Kategorie" (Reihenfolge wie CANONICAL_COLUMNS)
+  const found = new Set(
+    Object.entries(cols)
+      .filter(([, i]) => i >= 0)
+      .map(([k]) => k.slice(1).toLowerCase())
+  );
+
+  return {
+    header,
+    recognized: CANONICAL_COLUMNS.filter((c) => found.has(c.toLowerCase())),
+    missing: CANONICAL_COLUMNS.filter((c) => !found.has(c.toLowerCase())),
+    rows: records.slice(1, 1 + limit).map((r) => r.cells),
+    rowCount: records.length - 1,
+  };
+}
+
+// detailLimit for consumers that need every row (server details, search, anomalies)
+export const DETAIL_LIMIT_ALL = Number.MAX_SAFE_INTEGER;
+
 /**
  * buildModel(csvText, delimiter, opts)
  *
  * Pipeline:
- * 1) CSV -> lines (positionsstabil)
+ * 1) CSV -> records (RFC 4180; positionsstabil, Zeilennummern bleiben erhalten)
+ *    + optionales Spalten-Mapping auf den kanonischen Header
  * 2) Header mappen
  * 3) Rows parsen (canonical fields: year, cat, typ, kosten, menge, einheit, status, memo, _isUndated)
  * 4) Universe (cats/types) aus ALLEN rows (nicht nur gefiltert)
@@ -412,6 +1377,16 @@ function buildAggregates(rows, sourceId) {
  * - type: string | null | undefined   // Buchungstyp filter; falsy => ALL
  * - sourceId: string                  // required for tooltip provenance
  * - detailLimit: number               // max details per bucket
+ * - numberLocale: "de" | "en" | "auto" // Betrag/Menge format (default: auto per column)
+ * - columns: object                   // optional column mapping (see applyColumnMapping)
+ * - rules: object[]                    // optional rules.json entries (see rules.js)
+ * - granularity: "year" | "quarter" | "month" // time bucket for yearKey (default: year)
+ * - allocation: "none" | "prorata"     // split Von/Bis spans across periods (default: none)
+ * - rowFilter: (row) => boolean        // optional: keep only matching parsed rows (search.js);
+ *                                      // cats/types universe still comes from ALL rows
+ * - dimension: string                  // column behind `cat` (default: "Kategorie")
+ * - filters: { [column]: string[] }    // optional column filters (allowed values, see
+ *                                      // normalizeColumnFilters); universes from ALL rows
  */
 export function buildModel(csvText, delimiter = ";", opts = {}) {
   // ---------------------------------------------------------------------------
@@ -423,39 +1398,56 @@ export function buildModel(csvText, delimiter = ";", opts = {}) {
     Number.isFinite(opts?.detailLimit) && Number(opts.detailLimit) > 0
       ? Number(opts.detailLimit)
       : 50;
+  const numberLocale = normalizeNumberLocale(opts?.numberLocale);
+  const rules = compileRules(opts?.rules);
+  const granularity = normalizeGranularity(opts?.granularity);
+  const allocation = normalizeAllocation(opts?.allocation);
+  const dimension = normalizeDimension(opts?.dimension);
 
   // Wenn du wirklich willst, dass Quelle NIE leer ist: hart failen.
   // (Du hast gesagt: wenn leer, darf crashen)
   if (!sourceId) throw new Error("buildModel: opts.sourceId missing/empty (required for tooltip)");
 
   // ---------------------------------------------------------------------------
-  // 1) Input -> lines (Positionsstabilität!)
+  // 1) Input -> records (Positionsstabilität! Quoted fields / multi-line cells)
   // ---------------------------------------------------------------------------
-  const rawLines = String(csvText ?? "")
-    .split(/\r?\n/)
-    .map((l) => cleanText(l))
-    .filter((l) => l.length > 0);
+  const tokenized = tokenizeCsv(csvText, delimiter);
 
-  if (rawLines.length < 2) throw new Error("CSV leer oder ohne Datenzeilen.");
+  if (tokenized.length < 2) throw new Error("CSV leer oder ohne Datenzeilen.");
+
+  // Optional: per-source column mapping (config.json `columns`)
+  const records = applyColumnMapping(tokenized, opts?.columns);
 
   // ---------------------------------------------------------------------------
   // 2) Header + Parse
   // ---------------------------------------------------------------------------
-  const headerParts = splitLine(rawLines[0], delimiter);
-  const cols = headerIndex(headerParts);
-
-  const allRows = parseRows(rawLines, delimiter, cols);
-  if (!allRows.length) {
+  const headerParts = records[0].cells.map((h) => cleanText(h));
+  const mappedColumns = mappedSourceColumns(opts?.columns);
+  const cols = headerIndex(headerParts, dimension, mappedColumns);
+
+  const diagnostics = [];
+  const numberLocales = columnNumberLocales(records, cols, numberLocale, diagnostics);
+  const parsedRows = parseRows(records, cols, diagnostics, numberLocales, rules);
+  if (!parsedRows.length) {
     throw new Error("Keine verwertbaren Zeilen. Prüfe Betrag/Delimiter/Spalten.");
   }
 
+  // Optional row filter (search) + column filters: before allocation, so they see whole rows
+  const rowFilter = typeof opts?.rowFilter === "function" ? opts.rowFilter : null;
+  const columnFilters = normalizeColumnFilters(opts?.filters)
+    .map(([column, values]) => [dimensionAccessor(column), new Set(values)]);
+  const keepRow = (r) =>
+    (!rowFilter || rowFilter(r)) && columnFilters.every(([get, allowed]) => allowed.has(get(r)));
+  const keptRows = rowFilter || columnFilters.length ? parsedRows.filter(keepRow) : parsedRows;
+  const allRows = allocation === "prorata" ? allocateRows(keptRows, granularity) : keptRows;
+
   // ---------------------------------------------------------------------------
   // 3) Universe (Dropdowns) aus ALLEN Rows
   // - parseRows liefert dimOrQuestion() => "?" ist explizit erlaubt.
   // - cleanKey defensiv; leere Strings werden entfernt.
   // ---------------------------------------------------------------------------
-  const cats = uniqueSorted(allRows.map((r) => cleanKey(r?.cat)).filter(Boolean));
-  const types = uniqueSorted(allRows.map((r) => cleanKey(r?.typ)).filter(Boolean));
+  const cats = uniqueSorted(parsedRows.map((r) => cleanKey(r?.cat)).filter(Boolean));
+  const types = uniqueSorted(parsedRows.map((r) => cleanKey(r?.typ)).filter(Boolean));
 
   // ---------------------------------------------------------------------------
   // 4) Optionaler Typ-Filter (Buchungstyp)
@@ -470,6 +1462,7 @@ export function buildModel(csvText, delimiter = ";", opts = {}) {
   // Key: `${yearKey}||${cat}||${typ}` (parse-seitig typ; app kann später auf type mappen)
   // ---------------------------------------------------------------------------
   const detailsByKey = new Map();
+  const uncategorized = []; // alle Zeilen, die trotz Regeln in "?" landen (ohne detailLimit)
 
   const pushDetail = (key, rec) => {
     let arr = detailsByKey.get(key);
@@ -477,8 +1470,10 @@ export function buildModel(csvText, delimiter = ";", opts = {}) {
     if (arr.length < detailLimit) arr.push(rec);
   };
 
+  const dimensions = dimensionColumns(records, mappedColumns);
+
   // Aggregates must be built before details to get undatedLabel
-  const aggregates = buildAggregates(rows,sourceId);
+  const aggregates = buildAggregates(rows, sourceId, granularity);
 
   for (const r of rows) {
     const year = Number(r?.year);
@@ -486,31 +1481,16 @@ export function buildModel(csvText, delimiter = ";", opts = {}) {
     const typKey = cleanKey(r?.typ);
 
     const isUndated = !!r?._isUndated || !isValidYear(year);
-    const yearKey = isUndated ? (aggregates.undatedLabel ?? "Undatiert") : String(year);
-
-    const rec = {
-      Quelle: sourceId,
-
-      // canonical-ish
-      _cat: catKey,
-      _typ: typKey,
-
-      // raw display fields
-      Gegenpartei: r?.Gegenpartei ?? "",
-      Kostenart: r?.Kostenart ?? "",
-      Kategorie: r?.Kategorie ?? "",
-      Buchungstyp: r?.Buchungstyp ?? "",
-      Von: r?.Von ?? "",
-      Bis: r?.Bis ?? "",
-      Jahr: r?.Jahr ?? "",
-      Betrag: r?.Betrag ?? "",
-      Menge: r?.Menge ?? "",
-      Einheit: r?.Einheit ?? "",
-
-      status: r?.status ?? "",
-      memo: r?.memo ?? "",
-      _isUndated: !!r?._isUndated,
-    };
+    const yearKey = isUndated
+      ? (aggregates.undatedLabel ?? "Undatiert")
+      : periodKey(year, r?.month, granularity);
+
+    const rec = toDetailRecord(r, sourceId);
+    // Split pieces: list the original row only once
+    // (rules only set Kategorie/Buchungstyp: judge by Kategorie, not by the chart dimension)
+    const isFirstPiece = !r?._split || r._split.index === 0;
+    const katKey = dimOrQuestion(r?.Kategorie);
+    if ((katKey === "?" || typKey === "?") && isFirstPiece) uncategorized.push(rec);
 
     // chartable only
     if (!catKey || !typKey) continue;
@@ -526,9 +1506,10 @@ export function buildModel(csvText, delimiter = ";", opts = {}) {
   cats,
   types,
 
-  // Aggregates (ACTUAL only bars; planned is excluded there by design)
+  // Aggregates (ACTUAL only bars; planned amounts live in plannedBars)
   years: aggregates.years,
   bars: aggregates.bars,
+  plannedBars: aggregates.plannedBars,
   unitByCat: aggregates.unitByCat,
 
   // Planned relations (legend-only, no money semantics)
@@ -536,9 +1517,87 @@ export function buildModel(csvText, delimiter = ";", opts = {}) {
   plannedSourceType: aggregates.plannedSourceType ?? [],
   plannedTypeCat: aggregates.plannedTypeCat ?? [],
 
+  // Import report: dropped / repaired / suspicious cells (per source)
+  diagnostics,
+  numberLocales,
+
+  // Rows still landing in "?" (Kategorie or Buchungstyp) – input for new rules
+  uncategorized,
+
   // Extras
   detailsByKey,
   hasUndated: !!aggregates.hasUndated,
   undatedLabel: aggregates.undatedLabel ?? "Undatiert",
+  granularity,
+  dimension,
+  dimensions,
+  dimensionValues: dimensionValues(parsedRows, dimensions),
+  filterKey: columnFiltersKey(opts?.filters),
 };
-}
\ No newline at end of file
+}
+
+/**
+ * selectDetails(model, keep)
+ * - Sub-model from the detail records of a model built with DETAIL_LIMIT_ALL
+ *   (search.js: matches without parsing the CSV again)
+ * - keep(rec, yearKey) decides per detail record (split pieces individually)
+ * - bars / plannedBars / years / unitByCat / planned relations are summed again
+ *   from the kept records (same rules as buildAggregates); universes
+ *   (cats/types/dimensions) stay those of the full model
+ */
+export function selectDetails(model, keep) {
+  const detailsByKey = new Map();
+  const acc = new Map();
+  const plannedAcc = new Map();
+  const years = new Set();
+  const unitByCat = new Map();
+  const plannedSourceCat = new Set();
+  const plannedSourceType = new Set();
+  const plannedTypeCat = new Set();
+  let hasUndated = false;
+
+  for (const [key, recs] of model?.detailsByKey || []) {
+    const [yearKey, cat, type] = String(key).split("||");
+    const kept = recs.filter((rec) => keep(rec, yearKey));
+    if (!kept.length) continue;
+    detailsByKey.set(key, kept);
+
+    const year = yearOfPeriodKey(yearKey);
+    if (isValidYear(year)) years.add(year);
+    else hasUndated = true;
+
+    for (const rec of kept) {
+      if (!unitByCat.has(cat) && rec.Einheit) unitByCat.set(cat, String(rec.Einheit));
+
+      const planned = String(rec.status || "").toLowerCase() === "planned";
+      if (planned) {
+        plannedSourceCat.add(`${rec.Quelle}||${cat}`);
+        plannedSourceType.add(`${rec.Quelle}||${type}`);
+        plannedTypeCat.add(`${type}||${cat}`);
+      }
+
+      const target = planned ? plannedAcc : acc;
+      let a = target.get(key);
+      if (!a) {
+        a = { yearKey, year: isValidYear(year) ? year : null, cat, type, kosten: 0, menge: 0 };
+        target.set(key, a);
+      }
+      if (Number.isFinite(rec._kosten)) a.kosten += rec._kosten;
+      if (Number.isFinite(rec._menge)) a.menge += rec._menge;
+    }
+  }
+
+  return {
+    ...model,
+    years: Array.from(years).sort((a, b) => a - b),
+    bars: Array.from(acc.values()),
+    plannedBars: Array.from(plannedAcc.values()),
+    unitByCat: Array.from(unitByCat.entries()),
+    plannedSourceCat: Array.from(plannedSourceCat),
+    plannedSourceType: Array.from(plannedSourceType),
+    plannedTypeCat: Array.from(plannedTypeCat),
+    detailsByKey,
+    hasUndated,
+    uncategorized: [],
+  };
+}
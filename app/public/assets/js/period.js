@@ -0,0 +1,86 @@
+// period.js
+// -----------------------------------------------------------------------------
+// Zeit-Granularität (pure) – Jahr / Quartal / Monat
+// -----------------------------------------------------------------------------
+// Der Zeitschlüssel heißt historisch `yearKey` und bleibt ein String:
+// - year   : "2024"
+// - quarter: "2024-Q1" … "2024-Q4"
+// - month  : "2024-01" … "2024-12"
+//
+// Zeilen ohne Monatsinformation (nur Jahr-Zelle) landen bei Quartal/Monat in
+// einem eigenen Bucket am Jahresende: "2024-Q?" bzw. "2024-??".
+// Undatierte Zeilen behalten ihr Label (z.B. "Undatiert"), das immer zuletzt sortiert.
+//
+// Wichtig: bar.year bleibt numerisch (Jahr des Zeitraums). Damit arbeiten
+// Jahr-Slider, Jahr-Filter und Totals unverändert weiter.
+// -----------------------------------------------------------------------------
+
+export const GRANULARITIES = ["year", "quarter", "month"];
+
+export function normalizeGranularity(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return GRANULARITIES.includes(s) ? s : "year";
+}
+
+/**
+ * periodKey(year, month, granularity)
+ * - month: 1..12 oder null (unbekannt)
+ */
+export function periodKey(year, month, granularity = "year") {
+  const y = String(year);
+  const g = normalizeGranularity(granularity);
+  if (g === "year") return y;
+
+  const m = Number.isInteger(month) && month >= 1 && month <= 12 ? month : null;
+  if (g === "quarter") return m == null ? `${y}-Q?` : `${y}-Q${Math.ceil(m / 3)}`;
+  return m == null ? `${y}-??` : `${y}-${String(m).padStart(2, "0")}`;
+}
+
+/** Jahr eines Zeitschlüssels ("2024", "2024-Q1", "2024-03") oder NaN. */
+export function yearOfPeriodKey(key) {
+  const m = String(key ?? "").match(/^(\d{4})(?:-|$)/);
+  return m ? Number(m[1]) : NaN;
+}
+
+/**
+ * Sortierung für Zeitschlüssel: chronologisch, unbekannter Unterzeitraum ans
+ * Jahresende, nicht-datierte Schlüssel (Undatiert) ganz ans Ende.
+ */
+export function comparePeriodKeys(a, b) {
+  const sa = String(a ?? "");
+  const sb = String(b ?? "");
+  const ya = yearOfPeriodKey(sa);
+  const yb = yearOfPeriodKey(sb);
+
+  const aDated = Number.isFinite(ya);
+  const bDated = Number.isFinite(yb);
+  if (aDated !== bDated) return aDated ? -1 : 1;
+  if (!aDated) return sa.localeCompare(sb, "de");
+  if (ya !== yb) return ya - yb;
+
+  return subPeriodRank(sa) - subPeriodRank(sb);
+}
+
+/** Kurzes Achsen-Label: "24", "Q1 24", "03/24" (Unbekannt: "Q? 24", "?/24"). */
+export function formatPeriodTick(key) {
+  const s = String(key ?? "");
+  const y = yearOfPeriodKey(s);
+  if (!Number.isFinite(y)) return s;
+
+  const yy = String(y).slice(-2);
+  const rest = s.slice(5);
+  if (!rest) return yy;
+  if (rest.startsWith("Q")) return `${rest} ${yy}`;
+  return rest === "??" ? `?/${yy}` : `${rest}/${yy}`;
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function subPeriodRank(key) {
+  const rest = key.slice(5);
+  if (!rest) return 0;
+  const n = Number.parseInt(rest.replace(/^Q/, ""), 10);
+  return Number.isFinite(n) ? n : 99; // "Q?" / "??" => Jahresende
+}
@@ -3,12 +3,20 @@
 // - Debug/Transparenz: zeigt ALLE aktuell sichtbaren Detail-Zeilen als Tabelle
 // - Quelle ist ctx.derived nach Anwendung von Quelle/Typ/Kategorie/Jahr-Filtern
 // - Sortierbar nach allen Spalten (Header-Klick: asc/desc)
+// - Detail-/CTX-Tabelle: Doppelklick auf Dimension/Betrag/Status/Memo editiert
+//   die Zelle und schreibt sie in die CSV zurück (rowEdit.js)
 // - Ohne Dependencies, ohne Inline-Styles
 // -----------------------------------------------------------------------------
 
 // NOTE: UI-only enrichment. We keep all financial formulas in a dedicated module.
 // This file is just a renderer/formatter that may call calculators to add columns.
 import { berechneRente, calcSozialabgaben } from "./taxEngineDE.js";
+import { createRowEditor } from "./rowEdit.js";
+import { collectSearchResults } from "./search.js";
+import { ANOMALY_LABEL } from "./anomalies.js";
+
+// Suche-Tab: mehr Zeilen rendert der Browser nicht flüssig (sortiert wird vorher)
+const SEARCH_TABLE_LIMIT = 1000;
 
 // -----------------------------------------------------------------------------
 // Public API
@@ -50,9 +58,18 @@ export function renderDerivedIntoDom(ctx, opts = {}) {
       }
       renderDerivedIntoDom(ctx, opts);
     },
+    editable: createRowEditor(ctx),
   });
 }
 
+/**
+ * collectDerivedRows(ctx)
+ * - Dieselben Zeilen, die renderDerivedIntoDom() zeigt (unsortiert; für den Export)
+ */
+export function collectDerivedRows(ctx) {
+  return extractVisibleRows(ctx);
+}
+
 // -----------------------------------------------------------------------------
 // 1) Root + Mount
 // -----------------------------------------------------------------------------
@@ -169,9 +186,8 @@ function renderTable(root, rows, sort) {
     return;
   }
 
-  const columns = collectColumns(rows);
-
   const st = sort || {};
+  const columns = Array.isArray(st.columns) && st.columns.length ? st.columns : collectColumns(rows);
   const sortKey = st.sortKey && columns.includes(st.sortKey) ? st.sortKey : null;
   const sortDir = st.sortDir === "desc" ? "desc" : "asc";
 
@@ -206,13 +222,31 @@ function renderTable(root, rows, sort) {
     </thead>
   `;
 
+  // Editierbare Zellen tragen Zeilenindex + Spalte (Doppelklick => Editor)
+  const editable = st.editable || null;
+  const cell = (r, i, c) => {
+    const text = escapeHtml(formatCell(r?.[c]));
+    if (!editable?.isEditable(r, c)) return `<td>${text}</td>`;
+    return `<td class="is-editable" data-row="${i}" data-edit="${escapeHtml(c)}" title="Doppelklick zum Bearbeiten">${text}</td>`;
+  };
+
+  // Optionales Limit: erst sortieren, dann kappen
+  const limit = Number.isFinite(st.limit) && st.limit > 0 ? st.limit : Infinity;
+  const hidden = Math.max(0, list.length - limit);
+  if (hidden) list = list.slice(0, limit);
+
+  const more = hidden
+    ? `<tr><td class="muted" colspan="${columns.length}">… ${hidden} weitere Zeilen (Suche eingrenzen oder sortieren)</td></tr>`
+    : "";
+
   const tbody = `
     <tbody>
       ${list
-        .map((r) => {
-          return `<tr>${columns.map((c) => `<td>${escapeHtml(formatCell(r?.[c]))}</td>`).join("")}</tr>`;
+        .map((r, i) => {
+          return `<tr>${columns.map((c) => cell(r, i, c)).join("")}</tr>`;
         })
         .join("")}
+      ${more}
     </tbody>
   `;
 
@@ -224,6 +258,118 @@ function renderTable(root, rows, sort) {
       if (typeof st.onSort === "function") st.onSort(key);
     });
   });
+
+  if (editable) {
+    mount.querySelector("tbody")?.addEventListener("dblclick", (ev) => {
+      const td = ev.target.closest("td[data-edit]");
+      if (!td) return;
+      startCellEdit(td, list[Number(td.dataset.row)], td.dataset.edit, editable);
+    });
+  }
+}
+
+/**
+ * renderSortableTable(root, rows, opts)
+ * - renderTable mit Sort-Status am Root (root.__tableState, überlebt Re-Renders)
+ * - Klick auf einen Spaltenkopf sortiert dieselben rows neu (gleiche Spalte => Richtung wechseln)
+ * - opts: { columns?, editable?, limit? }; ohne columns => collectColumns(rows)
+ */
+function renderSortableTable(root, rows, opts = {}) {
+  const st = (root.__tableState ||= {
+    sortKey: null,
+    sortDir: "asc",
+  });
+
+  renderTable(root, rows, {
+    ...opts,
+    sortKey: st.sortKey,
+    sortDir: st.sortDir,
+    onSort: (key) => {
+      if (st.sortKey === key) {
+        st.sortDir = st.sortDir === "asc" ? "desc" : "asc";
+      } else {
+        st.sortKey = key;
+        st.sortDir = "asc";
+      }
+      renderSortableTable(root, rows, opts);
+    },
+  });
+}
+
+/**
+ * Zelle in ein Eingabefeld verwandeln.
+ * - Enter speichert, Escape/Blur verwirft
+ * - Erfolg: Quelle wird neu geladen, der Redraw rendert die Tabelle neu
+ * - Gespeichert, aber Neuladen gescheitert: neuer Wert bleibt stehen (markiert),
+ *   Hinweis als Tooltip – nicht erneut speichern, der Live-Reload lädt nach
+ * - Nicht gespeichert: alter Wert bleibt, Meldung als Tooltip an der Zelle
+ */
+function startCellEdit(td, row, column, editable) {
+  if (!row || td.querySelector("input")) return;
+
+  const original = formatCell(row[column]);
+  td.classList.remove("is-invalid");
+  td.innerHTML = `<input class="form-control form-control-sm" value="${escapeHtml(original)}" aria-label="${escapeHtml(column)}" />`;
+
+  const input = td.querySelector("input");
+  let done = false;
+
+  const close = (errorMsg = "") => {
+    done = true;
+    td.textContent = original;
+    td.classList.remove("is-saving");
+    td.classList.toggle("is-invalid", !!errorMsg);
+    td.title = errorMsg || "Doppelklick zum Bearbeiten";
+  };
+
+  const commit = async () => {
+    const value = input.value;
+    if (value === original) return close();
+
+    done = true;
+    input.disabled = true;
+    td.classList.add("is-saving");
+    let res;
+    try {
+      res = await editable.onEdit(row, column, value);
+    } catch (e) {
+      console.warn("renderGenTables.js [startCellEdit] save failed:", e?.message || e);
+      const hints = describeLineDiagnostics(e?.check);
+      close(`Nicht gespeichert: ${e?.message || e}${hints ? ` (${hints})` : ""}`);
+      return;
+    }
+
+    td.textContent = value;
+    td.classList.remove("is-saving");
+    if (res?.reloadError) {
+      td.classList.add("is-stale");
+      td.title = `Gespeichert, aber Neuladen fehlgeschlagen (${res.reloadError}). Nicht erneut speichern – die Änderung steht in der CSV und wird automatisch nachgeladen.`;
+      return;
+    }
+    const hints = describeLineDiagnostics(res?.check);
+    if (hints) td.title = `Gespeichert mit Hinweis: ${hints}`;
+  };
+
+  input.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") {
+      ev.preventDefault();
+      commit();
+    } else if (ev.key === "Escape") {
+      close();
+    }
+  });
+  input.addEventListener("blur", () => {
+    if (!done) close();
+  });
+
+  input.focus();
+  input.select();
+}
+
+/** Diagnosen des Server-Probe-Parse zu dieser Zeile (check.lineDiagnostics) als Kurztext. */
+function describeLineDiagnostics(check) {
+  const list = Array.isArray(check?.lineDiagnostics) ? check.lineDiagnostics : [];
+  return list.map((d) => `${d.column}: ${d.reason}`).join("; ");
 }
 
 function collectColumns(rows) {
@@ -403,8 +549,9 @@ export function renderCategoryDetailsIntoDom(ctx, opts = {}) {
   }
 
   // Option A: Kategorie ist Identität → KEIN trim/cleanKey.
+  // _cat ist der Wert der gewählten Dimension (parse.js), nicht zwingend die Spalte Kategorie
   const rows = all.filter((r) => {
-    const c = r?.cat ?? r?.category ?? r?.Kategorie;
+    const c = r?._cat ?? r?.cat ?? r?.category ?? r?.Kategorie;
     return c === activeCat;
   });
 
@@ -547,5 +694,98 @@ export function renderCategoryDetailsIntoDom(ctx, opts = {}) {
       }
       renderCategoryDetailsIntoDom(ctx, opts);
     },
+    editable: createRowEditor(ctx),
   });
-}
\ No newline at end of file
+}
+// -----------------------------------------------------------------------------
+// Offen-Tab: Zeilen, die (trotz rules.json) in "?" landen
+// - Datengrundlage: ctx.raw.bySource[sid].model.uncategorized (alle Quellen)
+// - Filterunabhängig: Arbeitsliste zum Schreiben neuer Regeln
+// - Sortierbar nach allen Spalten (nutzt dieselbe renderTable-Engine)
+// -----------------------------------------------------------------------------
+
+export function renderUncategorizedIntoDom(ctx, opts = {}) {
+  const root = resolveRoot(opts.root || "uncategorizedTable");
+  if (!root) return;
+
+  ensureMount(root);
+
+  const rows = [];
+  const bySource = ctx?.raw?.bySource;
+  if (bySource instanceof Map) {
+    for (const entry of bySource.values()) {
+      const list = entry?.model?.uncategorized;
+      if (Array.isArray(list)) rows.push(...list);
+    }
+  }
+
+  const countEl = resolveRoot(opts.countRoot || "uncategorizedCount");
+  if (countEl) countEl.textContent = String(rows.length);
+
+  renderSortableTable(root, rows);
+}
+
+// -----------------------------------------------------------------------------
+// Suche-Tab: Treffer der Volltextsuche (search.js) über alle geladenen Quellen
+// - Datengrundlage: ctx.raw.bySource[sid].search.model (filterunabhängig)
+// - Sortierbar + editierbar wie die Detail-Tabellen; max. SEARCH_TABLE_LIMIT Zeilen
+// -----------------------------------------------------------------------------
+
+export function renderSearchResultsIntoDom(ctx, opts = {}) {
+  const root = resolveRoot(opts.root || "searchTable");
+  if (!root) return;
+
+  ensureMount(root);
+
+  const query = String(ctx?.state?.searchQuery ?? "").trim();
+  const rows = collectSearchResults(ctx);
+
+  const countEl = resolveRoot(opts.countRoot || "searchCount");
+  if (countEl) countEl.textContent = query ? String(rows.length) : "–";
+
+  if (!query) {
+    const mount = root.querySelector("[data-derived-mount]");
+    if (mount) mount.innerHTML = "<div>(Suchbegriff eingeben)</div>";
+    return;
+  }
+
+  renderSortableTable(root, rows, {
+    editable: createRowEditor(ctx),
+    limit: SEARCH_TABLE_LIMIT,
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Ausreißer-Tab: Auffälligkeiten der aktuellen Ansicht (anomalies.js)
+// - Datengrundlage: ctx.derived.anomalies (gleiche Filter wie der Chart)
+// - Eine Zeile je Befund mit Grund; Buchungsbezug (Gegenpartei/Betrag/Zeile)
+//   nur bei Einzelbuchungen ("row"/"duplicate")
+// -----------------------------------------------------------------------------
+
+// Feste Spaltenfolge (Befund vorne, Buchungsbezug hinten) statt alphabetisch
+const ANOMALY_COLUMNS = ["Art", "Zeitraum", "Kategorie", "Quelle", "Grund", "Stärke", "Gegenpartei", "Betrag", "Zeile"];
+
+export function renderAnomaliesIntoDom(ctx, opts = {}) {
+  const root = resolveRoot(opts.root || "anomaliesTable");
+  if (!root) return;
+
+  ensureMount(root);
+
+  const list = Array.isArray(ctx?.derived?.anomalies) ? ctx.derived.anomalies : [];
+  const rows = list.map((a) => ({
+    Art: ANOMALY_LABEL[a.kind] || a.kind,
+    Zeitraum: a.key ?? String(a.year),
+    Kategorie: a.cat,
+    Quelle: a.sourceId,
+    Grund: a.reason,
+    Stärke: Math.round(a.score * 10) / 10,
+    Gegenpartei: a.row?.Gegenpartei ?? "",
+    Betrag: a.row?._kosten ?? "",
+    Zeile: a.row?._line ?? "",
+  }));
+
+  const countEl = resolveRoot(opts.countRoot || "anomaliesCount");
+  if (countEl) countEl.textContent = String(rows.length);
+
+  renderSortableTable(root, rows, { columns: ANOMALY_COLUMNS });
+}
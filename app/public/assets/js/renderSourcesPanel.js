@@ -0,0 +1,144 @@
+// -----------------------------------------------------------------------------
+// renderSourcesPanel.js
+// - "Quellen"-Tab: Import-Diagnose pro Quelle (verworfen / repariert / auffällig)
+// - Datengrundlage: ctx.raw.bySource[sid].model.diagnostics (aus parse.js)
+// - Unabhängig von Filtern: zeigt immer den vollständigen Import-Bericht
+// - Ohne Dependencies, ohne Inline-Styles
+// -----------------------------------------------------------------------------
+
+import { resolveEl, escapeHtml } from "./dom-helpers.js";
+
+const SEVERITY_LABEL = {
+  error: "Fehler",
+  warning: "Warnung",
+  info: "Hinweis",
+};
+
+const ACTION_LABEL = {
+  dropped: "verworfen",
+  repaired: "repariert",
+  suspicious: "auffällig",
+};
+
+// Pro Quelle nur die ersten N Einträge rendern (große Dateien bleiben bedienbar)
+const ROW_LIMIT = 200;
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * renderSourcesIntoDom(ctx, opts)
+ * - Rendert pro konfigurierter Quelle eine Zusammenfassung + Diagnose-Tabelle
+ *   in #sourcesDetails (oder opts.root).
+ * - #sourcesEmpty (oder opts.emptyRoot) wird ausgeblendet, sobald Quellen da sind.
+ */
+export function renderSourcesIntoDom(ctx, opts = {}) {
+  const root = resolveEl(opts.root || "sourcesDetails");
+  if (!root) return;
+
+  const emptyEl = resolveEl(opts.emptyRoot || "sourcesEmpty");
+
+  const bySource = ctx?.raw?.bySource;
+  const sources = Array.isArray(ctx?.config?.sources) ? ctx.config.sources : [];
+
+  if (!(bySource instanceof Map) || !bySource.size) {
+    root.innerHTML = "";
+    if (emptyEl) emptyEl.hidden = false;
+    return;
+  }
+
+  if (emptyEl) emptyEl.hidden = true;
+
+  const sections = [];
+  for (const src of sources) {
+    const sid = String(src?.id ?? "").trim();
+    if (!sid) continue;
+
+    const entry = bySource.get(sid);
+    const label = String(src?.label || src?.name || sid);
+    sections.push(renderSourceSection(sid, label, entry?.model));
+  }
+
+  root.innerHTML = sections.join("");
+}
+
+// -----------------------------------------------------------------------------
+// 1) Rendering
+// -----------------------------------------------------------------------------
+
+function renderSourceSection(sid, label, model) {
+  const diagnostics = Array.isArray(model?.diagnostics) ? model.diagnostics : [];
+  const counts = countBySeverity(diagnostics);
+
+  const summary = [
+    `${counts.error} ${SEVERITY_LABEL.error}`,
+    `${counts.warning} ${SEVERITY_LABEL.warning}en`,
+    `${counts.info} ${SEVERITY_LABEL.info}e`,
+  ].join(" · ");
+
+  const head = `
+    <header class="sources-panel__head">
+      <h3 class="h6 mb-1">${escapeHtml(label)} <span class="text-muted">(${escapeHtml(sid)})</span></h3>
+      <div class="sources-panel__summary">${escapeHtml(summary)}</div>
+    </header>
+  `;
+
+  if (!model) {
+    return `<section class="sources-panel mb-3" data-source-id="${escapeHtml(sid)}">${head}<div class="text-muted">(nicht geladen)</div></section>`;
+  }
+
+  if (!diagnostics.length) {
+    return `<section class="sources-panel mb-3" data-source-id="${escapeHtml(sid)}">${head}<div class="text-muted">Keine Auffälligkeiten.</div></section>`;
+  }
+
+  const list = diagnostics.slice(0, ROW_LIMIT);
+  const more = diagnostics.length - list.length;
+
+  const tbody = list
+    .map((d) => {
+      const sev = String(d?.severity || "info");
+      return `
+        <tr data-severity="${escapeHtml(sev)}">
+          <td>${escapeHtml(d?.line ?? "")}</td>
+          <td>${escapeHtml(d?.column ?? "")}</td>
+          <td>${escapeHtml(d?.value ?? "")}</td>
+          <td>${escapeHtml(SEVERITY_LABEL[sev] || sev)}</td>
+          <td>${escapeHtml(ACTION_LABEL[d?.action] || d?.action || "")}</td>
+          <td>${escapeHtml(d?.reason ?? "")}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const hint = more > 0 ? `<div class="text-muted">… ${more} weitere Einträge</div>` : "";
+
+  return `
+    <section class="sources-panel mb-3" data-source-id="${escapeHtml(sid)}">
+      ${head}
+      <div class="derived-table">
+        <table>
+          <thead>
+            <tr><th>Zeile</th><th>Spalte</th><th>Wert</th><th>Stufe</th><th>Aktion</th><th>Grund</th></tr>
+          </thead>
+          <tbody>${tbody}</tbody>
+        </table>
+      </div>
+      ${hint}
+    </section>
+  `;
+}
+
+// -----------------------------------------------------------------------------
+// 2) Helpers
+// -----------------------------------------------------------------------------
+
+function countBySeverity(diagnostics) {
+  const out = { error: 0, warning: 0, info: 0 };
+  for (const d of diagnostics) {
+    const sev = String(d?.severity || "info");
+    if (sev in out) out[sev] += 1;
+  }
+  return out;
+}
+
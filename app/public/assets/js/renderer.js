@@ -16,7 +16,9 @@
 // - Contract-Verletzungen => throw
 // -----------------------------------------------------------------------------
 
-import { mergeModels } from "./api.js";
+import { mergeModels, rebuildModels } from "./api.js";
+import { normalizeDimension, columnFiltersKey } from "./parse.js";
+import { normalizeGranularity } from "./period.js";
 import { drawChart } from "./chart.js";
 import { renderLegend } from "./legend.js";
 import { cleanKey } from "./keys.js"; // Typen
@@ -29,14 +31,27 @@ import {
   makeVisibleModel,
   isModelEmpty,
   computeNetInfo,
+  computePeriodTotals,
   getYearDomain,
 } from "./view-derivations.js";
+import { normalizeLineOverlay } from "./state.js";
 import { createCategoryInspector } from "./categoryInspector.js";
 import { createBarHoverController } from "./barHoverController.js";
 import { syncUIFromState, renderSubtitle, setCtxTabUI } from "./ui.js";
 import { buildLegendGraph } from "./graphBuilder.js";
 import { buildColorByCat } from "./colorsByCat.js";
-import { renderDerivedIntoDom, renderCategoryDetailsIntoDom } from "./renderGenTables.js";
+import {
+  renderDerivedIntoDom,
+  renderCategoryDetailsIntoDom,
+  renderUncategorizedIntoDom,
+  renderSearchResultsIntoDom,
+  renderAnomaliesIntoDom,
+} from "./renderGenTables.js";
+import { ensureSearchModels } from "./search.js";
+import { renderSourcesIntoDom } from "./renderSourcesPanel.js";
+import { renderTrendsIntoDom } from "./trends.js";
+import { selectVisibleNotes, groupNotes } from "./notes.js";
+import { detectAnomalies, collectAnomalyDetails } from "./anomalies.js";
 
 // -----------------------------------------------------------------------------
 // Pure Helper (Renderer-intern)
@@ -311,6 +326,7 @@ export function createRenderer() {
   // Neue RAW-in-Memory-Variante:
   // - loadData MUSS im Boot laufen und ctx.raw setzen
   // - Renderer lädt NICHT nach, er validiert nur den Contract
+  // - Ausnahme Granularität/Dimension/Spaltenfilter: Modelle werden aus dem RAW-Text neu gebaut (kein Fetch)
   // ---------------------------------------------------------------------------
   /**
    * Validates that bootstrapped raw data is available in memory.
@@ -326,6 +342,19 @@ export function createRenderer() {
     if (!(ctx.raw.bySource instanceof Map)) {
       throw new Error("ensureData: ctx.raw.bySource missing/invalid (Map expected)");
     }
+
+    const granularity = normalizeGranularity(ctx.state?.granularity);
+    const dimension = normalizeDimension(ctx.state?.dimension);
+    const filterKey = columnFiltersKey(ctx.state?.columnFilters);
+    const stale = Array.from(ctx.raw.bySource.values()).some(
+      (e) => e?.model && (
+        normalizeGranularity(e.model.granularity) !== granularity
+        || normalizeDimension(e.model.dimension) !== dimension
+        || (e.model.filterKey || "[]") !== filterKey
+      )
+    );
+    if (stale) rebuildModels(ctx);
+
     return ctx.raw;
   }
 
@@ -553,9 +582,11 @@ function getHoverUX(ctx) {
 // 3) enabledTypes:   ctx.state.enabledTypes     (empty => all)
 // 4) Year range (ctx.state.yearFrom/yearTo) clamps view for DATED bars
 // 5) disabledCats (ctx.state.disabledCats) removes categories from view/bars
+// (*) Search (ctx.state.searchQuery + searchLimitChart): steps 2–5 run on the
+//     per-source match models (search.js); universe/year domain stay unfiltered
 //
 // OUTPUT CONTRACT (ctx.derived)
-// - ctx.derived = { options, view, graph, aggregates, colorByCat }
+// - ctx.derived = { options, view, graph, aggregates, colorByCat, lines, anomalies }
 //   - options:
 //     - yearDomain: {minY,maxY}
 //     - yearBounds: {yf,yt} (clamped, effective)
@@ -571,6 +602,9 @@ function getHoverUX(ctx) {
 //     - MUST match the currently active filters (enabled sources/types + enabled cats)
 //       so category/source nodes never sum “hidden” data.
 //   - graph: legend network (may include planned/undated nodes; must NOT affect bars/totals)
+//   - lines: null (overlay off) or { total: Map<yearKey, number>|null, sources: [{ id, label, totals }] }
+//     - same basis as computeNetInfo (year range + types), restricted to the visible cats
+//   - anomalies: detectAnomalies(view) – same filters as the bars (see anomalies.js)
 // ---------------------------------------------------------------------------
 /**
  * Computes the complete derived renderer state from the raw source models.
@@ -670,8 +704,23 @@ async function computeDerived(ctx) {
     // UI contract (no legacy): dropdown values come from these two arrays
     types: [],
     cats: [],
+
+    // Chart dimension (column behind cats) + selectable columns of all sources
+    dimension: String(base.dimension || "Kategorie"),
+    dimensions: Array.isArray(base.dimensions) ? base.dimensions.slice() : ["Kategorie"],
+    dimensionValues: base.dimensionValues || {},
   };
 
+  // -------------------------------------------------------------------------
+  // 1c) Search (optional): chart from match models only
+  // -------------------------------------------------------------------------
+  const searchActive = ensureSearchModels(ctx);
+  const limitToSearch = searchActive && !!ctx.state.searchLimitChart;
+  const chartBySource = limitToSearch
+    ? new Map(Array.from(rawBySource, ([sid, e]) => [sid, { ...e, model: e.search.model }]))
+    : rawBySource;
+  const searchSig = limitToSearch ? `|search:${String(ctx.state.searchQuery).trim()}` : "";
+
   // -------------------------------------------------------------------------
   // 2) Source filter (empty => all)
   // -------------------------------------------------------------------------
@@ -680,7 +729,7 @@ async function computeDerived(ctx) {
     .sort((a, b) => String(a).localeCompare(String(b), "de"))
     .join("|");
 
-  const sourceEntries = Array.from(rawBySource.entries()).filter(([sid]) => enabledSources.has(sid));
+  const sourceEntries = Array.from(chartBySource.entries()).filter(([sid]) => enabledSources.has(sid));
   if (!sourceEntries.length) {
     ctx.derived = { options, view: null, graph: null, aggregates: null, colorByCat };
     return;
@@ -698,10 +747,10 @@ async function computeDerived(ctx) {
   // Optimization:
   // - Wenn enabledSources == alle Quellen, ist mergedSelected identisch zu base.
   // - Andernfalls: merge cached per enabledSourcesSig.
-  const allSourcesSelected = enabledSources.size === options.sources.length;
+  const allSourcesSelected = enabledSources.size === options.sources.length && !limitToSearch;
   const mergedSelected = allSourcesSelected
     ? base
-    : cachedMergeModels(ctx, `selected:${enabledSourcesSig}`, selectedModels);
+    : cachedMergeModels(ctx, `selected:${enabledSourcesSig}${searchSig}`, selectedModels);
   if (!mergedSelected) {
     ctx.derived = { options, view: null, graph: null, aggregates: null, colorByCat };
     return;
@@ -786,7 +835,7 @@ async function computeDerived(ctx) {
   // Build aggregate rows aligned with active filters.
   // IMPORTANT: category/source totals must never include hidden sources/types/cats,
   // otherwise Kategorie-Nodes look “too high” compared to visible bars.
-  const rows = buildAggregateRows(rawBySource, enabledSources, enabledTypes, enabledCatSet);
+  const rows = buildAggregateRows(chartBySource, enabledSources, enabledTypes, enabledCatSet);
 
   const aggregates = aggregate({ rows }, ctx.state);
 
@@ -815,10 +864,27 @@ async function computeDerived(ctx) {
     undatedLabel,
   });
 
+  // -------------------------------------------------------------------------
+  // 6a) Line overlay (optional; cumulation happens in chart.js along the x axis)
+  // -------------------------------------------------------------------------
+  const lines = buildLineOverlay(ctx, view, sourceEntries, enabledTypes, enabledCatSet);
+
+  // -------------------------------------------------------------------------
+  // 6b) Anomalies (rows/year spikes/duplicates/unit prices of the visible view)
+  // -------------------------------------------------------------------------
+  // Row checks need ALL rows: view.detailsByKey is capped by detailLimit,
+  // search match models are not (limitToSearch => use them as they are)
+  const anomalies = detectAnomalies(view, {
+    enabledTypes,
+    enabledCats: enabledCatSet,
+    mode: ctx.state.mode,
+    detailsByKey: limitToSearch ? null : collectAnomalyDetails(ctx, enabledSources),
+  });
+
   // -------------------------------------------------------------------------
   // 7) Commit (atomar)
   // -------------------------------------------------------------------------
-  ctx.derived = { options, view, graph, aggregates, colorByCat };
+  ctx.derived = { options, view, graph, aggregates, colorByCat, lines, anomalies };
 }
 
   // ---------------------------------------------------------------------------
@@ -989,7 +1055,19 @@ async function computeDerived(ctx) {
       // Kategorie-Tab + Kategorie-Details: nach jedem Re-Compute synchronisieren (z.B. nach Filterwechsel)
       renderCategoryDetailsIntoDom(ctx);
 
-      const { options, view, graph, aggregates, colorByCat } = ctx.derived;
+      // Quellen-Tab: Import-Diagnose pro Quelle (filterunabhängig)
+      renderSourcesIntoDom(ctx);
+
+      // Offen-Tab: Zeilen, die trotz rules.json in "?" landen (filterunabhängig)
+      renderUncategorizedIntoDom(ctx);
+
+      // Suche-Tab: Treffer über alle geladenen Quellen (filterunabhängig)
+      renderSearchResultsIntoDom(ctx);
+
+      // Ausreißer-Tab: Auffälligkeiten der aktuellen Ansicht (filterabhängig)
+      renderAnomaliesIntoDom(ctx);
+
+      const { options, view, graph, aggregates, colorByCat, lines, anomalies } = ctx.derived;
 
       // 2) UI spiegeln (Derived → UI, dann State → UI)
 //
@@ -1043,18 +1121,26 @@ syncUI(ctx, uiOptions);
         // Tabs + CTX table: keep consistent even when chart is empty
         setCtxTabUI(ctx);
         renderDerivedIntoDom(ctx);
+        renderTrendsIntoDom(ctx);
+        ctx.notes?.render();
         return;
       }
 
       // 4) Chart
       phase = setPhase(ctx, "drawChart");
 
+      // Notizen der aktuellen Ansicht (Marker an der x-Achse + Badges in der Legende)
+      const notes = selectVisibleNotes(ctx.notes?.list() || [], ctx.state, { sourceIds: options.sources });
+
       const chartRes = drawChart({
         svgEl: dom.svgEl,
         rootEl: dom.panel,
         data: view,
         state: ctx.state,
         colorByCat,
+        lines,
+        notes,
+        anomalies,
         onBarHover: (payload) => getHoverUX(ctx).hoverCtl.onHover(payload),
       });
 
@@ -1113,6 +1199,8 @@ syncUI(ctx, uiOptions);
         graph,
         catYearSpan,
         highlightedYear,
+        notesByCat: groupNotes(notes, "cat"),
+        notesBySource: groupNotes(notes, "sourceId"),
         onToggle: (catKey, checked) => {
           if (typeof catKey !== "string" || !catKey.length) {
             throw new Error("redraw/onToggle: catKey must be non-empty string");
@@ -1130,6 +1218,14 @@ syncUI(ctx, uiOptions);
 
       renderSubtitle(ctx, computeNetInfo(view, ctx.state));
 
+      // 7) Trends (Insights-Karte; hebt ggf. die gewählte Kategorie im Chart hervor)
+      phase = setPhase(ctx, "renderTrends");
+
+      renderTrendsIntoDom(ctx);
+
+      // 8) Notizen-Karte (Auswahl-Listen + "außerhalb der Ansicht" nachziehen)
+      ctx.notes?.render();
+
       setPhase(ctx, "done");
     } catch (err) {
       fail(ctx, phase, err);
@@ -1153,6 +1249,42 @@ function resolveEnabledSources(state, allSources) {
   return new Set(allSources);
 }
 
+/**
+ * Builds the per-period totals for the cumulative line overlay.
+ *
+ * @param {object} ctx - Shared renderer context.
+ * @param {object} view - Visible model (chart bars).
+ * @param {Array<[string, object]>} sourceEntries - Enabled raw source entries.
+ * @param {Set<string>} enabledTypes - Active canonical type keys.
+ * @param {Set<string>} enabledCatSet - Visible, enabled categories.
+ * @returns {object|null} Overlay payload for drawChart, or null when off.
+ */
+function buildLineOverlay(ctx, view, sourceEntries, enabledTypes, enabledCatSet) {
+  const overlay = normalizeLineOverlay(ctx.state.lineOverlay);
+  if (overlay === "off") return null;
+
+  const st = { ...ctx.state, enabledTypes, enabledCats: enabledCatSet };
+
+  const labelById = new Map(
+    (Array.isArray(ctx.config?.sources) ? ctx.config.sources : []).map((s) => [
+      String(s?.id ?? "").trim(),
+      String(s?.label || s?.name || s?.id || ""),
+    ])
+  );
+
+  return {
+    total: overlay === "sources" ? null : computePeriodTotals(view, st),
+    sources:
+      overlay === "total"
+        ? []
+        : sourceEntries.map(([sid, entry]) => ({
+            id: sid,
+            label: labelById.get(sid) || sid,
+            totals: computePeriodTotals(entry.model, st),
+          })),
+  };
+}
+
 /**
  * Resolves the currently enabled types, defaulting to the full type universe.
  *
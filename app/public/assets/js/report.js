@@ -0,0 +1,373 @@
+// -----------------------------------------------------------------------------
+// report.js
+// - Bericht für Besprechungen aus dem aktuellen Stand des Dashboards:
+//   Titelseite (Filterübersicht, Untertitel mit Summen), Chart (#chartSvg),
+//   Legenden-Netzwerk (#legend) und optional die Kategorie-Tabelle
+// - Formate:
+//   * HTML-Bericht: eine Datei, CSS (report.css) und Grafiken inline –
+//     läuft ohne Server, ohne Bootstrap, ohne Webfonts
+//   * Drucken/PDF: derselbe Bericht in einem neuen Fenster + Druckdialog
+//     (PDF über "Als PDF speichern" des Browsers)
+//   * SVG/PNG je Grafik (Chart, Legende)
+// - Chart: Kopie des SVG mit eingebetteten (berechneten) Styles
+// - Legende: HTML-Knoten werden anhand ihrer Position als SVG nachgezeichnet
+//   (Kanten aus dem Kanten-SVG, Knoten als Rechteck/Kreis + Text)
+// - Filterübersicht: dieselben Metadaten wie der Export (exportView.js)
+// -----------------------------------------------------------------------------
+
+import { collectExportData } from "./exportView.js";
+import { resolveEl, escapeXml, saveFile } from "./dom-helpers.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const REPORT_CSS_URL = "/assets/css/report.css";
+const PNG_SCALE = 2;
+
+// Styles, die aus dem Dashboard-CSS in die SVG-Kopie übernommen werden
+const SVG_STYLE_PROPS = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "paint-order",
+  "opacity",
+  "visibility",
+  "display",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline",
+];
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * chartToSvg(svgEl)
+ * - Eigenständiges SVG (Text) des Charts inkl. Hintergrund und Styles
+ */
+export function chartToSvg(svgEl) {
+  if (!(svgEl instanceof SVGSVGElement)) throw new Error("report: Chart-SVG fehlt");
+
+  const { width, height } = svgSize(svgEl);
+  const clone = svgEl.cloneNode(true);
+  inlineStyles(svgEl, clone);
+
+  clone.setAttribute("xmlns", SVG_NS);
+  clone.setAttribute("width", String(width));
+  clone.setAttribute("height", String(height));
+  if (!clone.getAttribute("viewBox")) clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  clone.removeAttribute("id");
+  clone.removeAttribute("class");
+  clone.removeAttribute("style");
+
+  const bg = document.createElementNS(SVG_NS, "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", backgroundOf(svgEl));
+  clone.insertBefore(bg, clone.firstChild);
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * legendToSvg(legendEl)
+ * - Legenden-Netzwerk als SVG (Text): Kanten + sichtbare Knoten an ihrer
+ *   aktuellen Position
+ */
+export function legendToSvg(legendEl) {
+  const wrap = legendEl?.querySelector?.(".legend-graph");
+  if (!wrap) throw new Error("report: Legende fehlt");
+
+  const origin = wrap.getBoundingClientRect();
+  const width = Math.max(1, Math.round(origin.width));
+  const height = Math.max(1, Math.round(origin.height));
+
+  const parts = [`<rect width="100%" height="100%" fill="${escapeXml(backgroundOf(wrap))}"/>`];
+
+  // Kanten: <line> mit aufgelöster Farbe (currentColor) übernehmen
+  const edges = wrap.querySelector(".legend-graph__edges");
+  if (edges) {
+    const r = edges.getBoundingClientRect();
+    const lines = Array.from(edges.querySelectorAll("line")).map((line) => {
+      const cs = getComputedStyle(line);
+      const attr = (k) => escapeXml(line.getAttribute(k) ?? "0");
+      const dash = line.getAttribute("stroke-dasharray");
+      return `<line x1="${attr("x1")}" y1="${attr("y1")}" x2="${attr("x2")}" y2="${attr("y2")}"`
+        + ` stroke="${escapeXml(cs.stroke === "currentcolor" ? cs.color : cs.stroke)}"`
+        + ` stroke-width="${escapeXml(cs.strokeWidth)}" stroke-opacity="${escapeXml(cs.strokeOpacity)}"`
+        + `${dash ? ` stroke-dasharray="${escapeXml(dash)}"` : ""}/>`;
+    });
+    parts.push(`<g transform="translate(${round(r.left - origin.left)} ${round(r.top - origin.top)})">${lines.join("")}</g>`);
+  }
+
+  // Knoten: Box + Textzeilen (sichtbare Knoten in DOM-Reihenfolge)
+  for (const node of wrap.querySelectorAll(".legend-node")) {
+    if (node.dataset.hidden === "true") continue;
+    const cs = getComputedStyle(node);
+    if (cs.display === "none" || cs.visibility === "hidden") continue;
+
+    const r = node.getBoundingClientRect();
+    if (!r.width || !r.height) continue;
+
+    const x = r.left - origin.left;
+    const y = r.top - origin.top;
+    parts.push(nodeToSvg(node, cs, x, y, r.width, r.height));
+  }
+
+  return [
+    `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...parts,
+    "</svg>",
+  ].join("\n");
+}
+
+/**
+ * svgToPng(svgText)
+ * - Rastert ein SVG (Text) über <canvas>; Rückgabe: Promise<Blob> (image/png)
+ */
+export function svgToPng(svgText, scale = PNG_SCALE) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }));
+
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+      const g = canvas.getContext("2d");
+      g.scale(scale, scale);
+      g.drawImage(img, 0, 0);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("report: PNG konnte nicht erzeugt werden"))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("report: SVG konnte nicht gerastert werden"));
+    };
+
+    img.src = url;
+  });
+}
+
+/**
+ * buildReportHtml(ctx, opts)
+ * - opts.includeTable: Kategorie-Tabelle (#categoryDetailsTable) anhängen
+ * - Rückgabe: Promise<string> (vollständiges HTML-Dokument)
+ */
+export async function buildReportHtml(ctx, { includeTable = true, now = new Date() } = {}) {
+  const css = await fetchReportCss();
+  const { meta } = collectExportData(ctx);
+
+  const title = String(document.title || "").trim() || "Auswertung";
+  const subtitle = String(ctx?.dom?.subtitleEl?.textContent ?? "").trim();
+  const stamp = now.toLocaleString("de-DE", { dateStyle: "medium", timeStyle: "short" });
+
+  const metaRows = meta
+    .map(([k, v]) => `<tr><th>${escapeXml(k)}</th><td>${escapeXml(v)}</td></tr>`)
+    .join("");
+
+  const pages = [
+    `<section class="report-page report-title">
+      <h1>${escapeXml(title)}</h1>
+      <p class="report-date">Bericht vom ${escapeXml(stamp)}</p>
+      ${subtitle ? `<p class="report-subtitle">${escapeXml(subtitle)}</p>` : ""}
+      <table class="report-meta"><tbody>${metaRows}</tbody></table>
+    </section>`,
+    `<section class="report-page">
+      <h2>Diagramm</h2>
+      ${subtitle ? `<p class="report-subtitle">${escapeXml(subtitle)}</p>` : ""}
+      <figure class="report-figure">${chartToSvg(ctx?.dom?.svgEl)}</figure>
+    </section>`,
+    `<section class="report-page">
+      <h2>Legende</h2>
+      <figure class="report-figure">${legendToSvg(document.getElementById("legend"))}</figure>
+    </section>`,
+  ];
+
+  const table = includeTable ? categoryTableHtml() : "";
+  if (table) {
+    const cat = String(ctx?.state?.activeCat ?? "").trim();
+    pages.push(`<section class="report-page">
+      <h2>Details${cat ? `: ${escapeXml(cat)}` : ""}</h2>
+      ${table}
+    </section>`);
+  }
+
+  return `<!doctype html>
+<html lang="de">
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(title)} – Bericht ${escapeXml(stamp)}</title>
+<style>
+${css}
+</style>
+</head>
+<body>
+${pages.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * wireReport(ctx, opts)
+ * - Klicks auf [data-report="<aktion>"] in #exportMenu (oder opts.root):
+ *   print | html | chart-svg | chart-png | legend-svg | legend-png
+ * - Checkbox [data-report-option="table"]: Kategorie-Tabelle im Bericht
+ * - Rückgabe: { run(action) } oder null, wenn der Mount fehlt
+ */
+export function wireReport(ctx, opts = {}) {
+  if (!ctx) throw new Error("wireReport: ctx missing");
+
+  const root = resolveEl(opts.root || "exportMenu");
+  if (!root) return null;
+
+  const includeTable = () => !!root.querySelector("[data-report-option='table']")?.checked;
+  const date = () => new Date().toISOString().slice(0, 10);
+
+  const run = async (action) => {
+    try {
+      if (action === "print") return printReport(await buildReportHtml(ctx, { includeTable: includeTable() }));
+      if (action === "html") {
+        const html = await buildReportHtml(ctx, { includeTable: includeTable() });
+        return saveFile(`bericht-${date()}.html`, new Blob([html], { type: "text/html;charset=utf-8" }));
+      }
+
+      const [what, format] = action.split("-");
+      const svg = what === "legend" ? legendToSvg(document.getElementById("legend")) : chartToSvg(ctx?.dom?.svgEl);
+      const name = `${what === "legend" ? "legende" : "chart"}-${date()}`;
+
+      if (format === "svg") return saveFile(`${name}.svg`, new Blob([svg], { type: "image/svg+xml;charset=utf-8" }));
+      if (format === "png") return saveFile(`${name}.png`, await svgToPng(svg));
+
+      throw new Error(`report: unbekannte Aktion ${action}`);
+    } catch (e) {
+      console.warn("report.js [run] failed:", e?.message || e);
+      window.alert(`Bericht nicht möglich: ${e?.message || e}`);
+    }
+  };
+
+  root.addEventListener("click", (ev) => {
+    // Checkbox im Menü: Dropdown offen lassen
+    if (ev.target.closest("[data-report-keep-open]")) {
+      ev.stopPropagation();
+      return;
+    }
+
+    const item = ev.target.closest("[data-report]");
+    if (!item || !root.contains(item)) return;
+    ev.preventDefault();
+    run(item.dataset.report);
+  });
+
+  return { run };
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+async function fetchReportCss() {
+  const res = await fetch(REPORT_CSS_URL, { cache: "no-store" });
+  if (!res.ok) throw new Error(`report: ${REPORT_CSS_URL} nicht ladbar (${res.status})`);
+  return res.text();
+}
+
+function printReport(html) {
+  const w = window.open("", "_blank");
+  if (!w) throw new Error("Pop-up wurde blockiert");
+
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  w.print();
+}
+
+/** Tabelle aus dem Kategorie-Tab ohne Editor-/Sortier-Attribute ("" = keine Zeilen). */
+function categoryTableHtml() {
+  const table = document.querySelector("#categoryDetailsTable table");
+  if (!table || !table.querySelector("tbody tr")) return "";
+
+  const clone = table.cloneNode(true);
+  for (const el of clone.querySelectorAll("*")) {
+    for (const a of Array.from(el.attributes)) {
+      if (a.name !== "colspan") el.removeAttribute(a.name);
+    }
+  }
+  clone.querySelectorAll("th span").forEach((s) => s.remove()); // Sortierpfeile
+  clone.className = "report-table";
+  return clone.outerHTML;
+}
+
+/** Berechnete Styles des Originals als style-Attribut in die Kopie schreiben. */
+function inlineStyles(src, dst) {
+  const srcEls = [src, ...src.querySelectorAll("*")];
+  const dstEls = [dst, ...dst.querySelectorAll("*")];
+
+  for (let i = 0; i < srcEls.length && i < dstEls.length; i++) {
+    const cs = getComputedStyle(srcEls[i]);
+    const decl = SVG_STYLE_PROPS.map((p) => [p, cs.getPropertyValue(p)])
+      .filter(([, v]) => v && v !== "normal" && v !== "auto")
+      .map(([p, v]) => `${p}:${v}`)
+      .join(";");
+    if (decl) dstEls[i].setAttribute("style", decl);
+    dstEls[i].removeAttribute("class");
+  }
+}
+
+/** Box + zentrierte Textzeilen eines Legenden-Knotens. */
+function nodeToSvg(node, cs, x, y, w, h) {
+  const radius = String(cs.borderTopLeftRadius || "0");
+  const rx = radius.endsWith("%") ? (Math.min(w, h) * parseFloat(radius)) / 100 : parseFloat(radius) || 0;
+  const borderW = parseFloat(cs.borderTopWidth) || 0;
+
+  const lines = String(node.innerText || node.textContent || "")
+    .split("\n")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const fontSize = parseFloat(cs.fontSize) || 12;
+  const lineH = fontSize * 1.2;
+  const top = y + h / 2 - ((lines.length - 1) * lineH) / 2;
+
+  const text = lines
+    .map((line, i) => `<tspan x="${round(x + w / 2)}" y="${round(top + i * lineH)}">${escapeXml(line)}</tspan>`)
+    .join("");
+
+  return `<g opacity="${escapeXml(cs.opacity)}">`
+    + `<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" rx="${round(Math.min(rx, w / 2, h / 2))}"`
+    + ` fill="${escapeXml(cs.backgroundColor)}"`
+    + (borderW ? ` stroke="${escapeXml(cs.borderTopColor)}" stroke-width="${round(borderW)}"` : "")
+    + "/>"
+    + `<text fill="${escapeXml(cs.color)}" font-family="${escapeXml(cs.fontFamily)}" font-size="${round(fontSize)}"`
+    + ` font-weight="${escapeXml(cs.fontWeight)}" text-anchor="middle" dominant-baseline="central">${text}</text>`
+    + "</g>";
+}
+
+function svgSize(svgEl) {
+  const vb = svgEl.viewBox?.baseVal;
+  if (vb && vb.width && vb.height) return { width: Math.round(vb.width), height: Math.round(vb.height) };
+  const r = svgEl.getBoundingClientRect();
+  return { width: Math.max(1, Math.round(r.width)), height: Math.max(1, Math.round(r.height)) };
+}
+
+/** Erste nicht transparente Hintergrundfarbe (Element oder Vorfahren), sonst Weiß. */
+function backgroundOf(el) {
+  for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+    const bg = getComputedStyle(n).backgroundColor;
+    if (bg && bg !== "transparent" && !/rgba\([^)]*,\s*0\)$/.test(bg)) return bg;
+  }
+  return "#ffffff";
+}
+
+function round(n) {
+  return Math.round(Number(n) * 10) / 10;
+}
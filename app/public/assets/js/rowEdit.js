@@ -0,0 +1,82 @@
+// -----------------------------------------------------------------------------
+// rowEdit.js
+// - Zeilen-Editor für die Detail-/CTX-Tabellen (renderGenTables.js)
+// - Editierbar: Dimensionen, Betrag/Menge/Einheit, Status, Memo – nur Zeilen,
+//   die ihre Quelle (`Quelle`) und Startzeile (`_line`) kennen
+// - Speichern: PUT /api/rows/:sourceId/:line mit der CSV-Version, die beim
+//   Laden mitkam; danach wird nur diese Quelle neu geladen
+// - Konflikt (409, Datei wurde extern geändert): nichts wird geschrieben; den
+//   neuen Stand lädt der Live-Reload (live-reload.js) ohnehin nach
+// - Schlägt nur das Neuladen fehl, ist die CSV trotzdem geschrieben: kein
+//   Fehler, sondern { reloadError } (ein erneutes Speichern gäbe sonst 409)
+// - Der Server lehnt Werte ab, die der Parser verwerfen würde (400 + check)
+// -----------------------------------------------------------------------------
+
+import { updateCsvRow, reloadSources } from "./api.js";
+
+// Tabellenspalte (Detailzeile aus parse.js) -> CSV-Spalte
+const EDITABLE_FIELDS = {
+  Gegenpartei: "Gegenpartei",
+  Kostenart: "Kostenart",
+  Kategorie: "Kategorie",
+  Buchungstyp: "Buchungstyp",
+  Betrag: "Betrag",
+  Menge: "Menge",
+  Einheit: "Einheit",
+  status: "Status",
+  memo: "Memo",
+};
+
+/**
+ * createRowEditor(ctx)
+ * - Rückgabe: { isEditable(row, column), onEdit(row, column, value) }
+ *   (Vertrag von renderTable in renderGenTables.js)
+ */
+export function createRowEditor(ctx) {
+  return {
+    isEditable: (row, column) => isEditableRow(row) && Object.hasOwn(EDITABLE_FIELDS, column),
+    onEdit: (row, column, value) => saveRowEdit(ctx, row, column, value),
+  };
+}
+
+/**
+ * saveRowEdit(ctx, row, column, value)
+ * - Schreibt eine Zelle zurück und lädt die Quelle neu
+ * - Wirft mit Server-Meldung, wenn NICHT gespeichert wurde (Aufrufer zeigt sie an der Zelle an)
+ * - Rückgabe: { reloadError, check }
+ *   reloadError: Meldung, falls nach dem Speichern das Neuladen scheiterte, sonst null
+ *   check: Probe-Parse-Bericht des Servers (lineDiagnostics = Hinweise zu dieser Zeile)
+ */
+export async function saveRowEdit(ctx, row, column, value) {
+  const field = EDITABLE_FIELDS[column];
+  if (!field || !isEditableRow(row)) throw new Error(`rowEdit: Spalte ${column} nicht editierbar`);
+
+  const sid = String(row.Quelle);
+  const entry = ctx?.raw?.bySource?.get(sid);
+  if (!entry?.version) throw new Error(`rowEdit: Quelle ${sid} nicht geladen`);
+
+  const res = await updateCsvRow(sid, row._line, { version: entry.version, changes: { [field]: value } });
+  entry.version = res.version;
+  const check = res.check ?? null;
+  if (!res.changed) return { reloadError: null, check };
+
+  // Ab hier ist die CSV geschrieben
+  try {
+    await reloadSources(ctx, [sid]);
+  } catch (e) {
+    console.warn("rowEdit.js [saveRowEdit] saved, reload failed:", e?.message || e);
+    return { reloadError: e?.message || String(e), check };
+  }
+
+  ctx.requestRedraw?.(ctx);
+  return { reloadError: null, check };
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function isEditableRow(row) {
+  const line = Number(row?._line);
+  return !!row?.Quelle && Number.isInteger(line) && line > 1;
+}
@@ -0,0 +1,125 @@
+// rules.js
+// -----------------------------------------------------------------------------
+// Regelbasierte Auto-Kategorisierung (pure, ohne DOM)
+// -----------------------------------------------------------------------------
+// Quelle: app/rules.json (vom Server pro Quelle gefiltert und mit /api/data geliefert)
+//
+// Regel-Format:
+//   {
+//     "id": "strom",                         // optional, sonst "regel<N>"
+//     "match": {                             // alle Bedingungen müssen passen (UND)
+//       "Gegenpartei": "stadtwerke",         // Text: enthält (case-insensitiv)
+//       "Memo": "/strom|gas/i",              // "/.../flags" => RegExp
+//       "Kostenart": ["Energie", "Wasser"],  // Liste => eine davon
+//       "Betrag": { "min": 0, "max": 500 }   // Zahlenbereich (inklusiv, Betrag-Zelle)
+//     },
+//     "set": { "Kategorie": "Energie", "Buchungstyp": "Fixkosten" },
+//     "overwrite": false                     // true => auch gefüllte Felder ersetzen
+//   }
+//
+// Semantik:
+// - Reihenfolge zählt: die erste passende Regel, die etwas setzen darf, gewinnt.
+// - Ohne overwrite werden nur leere Felder gefüllt (CSV bleibt Source of Truth).
+// - Die Zeile merkt sich die Regel-ID (`rule`), damit Tabellen sie zeigen können.
+// -----------------------------------------------------------------------------
+
+const TEXT_FIELDS = ["Gegenpartei", "Kostenart", "Kategorie", "Buchungstyp", "Memo"];
+const SET_FIELDS = ["Kategorie", "Buchungstyp"];
+
+/**
+ * compileRules(raw)
+ * - raw: Array von Regeln (oder { rules: [...] })
+ * - Ungültige Regeln (leeres set, kaputte RegExp) werden mit Warnung übersprungen,
+ *   damit eine fehlerhafte Regel nicht den ganzen Import blockiert.
+ */
+export function compileRules(raw) {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.rules) ? raw.rules : [];
+  const out = [];
+
+  for (let i = 0; i < list.length; i++) {
+    const r = list[i];
+    const id = String(r?.id ?? "").trim() || `regel${i + 1}`;
+
+    try {
+      const set = {};
+      for (const f of SET_FIELDS) {
+        const v = String(r?.set?.[f] ?? "").trim();
+        if (v) set[f] = v;
+      }
+      if (!Object.keys(set).length) throw new Error("set ohne Kategorie/Buchungstyp");
+
+      const tests = [];
+      for (const [key, cond] of Object.entries(r?.match ?? {})) {
+        tests.push(compileCondition(key, cond));
+      }
+
+      out.push({ id, set, tests, overwrite: r?.overwrite === true });
+    } catch (e) {
+      console.warn(`rules.js [compileRules] Regel "${id}" übersprungen: ${e.message}`);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * applyRules(rules, row)
+ * - row: { Gegenpartei, Kostenart, Kategorie, Buchungstyp, Memo, Betrag:number }
+ * - Rückgabe: { id, Kategorie, Buchungstyp } der ersten greifenden Regel oder null
+ */
+export function applyRules(rules, row) {
+  if (!Array.isArray(rules) || !rules.length) return null;
+
+  for (const rule of rules) {
+    const writable = SET_FIELDS.filter((f) => rule.set[f] && (rule.overwrite || !row[f]));
+    if (!writable.length) continue;
+    if (!rule.tests.every((t) => t(row))) continue;
+
+    const out = { id: rule.id, Kategorie: row.Kategorie, Buchungstyp: row.Buchungstyp };
+    for (const f of writable) out[f] = rule.set[f];
+    return out;
+  }
+
+  return null;
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function compileCondition(key, cond) {
+  const k = String(key).trim().toLowerCase();
+  const field = k === "betrag" ? "Betrag" : TEXT_FIELDS.find((f) => f.toLowerCase() === k);
+  if (!field) throw new Error(`unbekanntes Feld "${key}"`);
+
+  if (field === "Betrag") {
+    const min = cond?.min == null ? -Infinity : Number(cond.min);
+    const max = cond?.max == null ? Infinity : Number(cond.max);
+    if (Number.isNaN(min) || Number.isNaN(max)) throw new Error("Betrag min/max keine Zahl");
+    return (row) => Number.isFinite(row.Betrag) && row.Betrag >= min && row.Betrag <= max;
+  }
+
+  const patterns = (Array.isArray(cond) ? cond : [cond]).map(compileTextPattern);
+  return (row) => {
+    const v = String(row[field] ?? "");
+    return patterns.some((p) => p(v));
+  };
+}
+
+function compileTextPattern(p) {
+  const s = String(p ?? "");
+  const m = s.match(/^\/(.+)\/([a-z]*)$/);
+  if (m) {
+    let re;
+    try {
+      re = new RegExp(m[1], m[2].replace("g", "")); // ohne g: test() bleibt zustandslos
+    } catch (e) {
+      throw new Error(`ungültige RegExp ${s}`);
+    }
+    return (v) => re.test(v);
+  }
+
+  const needle = s.trim().toLowerCase();
+  if (!needle) return (v) => !v.trim(); // "" => Feld muss leer sein
+  return (v) => v.toLowerCase().includes(needle);
+}
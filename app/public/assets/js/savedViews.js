@@ -0,0 +1,193 @@
+// -----------------------------------------------------------------------------
+// savedViews.js
+// - Benannte Ansichten ("Fahrzeugkosten 2020–2025", "Betrieb OPEX nur Ist")
+//   im Kopfbereich: auswählen, als neue Ansicht speichern, überschreiben, löschen
+// - Gespeichert wird der Query-String aus view-state.js (Filter, Modus,
+//   Zeitraster, Dimension, Layout, Linie, Legende/Kategorien, Suche) in
+//   views.json auf dem Server (/api/views) – für alle Clients gleich
+// - Jahre werden immer festgeschrieben (auch am Rand des Datenbereichs):
+//   "2020–2025" soll auch nach neuen Daten 2020–2025 bleiben
+// - Anwenden: applyViewState + Redraw über ctx.requestRedraw (wie hashchange)
+// - Ohne Dependencies, ohne Inline-Styles
+// -----------------------------------------------------------------------------
+
+import { fetchViews, createView, updateView, deleteView } from "./api.js";
+import {
+  encodeViewState,
+  decodeViewState,
+  applyViewState,
+  reconcileViewState,
+} from "./view-state.js";
+import { resolveEl, escapeHtml } from "./dom-helpers.js";
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * wireSavedViews(ctx, opts)
+ * - Rendert den Ansichts-Umschalter in #savedViews (oder opts.root)
+ * - Rückgabe: { refresh() } oder null, wenn der Mount fehlt
+ *   (refresh: Liste neu vom Server holen, z.B. nach Live-Reload kind "views")
+ */
+export function wireSavedViews(ctx, opts = {}) {
+  if (!ctx) throw new Error("wireSavedViews: ctx missing");
+
+  const root = resolveEl(opts.root || "savedViews");
+  if (!root) return null;
+
+  root.innerHTML = renderSkeleton();
+  const el = {
+    select: root.querySelector("[data-role='select']"),
+    name: root.querySelector("[data-role='name']"),
+    update: root.querySelector("[data-action='update']"),
+    remove: root.querySelector("[data-action='delete']"),
+    status: root.querySelector("[data-role='status']"),
+  };
+
+  let views = [];
+  let selectedId = "";
+  let busy = false;
+
+  const selected = () => views.find((v) => v.id === selectedId) || null;
+
+  const render = (status = "", isError = false) => {
+    if (!views.some((v) => v.id === selectedId)) selectedId = "";
+
+    el.select.innerHTML = [
+      `<option value="">${views.length ? "Ansicht wählen …" : "Keine gespeicherten Ansichten"}</option>`,
+      ...views.map(
+        (v) => `<option value="${escapeHtml(v.id)}"${v.id === selectedId ? " selected" : ""}>${escapeHtml(v.name)}</option>`
+      ),
+    ].join("");
+
+    el.update.disabled = busy || !selectedId;
+    el.remove.disabled = busy || !selectedId;
+    el.status.textContent = status;
+    el.status.classList.toggle("is-error", !!isError);
+  };
+
+  const run = async (label, fn) => {
+    if (busy) return;
+    busy = true;
+    render(label);
+
+    let status = "";
+    let isError = false;
+    try {
+      status = await fn();
+    } catch (e) {
+      status = `Fehler: ${e.message}`;
+      isError = true;
+    } finally {
+      busy = false;
+      render(status, isError);
+    }
+  };
+
+  const refresh = async () => {
+    try {
+      views = await fetchViews();
+      render();
+    } catch (e) {
+      render(`Ansichten nicht ladbar: ${e.message}`, true);
+    }
+  };
+
+  const currentQuery = () => encodeViewState(ctx.state, { sourceIds: ctx.config?.sourceIds || [] });
+
+  const save = () =>
+    run("Speichern …", async () => {
+      const name = String(el.name.value ?? "").trim();
+      if (!name) throw new Error("Bitte einen Namen eingeben.");
+
+      const res = await createView({ name, query: currentQuery() });
+      views = views.concat(res.view);
+      selectedId = res.view.id;
+      el.name.value = "";
+      return `„${res.view.name}“ gespeichert.`;
+    });
+
+  const overwrite = () =>
+    run("Speichern …", async () => {
+      const view = selected();
+      if (!view) return "";
+
+      const res = await updateView(view.id, { query: currentQuery() });
+      views = views.map((v) => (v.id === view.id ? res.view : v));
+      return `„${res.view.name}“ aktualisiert.`;
+    });
+
+  const remove = () => {
+    const view = selected();
+    if (!view || !window.confirm(`Ansicht „${view.name}“ für alle löschen?`)) return;
+
+    run("Löschen …", async () => {
+      const res = await deleteView(view.id);
+      views = Array.isArray(res.views) ? res.views : views.filter((v) => v.id !== view.id);
+      selectedId = "";
+      return `„${view.name}“ gelöscht.`;
+    });
+  };
+
+  el.select.addEventListener("change", () => {
+    selectedId = el.select.value;
+    const view = selected();
+    render();
+    if (view) applySavedView(ctx, view);
+  });
+
+  root.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-action]");
+    if (!btn || !root.contains(btn)) return;
+
+    if (btn.dataset.action === "save") save();
+    if (btn.dataset.action === "update") overwrite();
+    if (btn.dataset.action === "delete") remove();
+  });
+
+  el.name.addEventListener("keydown", (ev) => {
+    if (ev.key !== "Enter") return;
+    ev.preventDefault();
+    save();
+  });
+
+  render();
+  refresh();
+  return { refresh };
+}
+
+/**
+ * applySavedView(ctx, view)
+ * - Übernimmt die gespeicherte Ansicht in ctx.state und fordert einen Redraw an
+ *   (Modelle werden neu aufgebaut, falls Zeitraster/Dimension/Filter wechseln)
+ */
+export function applySavedView(ctx, view) {
+  if (!ctx?.state || !view) return;
+
+  applyViewState(ctx.state, decodeViewState(view.query), ctx.config);
+  reconcileViewState(ctx);
+  if (ctx.flags) ctx.flags.dataDirty = true;
+  ctx.requestRedraw?.(ctx);
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function renderSkeleton() {
+  return `
+    <div class="saved-views" role="group" aria-label="Gespeicherte Ansichten">
+      <label class="srOnly" for="savedViewSelect">Gespeicherte Ansicht</label>
+      <select id="savedViewSelect" class="form-select form-select-sm" data-role="select"></select>
+      <button type="button" class="btn btn-sm btn-outline-secondary" data-action="update"
+        title="Gewählte Ansicht mit dem aktuellen Stand überschreiben">Aktualisieren</button>
+      <button type="button" class="btn btn-sm btn-outline-secondary" data-action="delete">Löschen</button>
+      <input class="form-control form-control-sm" data-role="name" maxlength="80"
+        placeholder="Name der Ansicht" aria-label="Name der neuen Ansicht" />
+      <button type="button" class="btn btn-sm btn-primary" data-action="save">Speichern</button>
+      <span class="saved-views__status" data-role="status" aria-live="polite"></span>
+    </div>
+  `;
+}
+
@@ -0,0 +1,269 @@
+// -----------------------------------------------------------------------------
+// search.js
+// - Volltextsuche über alle geladenen Buchungen (alle Quellen, unabhängig von
+//   Quelle/Typ/Kategorie; Spaltenfilter gelten wie im Chart)
+// - Treffer-Modelle: Auswahl aus dem Modell ohne detailLimit (api.js uncappedModel,
+//   dasselbe wie für die Ausreißer; kein zweiter Parse), gecacht pro Suchtext am
+//   Source-Entry (entry.search)
+// - Geprüft wird je CSV-Zeile: aufgeteilte Zeilen als Ganzes (Summe der Teilstücke)
+// - Renderer nutzt die Treffer-Modelle optional für den Chart
+//   (state.searchLimitChart); Universe/Jahre kommen weiter aus den vollen Modellen
+//
+// Syntax (Groß-/Kleinschreibung egal, alle Begriffe UND-verknüpft):
+// - stadtwerke            freier Begriff: Gegenpartei, Kostenart, Memo, Betrag
+// - "km stand"            Phrase
+// - -storno               Ausschluss
+// - feld:wert             gegenpartei, kostenart, memo, kategorie, typ, status, quelle
+// - betrag:>100           Zahlenfelder betrag, kosten, menge, jahr mit > >= < <= = oder a..b
+//                         (ohne Vorzeichen verglichen; betrag = Betrag-Spalte,
+//                         kosten = Betrag × Menge bei Einheit, wie im Chart)
+// - Aufgeteilte Zeilen (allocation "prorata") erscheinen in der Tabelle einmal
+// -----------------------------------------------------------------------------
+
+import {
+  isFirstPiece,
+  selectDetails,
+  splitNumberDecor,
+  numberLocaleHint,
+  parseNumberStrict,
+} from "./parse.js";
+import { yearOfPeriodKey } from "./period.js";
+import { uncappedModel } from "./api.js";
+
+const TEXT_FIELDS = {
+  gegenpartei: (r) => r?.Gegenpartei,
+  kostenart: (r) => r?.Kostenart,
+  memo: (r) => r?.memo,
+  kategorie: (r) => r?.Kategorie || "?", // nicht r.cat: das ist die gewählte Dimension
+  typ: (r) => r?.typ,
+  buchungstyp: (r) => r?.typ,
+  status: (r) => r?.status,
+};
+
+const NUMBER_FIELDS = {
+  betrag: (r) => Math.abs(Number(r?.betrag)),
+  kosten: (r) => Math.abs(Number(r?.kosten)),
+  menge: (r) => Math.abs(Number(r?.menge)),
+  jahr: (r) => Number(r?.year),
+};
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * parseSearchQuery(text)
+ * - Rückgabe: Begriffe [{ field, negate, text } | { field, negate, op, num, num2 }]
+ * - Unbekannte Felder (z.B. "12:30") zählen als freier Begriff
+ */
+export function parseSearchQuery(text) {
+  const terms = [];
+  const re = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+
+  for (const m of String(text ?? "").matchAll(re)) {
+    const negate = m[1] === "-";
+    const rawField = (m[2] || "").toLowerCase();
+    const value = (m[3] ?? m[4] ?? "").trim();
+
+    if (rawField && NUMBER_FIELDS[rawField]) {
+      const cmp = parseComparison(value);
+      if (cmp) {
+        terms.push({ field: rawField, negate, ...cmp });
+        continue;
+      }
+    }
+
+    if (rawField && TEXT_FIELDS[rawField]) {
+      if (value) terms.push({ field: rawField, negate, text: value.toLowerCase() });
+      continue;
+    }
+
+    if (rawField === "quelle") {
+      if (value) terms.push({ field: "quelle", negate, text: value.toLowerCase() });
+      continue;
+    }
+
+    // kein (bekanntes) Feld: ganzer Token als freier Begriff
+    const free = rawField ? `${m[2]}:${value}` : value;
+    if (free) terms.push({ field: null, negate, text: free.toLowerCase() });
+  }
+
+  return terms;
+}
+
+/**
+ * compileSearch(text, sourceLabel)
+ * - Rückgabe: (row, sourceId) => boolean für geparste Zeilen aus parse.js,
+ *   oder null bei leerer Suche
+ * - sourceLabel(sourceId): optional, damit quelle: auch das Label trifft
+ */
+export function compileSearch(text, sourceLabel = null) {
+  const terms = parseSearchQuery(text);
+  if (!terms.length) return null;
+
+  return (row, sourceId) =>
+    terms.every((t) => matchTerm(t, row, sourceId, sourceLabel) !== t.negate);
+}
+
+/**
+ * ensureSearchModels(ctx)
+ * - Wählt (oder nimmt aus dem Cache) das Treffer-Modell jeder geladenen Quelle
+ * - Rückgabe: true, wenn eine Suche aktiv ist
+ */
+export function ensureSearchModels(ctx) {
+  const query = String(ctx?.state?.searchQuery ?? "").trim();
+  const bySource = ctx?.raw?.bySource;
+  if (!query || !(bySource instanceof Map)) return false;
+
+  const labels = new Map(
+    (Array.isArray(ctx.config?.sources) ? ctx.config.sources : []).map((s) => [
+      String(s?.id ?? "").trim(),
+      String(s?.label || s?.id || ""),
+    ])
+  );
+  const match = compileSearch(query, (sid) => labels.get(sid) || "");
+  if (!match) return false;
+
+  for (const [sid, entry] of bySource) {
+    const base = uncappedModel(ctx, entry);
+    if (entry.search?.base === base && entry.search.query === query) continue;
+
+    const rows = entry.search?.base === base ? entry.search.rows : searchRows(base);
+    const hits = new Set();
+    for (const [id, row] of rows) if (match(row, sid)) hits.add(id);
+
+    const model = selectDetails(base, (rec) => hits.has(rowId(rec)));
+    entry.search = { base, query, rows, model };
+  }
+
+  return true;
+}
+
+/**
+ * collectSearchResults(ctx)
+ * - Alle Treffer-Detailzeilen (alle Quellen) für die Ergebnistabelle
+ * - Aufgeteilte Zeilen nur mit dem ersten Teilstück (wie die Offen-Liste)
+ * - Setzt ensureSearchModels() voraus
+ */
+export function collectSearchResults(ctx) {
+  const out = [];
+  const bySource = ctx?.raw?.bySource;
+  if (!String(ctx?.state?.searchQuery ?? "").trim() || !(bySource instanceof Map)) return out;
+
+  for (const entry of bySource.values()) {
+    const byKey = entry?.search?.model?.detailsByKey;
+    if (!(byKey instanceof Map)) continue;
+    for (const rows of byKey.values()) {
+      for (const row of rows) {
+        if (isFirstPiece(row)) out.push(row);
+      }
+    }
+  }
+  return out;
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+/** CSV-Zeile einer Detailzeile (Teilstücke teilen sich _line). */
+function rowId(rec) {
+  return rec?._line ?? rec;
+}
+
+/**
+ * Suchsicht je CSV-Zeile aus den Detailzeilen eines Modells ohne detailLimit
+ * - Felder wie die geparste Zeile (TEXT_FIELDS / NUMBER_FIELDS)
+ * - Teilstücke: kosten/menge summiert, Jahr = letztes Teilstück (= Jahr aus Bis)
+ * - Rückgabe: Map<rowId, row>
+ */
+function searchRows(model) {
+  const out = new Map();
+  for (const [key, recs] of model?.detailsByKey || []) {
+    const year = yearOfPeriodKey(String(key).split("||")[0]);
+    for (const rec of recs) {
+      const id = rowId(rec);
+      const row = out.get(id);
+      if (!row) {
+        out.set(id, {
+          Gegenpartei: rec.Gegenpartei,
+          Kostenart: rec.Kostenart,
+          Kategorie: rec.Kategorie,
+          Betrag: rec.Betrag,
+          memo: rec.memo,
+          status: rec.status,
+          typ: rec._typ,
+          betrag: rec._betrag,
+          kosten: rec._kosten,
+          menge: rec._menge,
+          year,
+        });
+        continue;
+      }
+      row.kosten += rec._kosten ?? 0;
+      if (Number.isFinite(rec._menge)) row.menge = (row.menge ?? 0) + rec._menge;
+      if (!(row.year >= year)) row.year = year;
+    }
+  }
+  return out;
+}
+
+function matchTerm(t, row, sourceId, sourceLabel) {
+  if (t.field === null) {
+    const hay = [row?.Gegenpartei, row?.Kostenart, row?.memo, row?.Betrag]
+      .map((v) => String(v ?? "").toLowerCase())
+      .join("\n");
+    return hay.includes(t.text);
+  }
+
+  if (t.field === "quelle") {
+    const label = typeof sourceLabel === "function" ? sourceLabel(sourceId) : "";
+    return String(sourceId ?? "").toLowerCase().includes(t.text)
+      || String(label ?? "").toLowerCase().includes(t.text);
+  }
+
+  if (TEXT_FIELDS[t.field]) {
+    return String(TEXT_FIELDS[t.field](row) ?? "").toLowerCase().includes(t.text);
+  }
+
+  const v = NUMBER_FIELDS[t.field](row);
+  if (!Number.isFinite(v)) return false;
+
+  switch (t.op) {
+    case ">": return v > t.num;
+    case ">=": return v >= t.num;
+    case "<": return v < t.num;
+    case "<=": return v <= t.num;
+    case "..": return v >= t.num && v <= t.num2;
+    default: return Math.abs(v - t.num) < 0.005;
+  }
+}
+
+/** ">100", "<=49,99", "100..200", "2024" -> { op, num, num2? } | null */
+function parseComparison(value) {
+  const range = value.split("..");
+  if (range.length === 2) {
+    const a = parseNumber(range[0]);
+    const b = parseNumber(range[1]);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    return { op: "..", num: Math.min(a, b), num2: Math.max(a, b) };
+  }
+
+  const m = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+  if (!m) return null;
+  const num = parseNumber(m[2]);
+  if (!Number.isFinite(num)) return null;
+  return { op: m[1] || "=", num };
+}
+
+/**
+ * Zahl aus Sucheingabe wie parse.js (splitNumberDecor / parseNumberStrict), Vorzeichen wird ignoriert
+ * - "1.234,56" / "49,99" / "1.000" (Tausenderpunkt) => de; eindeutig englisch nur "1234.56" / "1,234.56"
+ * - mehrdeutig ohne Dezimalteil ("1.000") wie im Import deutsch gelesen
+ */
+function parseNumber(s) {
+  const p = splitNumberDecor(s);
+  if (!p) return NaN;
+  const locale = numberLocaleHint(p.body) === "en" ? "en" : "de";
+  return Math.abs(parseNumberStrict(p.body, locale));
+}
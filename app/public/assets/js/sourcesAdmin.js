@@ -0,0 +1,202 @@
+// -----------------------------------------------------------------------------
+// sourcesAdmin.js
+// - "Quellen"-Tab: Quellen verwalten (anlegen, umbenennen, Label/Pfad/Optionen
+//   ändern, sortieren, entfernen) über /api/sources
+// - Server prüft Pfad + Probe-Parse und schreibt config.json atomar
+// - Daten/Chart ziehen per Live-Reload (live-reload.js) selbst nach;
+//   hier wird nur die Liste neu geladen
+// - Ohne Dependencies, ohne Inline-Styles
+// -----------------------------------------------------------------------------
+
+import {
+  fetchSourceList,
+  createSource,
+  updateSource,
+  reorderSources,
+  deleteSource,
+} from "./api.js";
+import { resolveEl, escapeHtml, readFields, describeCheck } from "./dom-helpers.js";
+
+const NUMBER_LOCALE_OPTIONS = [
+  ["", "Standard"],
+  ["auto", "auto"],
+  ["de", "de (1.234,56)"],
+  ["en", "en (1,234.56)"],
+];
+
+const ALLOCATION_OPTIONS = [
+  ["", "Standard"],
+  ["none", "keine"],
+  ["prorata", "anteilig"],
+];
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * wireSourcesAdmin(ctx, opts)
+ * - Rendert die Verwaltung in #sourcesAdmin (oder opts.root) und verdrahtet
+ *   alle Aktionen per Event-Delegation.
+ * - Rückgabe: { refresh() } oder null, wenn der Mount fehlt
+ */
+export function wireSourcesAdmin(ctx, opts = {}) {
+  const root = resolveEl(opts.root || "sourcesAdmin");
+  if (!root) return null;
+
+  let sources = [];
+
+  const setStatus = (msg, isError = false) => {
+    const el = root.querySelector("[data-role='status']");
+    if (!el) return;
+    el.textContent = msg || "";
+    el.classList.toggle("is-error", !!isError);
+  };
+
+  const refresh = async () => {
+    try {
+      sources = await fetchSourceList();
+      root.innerHTML = renderAdmin(sources);
+    } catch (e) {
+      root.innerHTML = renderAdmin(sources);
+      setStatus(`Quellen konnten nicht geladen werden: ${e.message}`, true);
+    }
+  };
+
+  // Eine Aktion zur Zeit; Fehler landen in der Statuszeile
+  let busy = false;
+  const run = async (label, fn) => {
+    if (busy) return;
+    busy = true;
+    setStatus(`${label} …`);
+    try {
+      const res = await fn();
+      await refresh();
+      setStatus(`${label}: ok${res?.check ? ` – ${describeCheck(res.check)}` : ""}`);
+    } catch (e) {
+      setStatus(`${label} fehlgeschlagen: ${e.message}`, true);
+    } finally {
+      busy = false;
+    }
+  };
+
+  root.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("[data-action]");
+    if (!btn || !root.contains(btn)) return;
+
+    const action = btn.dataset.action;
+    const row = btn.closest("[data-source-id]");
+    const sid = row?.dataset.sourceId || "";
+
+    if (action === "add") {
+      const form = btn.closest("[data-role='add']");
+      run("Quelle anlegen", () => createSource(readSourceFields(form)));
+      return;
+    }
+
+    if (action === "save") {
+      run(`Quelle „${sid}“ speichern`, () => updateSource(sid, readSourceFields(row)));
+      return;
+    }
+
+    if (action === "delete") {
+      if (!window.confirm(`Quelle „${sid}“ aus config.json entfernen? Die CSV-Datei bleibt erhalten.`)) return;
+      run(`Quelle „${sid}“ entfernen`, () => deleteSource(sid));
+      return;
+    }
+
+    if (action === "up" || action === "down") {
+      const order = sources.map((s) => String(s.id));
+      const i = order.indexOf(sid);
+      const j = action === "up" ? i - 1 : i + 1;
+      if (i < 0 || j < 0 || j >= order.length) return;
+      [order[i], order[j]] = [order[j], order[i]];
+      run("Reihenfolge speichern", () => reorderSources(order));
+    }
+  });
+
+  refresh();
+  return { refresh };
+}
+
+// -----------------------------------------------------------------------------
+// 1) Rendering
+// -----------------------------------------------------------------------------
+
+function renderAdmin(sources) {
+  const rows = sources
+    .map((s, i) => {
+      const sid = String(s?.id ?? "");
+      const missing = s?.exists === false ? ` <span class="sources-admin__missing">(Datei fehlt)</span>` : "";
+      return `
+        <tr data-source-id="${escapeHtml(sid)}">
+          <td class="sources-admin__order">
+            <button type="button" class="btn btn-sm btn-link" data-action="up" ${i === 0 ? "disabled" : ""} aria-label="nach oben">▲</button>
+            <button type="button" class="btn btn-sm btn-link" data-action="down" ${i === sources.length - 1 ? "disabled" : ""} aria-label="nach unten">▼</button>
+          </td>
+          <td>${inputField("id", sid)}</td>
+          <td>${inputField("label", s?.label)}</td>
+          <td>${inputField("path", s?.path)}${missing}</td>
+          <td>${selectField("numberLocale", s?.numberLocale, NUMBER_LOCALE_OPTIONS)}</td>
+          <td>${selectField("allocation", s?.allocation, ALLOCATION_OPTIONS)}</td>
+          <td class="sources-admin__actions">
+            <button type="button" class="btn btn-sm btn-outline-primary" data-action="save">Speichern</button>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete">Entfernen</button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const addRow = `
+    <tr data-role="add">
+      <td></td>
+      <td>${inputField("id", "", "neue-id")}</td>
+      <td>${inputField("label", "", "Bezeichnung")}</td>
+      <td>${inputField("path", "", "/pfad/zur/datei.csv")}</td>
+      <td>${selectField("numberLocale", "", NUMBER_LOCALE_OPTIONS)}</td>
+      <td>${selectField("allocation", "", ALLOCATION_OPTIONS)}</td>
+      <td class="sources-admin__actions">
+        <button type="button" class="btn btn-sm btn-primary" data-action="add">Anlegen</button>
+      </td>
+    </tr>
+  `;
+
+  return `
+    <div class="derived-table sources-admin">
+      <table>
+        <thead>
+          <tr><th></th><th>ID</th><th>Bezeichnung</th><th>Pfad</th><th>Zahlenformat</th><th>Aufteilung</th><th></th></tr>
+        </thead>
+        <tbody>${rows}${addRow}</tbody>
+      </table>
+    </div>
+    <div class="sources-admin__status" data-role="status" aria-live="polite"></div>
+  `;
+}
+
+function inputField(name, value, placeholder = "") {
+  return `<input class="form-control form-control-sm" data-field="${name}" value="${escapeHtml(value ?? "")}" placeholder="${escapeHtml(placeholder)}" />`;
+}
+
+function selectField(name, value, options) {
+  const v = String(value ?? "");
+  const opts = options
+    .map(([val, label]) => `<option value="${escapeHtml(val)}"${val === v ? " selected" : ""}>${escapeHtml(label)}</option>`)
+    .join("");
+  return `<select class="form-select form-select-sm" data-field="${name}">${opts}</select>`;
+}
+
+// -----------------------------------------------------------------------------
+// 2) Helpers
+// -----------------------------------------------------------------------------
+
+/** Felder einer Zeile lesen; leere Optionen => Key entfernen (Server-Default). */
+function readSourceFields(rowEl) {
+  const out = readFields(rowEl);
+  for (const f of ["numberLocale", "allocation"]) {
+    if (f in out) out[f] = out[f] || null;
+  }
+  return out;
+}
+
@@ -10,7 +10,8 @@
 //   - state enthält enabled* Sets (empty == alle) und optional disabledCats für inverse-Selection UX
 //
 // WICHTIG:
-// - Reload => Default-Zustand ("alles").
+// - Reload => Default-Zustand ("alles"), danach übernimmt app-boot.js die
+//   gemerkte Ansicht (URL-Hash / localStorage, view-state.js).
 // - "alle" Semantik für Multi-Selects: empty Set === alle.
 // -----------------------------------------------------------------------------
 
@@ -25,6 +26,25 @@ export function normalizeMode(v) {
   return v === "menge" ? "menge" : "kosten";
 }
 
+/** Plan/Ist-Darstellung im Chart: aus, Plan-Balken daneben, Zielmarke. */
+export function normalizePlanView(v) {
+  return v === "side" || v === "marker" ? v : "off";
+}
+
+/** Balken-Layout im Chart: gruppiert, gestapelt (je Zeitraum / je Typ), 100 %. */
+export const BAR_LAYOUTS = ["grouped", "stacked", "stacked-type", "percent"];
+
+export function normalizeBarLayout(v) {
+  return BAR_LAYOUTS.includes(v) ? v : "grouped";
+}
+
+/** Linien-Overlay im Chart: aus, kumuliert gesamt, je Quelle, beides. */
+export const LINE_OVERLAYS = ["off", "total", "sources", "both"];
+
+export function normalizeLineOverlay(v) {
+  return LINE_OVERLAYS.includes(v) ? v : "off";
+}
+
 export function parseYear(v) {
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
@@ -133,7 +153,7 @@ export function normalizeDisabledSet(disabledSet, universe) {
 }
 
 // ============================================================================
-// 4) Default-State (ohne Persistenz)
+// 4) Default-State
 // ============================================================================
 
 /**
@@ -145,6 +165,13 @@ export function createDefaultState(cfg) {
   // Default: empty Sets = alle
   return {
     mode: "kosten",
+    granularity: "year",
+    dimension: "Kategorie",
+    planView: "off",
+    barLayout: "grouped",
+    lineOverlay: "off",
+    searchQuery: "",
+    searchLimitChart: false,
     yearFrom: null,
     yearTo: null,
 
@@ -152,6 +179,7 @@ export function createDefaultState(cfg) {
     enabledTypes: new Set(),     // alle
     enabledCats: new Set(),      // alle
     disabledCats: new Set(),     // inverse Auswahl: explizit abgewählt (persistiert über Filter)
+    columnFilters: {},           // { [Spalte]: string[] } erlaubte Werte; fehlend = alle
   };
 }
 
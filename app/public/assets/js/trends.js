@@ -0,0 +1,342 @@
+// -----------------------------------------------------------------------------
+// trends.js
+// - "Trends"-Karte (Insights): Jahresvergleich aus ctx.derived.aggregates
+//   - Gesamt: letztes Jahr gegen Vorjahr + durchschnittliches Wachstum (CAGR)
+//   - Größte Veränderungen: Kategorien mit der größten absoluten Änderung
+//   - Neu / weggefallen: Kategorien, die erst nach dem ersten bzw. nur bis vor
+//     dem letzten Jahr des Bereichs vorkommen
+//   - Tabellen je Kategorie und je Quelle (Δ Vorjahr, %, CAGR)
+// - Basis sind immer Jahre (bar.year), auch bei Quartal/Monat; es zählen nur
+//   Jahre mit Werten im sichtbaren Bereich
+// - Vorzeichenfarbe über moneytone.js (Δ > 0 grün, Δ < 0 rot); bei Kosten
+//   heißt das: mehr Ausgaben (negativer) => rot
+// - Klick auf eine Kategorie hebt sie in Chart und Legende hervor
+//   (legend:highlight wie beim Balken-Hover); erneuter Klick hebt auf
+// - Ohne Dependencies, ohne Inline-Styles
+// -----------------------------------------------------------------------------
+
+import { toneOfValue } from "./moneytone.js";
+import { highlightChartCat } from "./chart.js";
+import { resolveEl, escapeHtml } from "./dom-helpers.js";
+
+// Anzahl Einträge unter "Größte Veränderungen"
+const MOVER_LIMIT = 5;
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * computeTrends(aggregates, opts)
+ * - aggregates: Ergebnis von aggregate() (braucht totalsByYear,
+ *   totalsByCatYear, totalsBySourceYear)
+ * - opts.limit: Anzahl "Größte Veränderungen" (Default 5)
+ * - Rückgabe:
+ *   { years, firstYear, prevYear, lastYear, total, cats, sources, movers, appeared, disappeared }
+ *   Eintrag: { key, first, prev, last, delta, pct, cagr } (pct/cagr null, wenn nicht definiert)
+ *   years.length < 2 => nur years + total, Listen leer
+ */
+export function computeTrends(aggregates, { limit = MOVER_LIMIT } = {}) {
+  const totalsByYear = aggregates?.totalsByYear instanceof Map ? aggregates.totalsByYear : new Map();
+  const years = Array.from(totalsByYear.keys())
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+
+  const out = {
+    years,
+    firstYear: years[0] ?? null,
+    prevYear: years.length > 1 ? years[years.length - 2] : null,
+    lastYear: years.length ? years[years.length - 1] : null,
+    total: null,
+    cats: [],
+    sources: [],
+    movers: [],
+    appeared: [],
+    disappeared: [],
+  };
+  if (years.length < 2) return out;
+
+  const entryOf = (key, byYear) => buildEntry(key, byYear, out);
+
+  out.total = entryOf("", totalsByYear);
+  out.cats = mapEntries(aggregates.totalsByCatYear).map(([k, m]) => entryOf(k, m));
+  out.sources = mapEntries(aggregates.totalsBySourceYear).map(([k, m]) => entryOf(k, m));
+
+  out.cats.sort(byAbsDelta);
+  out.sources.sort(byAbsDelta);
+  out.movers = out.cats.filter((e) => e.delta !== 0).slice(0, Math.max(0, limit));
+
+  for (const [cat, byYear] of mapEntries(aggregates.totalsByCatYear)) {
+    const seen = years.filter((y) => nonZero(byYear.get(y)));
+    if (!seen.length) continue;
+
+    const from = seen[0];
+    const to = seen[seen.length - 1];
+    if (from > out.firstYear) out.appeared.push({ key: cat, year: from, value: byYear.get(from) });
+    if (to < out.lastYear) out.disappeared.push({ key: cat, year: to, value: byYear.get(to) });
+  }
+
+  const byYearThenKey = (a, b) => a.year - b.year || a.key.localeCompare(b.key, "de");
+  out.appeared.sort(byYearThenKey);
+  out.disappeared.sort(byYearThenKey);
+
+  return out;
+}
+
+/**
+ * renderTrendsIntoDom(ctx, opts)
+ * - Rendert computeTrends(ctx.derived.aggregates) in #trendsBody (oder opts.root)
+ * - Ohne Aggregate (keine Daten für Filter) => Hinweistext
+ * - Hervorhebung bleibt über Redraws erhalten, solange die Kategorie sichtbar ist
+ */
+export function renderTrendsIntoDom(ctx, opts = {}) {
+  const root = resolveEl(opts.root || "trendsBody");
+  if (!root) return;
+
+  const st = (root.__trendsState ||= { focusCat: "", wired: false });
+  if (!st.wired) {
+    root.addEventListener("click", (ev) => onEntryClick(ctx, root, ev));
+    st.wired = true;
+  }
+
+  const aggregates = ctx?.derived?.aggregates;
+  if (!aggregates?.hasAny) {
+    st.focusCat = "";
+    root.innerHTML = `<p class="trends__empty">Keine Daten für aktuelle Filter.</p>`;
+    return;
+  }
+
+  const trends = computeTrends(aggregates);
+  if (st.focusCat && !trends.cats.some((e) => e.key === st.focusCat)) st.focusCat = "";
+
+  const fmt = formatterFor(aggregates.mode);
+  root.innerHTML = renderTrends(trends, { fmt, sourceLabel: sourceLabelOf(ctx), focusCat: st.focusCat });
+
+  highlightChartCat(ctx?.dom?.svgEl, st.focusCat);
+}
+
+// -----------------------------------------------------------------------------
+// Compute helpers
+// -----------------------------------------------------------------------------
+
+function buildEntry(key, byYear, { firstYear, prevYear, lastYear }) {
+  const first = valueAt(byYear, firstYear);
+  const prev = valueAt(byYear, prevYear);
+  const last = valueAt(byYear, lastYear);
+  const delta = last - prev;
+
+  return {
+    key,
+    first,
+    prev,
+    last,
+    delta,
+    pct: nonZero(prev) ? delta / Math.abs(prev) : null,
+    cagr: compoundGrowth(first, last, lastYear - firstYear),
+  };
+}
+
+/**
+ * compoundGrowth(first, last, years)
+ * - (last/first)^(1/years) - 1, bezogen auf den Betrag
+ * - Nur definiert, wenn beide Werte ≠ 0 und gleiches Vorzeichen haben
+ *   (Vorzeichenwechsel hat keine sinnvolle Wachstumsrate)
+ */
+function compoundGrowth(first, last, years) {
+  if (!(years > 0) || !nonZero(first) || !nonZero(last)) return null;
+  if (Math.sign(first) !== Math.sign(last)) return null;
+  return Math.pow(last / first, 1 / years) - 1;
+}
+
+function valueAt(byYear, year) {
+  const v = byYear instanceof Map ? Number(byYear.get(year)) : NaN;
+  return Number.isFinite(v) ? v : 0;
+}
+
+function nonZero(v) {
+  return Number.isFinite(v) && v !== 0;
+}
+
+function mapEntries(m) {
+  return m instanceof Map ? Array.from(m.entries()) : [];
+}
+
+function byAbsDelta(a, b) {
+  return Math.abs(b.delta) - Math.abs(a.delta) || a.key.localeCompare(b.key, "de");
+}
+
+// -----------------------------------------------------------------------------
+// Render helpers
+// -----------------------------------------------------------------------------
+
+function renderTrends(t, { fmt, sourceLabel, focusCat }) {
+  if (t.years.length < 2) {
+    const only = t.years.length ? ` (nur ${t.years[0]})` : "";
+    return `<p class="trends__empty">Für Trends werden mindestens zwei Jahre mit Werten benötigt${escapeHtml(only)}.</p>`;
+  }
+
+  const span = `${t.prevYear} → ${t.lastYear}`;
+  const cagrSpan = `${t.firstYear}–${t.lastYear}`;
+
+  return `
+    <div class="trends">
+      <div class="trends__summary">
+        <span class="trends__label">Gesamt ${escapeHtml(span)}</span>
+        ${deltaHtml(t.total, fmt)}
+        <span class="trends__cagr" data-tone="${toneOfValue(t.total.last - t.total.first)}"
+          title="Durchschnittliches jährliches Wachstum ${escapeHtml(cagrSpan)}">CAGR ${escapeHtml(formatPct(t.total.cagr))}</span>
+      </div>
+
+      ${renderMovers(t, { fmt, focusCat })}
+      ${renderChanges(t, focusCat)}
+
+      <details class="trends__details">
+        <summary>Kategorien (${t.cats.length})</summary>
+        ${renderTable(t.cats, { fmt, span, cagrSpan, head: "Kategorie", focusCat, clickable: true })}
+      </details>
+
+      <details class="trends__details">
+        <summary>Quellen (${t.sources.length})</summary>
+        ${renderTable(t.sources, { fmt, span, cagrSpan, head: "Quelle", label: sourceLabel })}
+      </details>
+    </div>
+  `;
+}
+
+function renderMovers(t, { fmt, focusCat }) {
+  if (!t.movers.length) return `<p class="trends__empty">Keine Veränderung zum Vorjahr.</p>`;
+
+  const items = t.movers
+    .map(
+      (e) => `
+        <li>
+          ${catButton(e.key, focusCat, toneOfValue(e.delta))}
+          ${deltaHtml(e, fmt)}
+        </li>`
+    )
+    .join("");
+
+  return `
+    <section class="trends__section">
+      <h3 class="trends__title">Größte Veränderungen</h3>
+      <ul class="trends__list">${items}</ul>
+    </section>
+  `;
+}
+
+function renderChanges(t, focusCat) {
+  if (!t.appeared.length && !t.disappeared.length) return "";
+
+  const list = (entries, prefix) =>
+    entries
+      .map(
+        (e) => `
+          <li>
+            ${catButton(e.key, focusCat, toneOfValue(e.value))}
+            <span class="trends__meta">${escapeHtml(`${prefix} ${e.year}`)}</span>
+          </li>`
+      )
+      .join("");
+
+  return `
+    <section class="trends__section">
+      <h3 class="trends__title">Neu / weggefallen</h3>
+      <ul class="trends__list">
+        ${list(t.appeared, "neu ab")}
+        ${list(t.disappeared, "zuletzt")}
+      </ul>
+    </section>
+  `;
+}
+
+function renderTable(entries, { fmt, span, cagrSpan, head, label = (k) => k, focusCat = "", clickable = false }) {
+  const rows = entries
+    .map((e) => {
+      const name = clickable ? catButton(e.key, focusCat, toneOfValue(e.delta)) : escapeHtml(label(e.key));
+      return `
+        <tr>
+          <th scope="row">${name}</th>
+          <td class="trends__num" data-tone="${toneOfValue(e.delta)}">${escapeHtml(formatSigned(e.delta, fmt))}</td>
+          <td class="trends__num" data-tone="${toneOfValue(e.delta)}">${escapeHtml(formatPct(e.pct))}</td>
+          <td class="trends__num" data-tone="${toneOfValue(e.last - e.first)}">${escapeHtml(formatPct(e.cagr))}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <table class="trends__table">
+      <thead>
+        <tr>
+          <th scope="col">${escapeHtml(head)}</th>
+          <th scope="col" class="trends__num" title="${escapeHtml(span)}">Δ Vorjahr</th>
+          <th scope="col" class="trends__num">%</th>
+          <th scope="col" class="trends__num" title="${escapeHtml(cagrSpan)}">CAGR</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function deltaHtml(e, fmt) {
+  const pct = e.pct == null ? "" : ` (${formatPct(e.pct)})`;
+  return `<span class="trends__delta" data-tone="${toneOfValue(e.delta)}">${escapeHtml(formatSigned(e.delta, fmt) + pct)}</span>`;
+}
+
+function catButton(cat, focusCat, tone) {
+  const active = cat === focusCat;
+  return `<button type="button" class="trends__cat${active ? " is-active" : ""}" data-cat="${escapeHtml(cat)}"
+    data-tone="${tone}" aria-pressed="${active}" title="In Chart und Legende hervorheben">${escapeHtml(cat)}</button>`;
+}
+
+function onEntryClick(ctx, root, ev) {
+  const btn = ev.target.closest("button[data-cat]");
+  if (!btn || !root.contains(btn)) return;
+
+  const st = root.__trendsState;
+  const cat = btn.dataset.cat || "";
+  st.focusCat = st.focusCat === cat ? "" : cat;
+
+  for (const b of root.querySelectorAll("button[data-cat]")) {
+    const active = !!st.focusCat && b.dataset.cat === st.focusCat;
+    b.classList.toggle("is-active", active);
+    b.setAttribute("aria-pressed", String(active));
+  }
+
+  highlightChartCat(ctx?.dom?.svgEl, st.focusCat);
+
+  // Legende + Kategorie-Tab über die bestehende Highlight-Bridge (renderer.js)
+  if (st.focusCat) {
+    ctx?.dom?.legendEl?.dispatchEvent(new CustomEvent("legend:highlight", { detail: { cat: st.focusCat, year: null } }));
+  }
+}
+
+function sourceLabelOf(ctx) {
+  const labels = new Map(
+    (Array.isArray(ctx?.config?.sources) ? ctx.config.sources : []).map((s) => [
+      String(s?.id ?? "").trim(),
+      String(s?.label || s?.name || s?.id || ""),
+    ])
+  );
+  return (sid) => labels.get(sid) || sid;
+}
+
+function formatterFor(mode) {
+  const nf =
+    mode === "menge"
+      ? new Intl.NumberFormat("de-DE", { minimumFractionDigits: 0, maximumFractionDigits: 2 })
+      : new Intl.NumberFormat("de-DE", { style: "currency", currency: "EUR", maximumFractionDigits: 0 });
+  return (n) => nf.format(n);
+}
+
+function formatSigned(n, fmt) {
+  return n > 0 ? `+${fmt(n)}` : fmt(n);
+}
+
+function formatPct(p) {
+  if (p == null || !Number.isFinite(p)) return "–";
+  const s = new Intl.NumberFormat("de-DE", { maximumFractionDigits: 1 }).format(p * 100);
+  return `${p > 0 ? "+" : ""}${s} %`;
+}
+
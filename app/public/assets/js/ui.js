@@ -7,7 +7,7 @@
  * - DOM finden, Events verdrahten
  * - ctx.state NUR durch User-Interaktion ändern
  * - Anzeige NUR aus ctx.derived lesen
- * - KEINE Persistenz
+ * - KEINE Persistenz (macht view-state.js nach dem Redraw)
  * - KEINE Datenaggregation
  *
  * Leitprinzip:
@@ -16,6 +16,10 @@
  * =============================================================================
  */
 
+import { normalizeGranularity } from "./period.js";
+import { normalizePlanView, normalizeBarLayout, normalizeLineOverlay } from "./state.js";
+import { normalizeDimension, normalizeColumnFilters } from "./parse.js";
+
 // =============================================================================
 // 1) Mini-Helper
 // =============================================================================
@@ -59,7 +63,21 @@ export function initUI(ctx) {
     catResetBtn: "catResetBtn",
     catList: "catList",
 
+    colFilter: "colFilterBox",
+    colFilterSelect: "colFilterSelect",
+    colFilterBtn: "colFilterBtn",
+    colFilterAllBtn: "colFilterAllBtn",
+    colFilterList: "colFilterList",
+
     modeSelect: "modeSelect",
+    granularitySelect: "granularitySelect",
+    dimensionSelect: "dimensionSelect",
+    planViewSelect: "planViewSelect",
+    barLayoutSelect: "barLayoutSelect",
+    lineOverlaySelect: "lineOverlaySelect",
+    searchForm: "searchForm",
+    searchInput: "searchInput",
+    searchLimitChart: "searchLimitChart",
     legend: "legendEl",
     chartSvg: "svgEl",
 
@@ -148,7 +166,7 @@ export function wireFilterDropdowns(ctx) {
   const rr = typeof ctx.requestRedraw === "function" ? ctx.requestRedraw : null;
 
   // ---------------------------------------------------------------------------
-  // Semantik (konsistent, ohne Persistenz)
+  // Semantik (konsistent; gemerkt wird in view-state.js)
   // - enabled* ist ein Set
   // - leeres Set => ALLE (kompakt)
   // ---------------------------------------------------------------------------
@@ -200,11 +218,87 @@ export function wireFilterDropdowns(ctx) {
     setAllCats();
   });
 
+  // Spaltenfilter (data rebuild): Spalte wählen, deren Werte im Dropdown stehen
+  // - state.columnFilters: { [Spalte]: string[] } erlaubte Werte; fehlende Spalte => alle
+  // - gewählte Spalte ist reine Anzeige (kein State); Wechsel rendert nur den Dropdown neu
+  let filterColumn = "";
+  let lastOptions = null;
+
+  const setColumnFilter = (column, values) => {
+    const next = { ...(ctx.state.columnFilters || {}) };
+    if (values) next[column] = values;
+    else delete next[column];
+    ctx.state.columnFilters = next;
+    rr?.(ctx);
+  };
+
+  ctx.dom.colFilterSelect?.addEventListener("change", () => {
+    filterColumn = ctx.dom.colFilterSelect.value;
+    if (lastOptions) renderColumnFilter(lastOptions);
+  });
+  ctx.dom.colFilterAllBtn?.addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (filterColumn) setColumnFilter(filterColumn, null);
+  });
+
+  const renderColumnFilter = (options) => {
+    const { colFilterBox: box, colFilterSelect: select, colFilterBtn: btn, colFilterList: list } = ctx.dom;
+    if (!select || !btn || !list) return;
+
+    // Spalten mit Werteliste; die aktuelle Dimension filtert der Kategorie-Dropdown
+    const valuesByColumn = options?.dimensionValues || {};
+    const dimension = normalizeDimension(ctx.state.dimension);
+    const columns = (Array.isArray(options?.dimensions) ? options.dimensions : [])
+      .filter((c) => c !== dimension && Array.isArray(valuesByColumn[c]));
+
+    if (box) box.hidden = !columns.length;
+
+    const filters = ctx.state.columnFilters || {};
+    if (!columns.includes(filterColumn)) {
+      filterColumn = columns.find((c) => Array.isArray(filters[c]) && filters[c].length) || columns[0] || "";
+    }
+
+    const sig = columns.map((c) => `${c}${filters[c]?.length ? "*" : ""}`).join("\u0001");
+    if (select.dataset.sig !== sig) {
+      select.innerHTML = "";
+      for (const c of columns) {
+        const active = Array.isArray(filters[c]) && filters[c].length;
+        select.appendChild(htmlEl("option", { value: c, text: `Filter: ${c}${active ? " •" : ""}` }));
+      }
+      select.dataset.sig = sig;
+    }
+    select.value = filterColumn;
+
+    const values = valuesByColumn[filterColumn] || [];
+    const allowed = new Set(filters[filterColumn] || []);
+    renderMultiCheckboxDropdown({
+      btn,
+      list,
+      label: filterColumn || "Filter",
+      values,
+      // Semantik: keine Werte hinterlegt => ALLE
+      isChecked: (v) => (allowed.size === 0 ? true : allowed.has(String(v))),
+      onToggle: (v, checked) => {
+        const cur = allowed.size === 0 ? new Set(values) : new Set(allowed);
+        if (checked) cur.add(String(v));
+        else cur.delete(String(v));
+        // Invariant: mindestens 1 Wert bleibt aktiv
+        if (cur.size === 0) {
+          ctx.requestRedraw?.(ctx);
+          return;
+        }
+        setColumnFilter(filterColumn, cur.size === values.length ? null : Array.from(cur));
+      },
+    });
+  };
+
   // API für Renderer (wird auf ctx gecached, damit Re-Wiring stabil bleibt)
   const api = {
     renderOptions(options) {
       if (!options) throw new Error("UI: renderOptions without options");
-      const { sources, types, cats } = options;
+      lastOptions = options;
+      const { sources, types, cats, dimensions } = options;
 
       if (!Array.isArray(sources)) throw new Error("UI: options.sources invalid");
       if (!Array.isArray(types)) throw new Error("UI: options.types invalid");
@@ -276,14 +370,18 @@ export function wireFilterDropdowns(ctx) {
         },
       });
 
+      // Dimension: wählbare Spalten aller Quellen (Kategorie zuerst)
+      renderDimensionOptions(ctx.dom.dimensionSelect, dimensions, ctx.state.dimension);
+
       // Kategorien: Steuerung über disabledCats
+      // (Werte der gewählten Dimension; Label folgt der Spalte, z.B. "Gegenpartei: alle")
       if (!(ctx.state.disabledCats instanceof Set)) ctx.state.disabledCats = new Set();
       const disabledCats = ctx.state.disabledCats;
       const catValues = Array.from(new Set((cats || []).map((c) => String(c))));
       renderMultiCheckboxDropdown({
         btn: ctx.dom.catBtn,
         list: ctx.dom.catList,
-        label: "Kategorien",
+        label: dimensionLabel(ctx.state.dimension),
         values: catValues,
         // disabledCats: empty => NONE disabled (ALL enabled)
         isChecked: (c) => !disabledCats.has(String(c)),
@@ -294,6 +392,9 @@ export function wireFilterDropdowns(ctx) {
           ctx.requestRedraw(ctx);
         },
       });
+
+      // Spaltenfilter (Objekt, Vertrag, Konto, … sowie Kategorie/Gegenpartei/Kostenart)
+      renderColumnFilter(options);
     },
   };
 
@@ -327,6 +428,107 @@ export function wireModeAndYears(ctx) {
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Zeitraster (Jahr / Quartal / Monat)
+  // - Renderer baut die Modelle bei Wechsel aus dem RAW-Text neu (ensureData)
+  // - Filter (Quellen/Typen/Kategorien/Jahre) bleiben erhalten
+  // ---------------------------------------------------------------------------
+  const granEl = ctx.dom.granularitySelect;
+  if (granEl) {
+    granEl.addEventListener("change", () => {
+      ctx.state.granularity = normalizeGranularity(granEl.value);
+      rr?.(ctx);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dimension (Spalte hinter den Kategorien: Kategorie / Gegenpartei / Kostenart / …)
+  // - Renderer baut die Modelle bei Wechsel aus dem RAW-Text neu (ensureData)
+  // - Kategorie-Auswahl + Highlight beziehen sich auf die alten Werte: zurücksetzen
+  // - ein Spaltenfilter auf der neuen Dimension geht im Kategorie-Dropdown auf
+  // ---------------------------------------------------------------------------
+  const dimEl = ctx.dom.dimensionSelect;
+  if (dimEl) {
+    dimEl.addEventListener("change", () => {
+      const next = normalizeDimension(dimEl.value);
+      if (next === normalizeDimension(ctx.state.dimension)) return;
+      ctx.state.dimension = next;
+      ctx.state.disabledCats = new Set();
+      if (ctx.state.columnFilters?.[next]) {
+        const { [next]: _dropped, ...rest } = ctx.state.columnFilters;
+        ctx.state.columnFilters = rest;
+      }
+      ctx.state.activeCat = "";
+      ctx.state.legendHighlightCat = null;
+      rr?.(ctx);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Plan/Ist (view-only): "off" | "side" | "marker"
+  // ---------------------------------------------------------------------------
+  const planEl = ctx.dom.planViewSelect;
+  if (planEl) {
+    planEl.addEventListener("change", () => {
+      ctx.state.planView = normalizePlanView(planEl.value);
+      rr?.(ctx);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Balken-Layout (view-only): gruppiert / gestapelt / 100 %
+  // ---------------------------------------------------------------------------
+  const layoutEl = ctx.dom.barLayoutSelect;
+  if (layoutEl) {
+    layoutEl.addEventListener("change", () => {
+      ctx.state.barLayout = normalizeBarLayout(layoutEl.value);
+      rr?.(ctx);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Kumulierte Linien (view-only): gesamt / je Quelle / beides
+  // ---------------------------------------------------------------------------
+  const lineEl = ctx.dom.lineOverlaySelect;
+  if (lineEl) {
+    lineEl.addEventListener("change", () => {
+      ctx.state.lineOverlay = normalizeLineOverlay(lineEl.value);
+      rr?.(ctx);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Suche
+  // - Suchtext wird erst mit Enter übernommen (Treffer-Modelle kosten einen Parse)
+  // - Leeren (✕ im Suchfeld) hebt die Suche sofort auf
+  // ---------------------------------------------------------------------------
+  const searchForm = ctx.dom.searchForm;
+  const searchInput = ctx.dom.searchInput;
+  if (searchForm && searchInput) {
+    const applySearch = () => {
+      const q = searchInput.value.trim();
+      if (q === ctx.state.searchQuery) return;
+      ctx.state.searchQuery = q;
+      rr?.(ctx);
+    };
+
+    searchForm.addEventListener("submit", (ev) => {
+      ev.preventDefault();
+      applySearch();
+    });
+    searchInput.addEventListener("input", () => {
+      if (!searchInput.value.trim()) applySearch();
+    });
+  }
+
+  const limitEl = ctx.dom.searchLimitChart;
+  if (limitEl) {
+    limitEl.addEventListener("change", () => {
+      ctx.state.searchLimitChart = !!limitEl.checked;
+      rr?.(ctx);
+    });
+  }
+
   // ---------------------------------------------------------------------------
   // Year range
   // Contract:
@@ -417,6 +619,35 @@ export function syncUIFromState(ctx) {
   ctx.dom.modeSelect.value =
     ctx.state.mode === "menge" ? "menge" : "kosten";
 
+  if (ctx.dom.granularitySelect) {
+    ctx.dom.granularitySelect.value = normalizeGranularity(ctx.state.granularity);
+  }
+
+  if (ctx.dom.dimensionSelect) {
+    ctx.dom.dimensionSelect.value = normalizeDimension(ctx.state.dimension);
+  }
+
+  if (ctx.dom.planViewSelect) {
+    ctx.dom.planViewSelect.value = normalizePlanView(ctx.state.planView);
+  }
+
+  if (ctx.dom.barLayoutSelect) {
+    ctx.dom.barLayoutSelect.value = normalizeBarLayout(ctx.state.barLayout);
+  }
+
+  if (ctx.dom.lineOverlaySelect) {
+    ctx.dom.lineOverlaySelect.value = normalizeLineOverlay(ctx.state.lineOverlay);
+  }
+
+  // Suchfeld nicht überschreiben, während getippt wird (z.B. Live-Reload-Redraw)
+  const searchInput = ctx.dom.searchInput;
+  if (searchInput && document.activeElement !== searchInput) {
+    searchInput.value = String(ctx.state.searchQuery ?? "");
+  }
+  if (ctx.dom.searchLimitChart) {
+    ctx.dom.searchLimitChart.checked = !!ctx.state.searchLimitChart;
+  }
+
   // KEIN slider min/max hier
 }
 
@@ -502,6 +733,19 @@ export function renderSubtitle(ctx) {
     parts.push(yf === yt ? `Jahr: ${yf}` : `Jahre: ${yf}–${yt}`);
   }
 
+  // Zeitraster nur nennen, wenn feiner als Jahr
+  const granularity = normalizeGranularity(ctx?.state?.granularity);
+  if (granularity !== "year") parts.push(granularity === "month" ? "Raster: Monate" : "Raster: Quartale");
+
+  // Balken-Layout nur nennen, wenn nicht gruppiert (100 % ändert die Lesart der y-Achse)
+  const barLayout = normalizeBarLayout(ctx?.state?.barLayout);
+  if (barLayout === "percent") parts.push("Anteile je Zeitraum (100 %)");
+  else if (barLayout !== "grouped") parts.push("Gestapelt");
+
+  // Chart auf Suchtreffer beschränkt: Summen beziehen sich nur auf die Treffer
+  const query = String(ctx?.state?.searchQuery ?? "").trim();
+  if (query && ctx?.state?.searchLimitChart) parts.push(`Suche: ${query}`);
+
   // ---------------------------------------------------------------------------
   // 2) Enabled categories (visibleCats minus disabledCats)
   // ---------------------------------------------------------------------------
@@ -517,7 +761,12 @@ export function renderSubtitle(ctx) {
     const head = enabledCats.slice(0, MAX_CATS);
     const more = enabledCats.length - head.length;
     const catsLabel = more > 0 ? `${head.join(", ")} +${more}` : head.join(", ");
-    parts.push(`Kategorien: ${catsLabel}`);
+    parts.push(`${dimensionLabel(ctx?.state?.dimension)}: ${catsLabel}`);
+  }
+
+  // Aktive Spaltenfilter (wirken auf alle Quellen, auch auf Summen)
+  for (const [column, values] of normalizeColumnFilters(ctx?.state?.columnFilters)) {
+    parts.push(`${column}: ${values.length <= 2 ? values.join(", ") : `${values.length} Werte`}`);
   }
 
   // ---------------------------------------------------------------------------
@@ -539,6 +788,32 @@ export function renderSubtitle(ctx) {
    Helpers
 ============================================================================= */
 
+/** Plural-Label für den Kategorie-Filter: "Kategorien" oder der Spaltenname. */
+function dimensionLabel(dimension) {
+  const d = normalizeDimension(dimension);
+  return d === "Kategorie" ? "Kategorien" : d;
+}
+
+/**
+ * Optionen des Dimension-Selects neu setzen (nur bei geänderter Spaltenliste).
+ * - Aktuelle Dimension bleibt wählbar, auch wenn keine Quelle sie (mehr) hat
+ */
+function renderDimensionOptions(select, dimensions, current) {
+  if (!select) return;
+
+  const cur = normalizeDimension(current);
+  const values = Array.from(new Set(["Kategorie", ...(Array.isArray(dimensions) ? dimensions : []), cur]
+    .map((d) => normalizeDimension(d))));
+
+  const sig = values.join("\u0001");
+  if (select.dataset.sig !== sig) {
+    select.innerHTML = "";
+    for (const d of values) select.appendChild(htmlEl("option", { value: d, text: `Gruppe: ${d}` }));
+    select.dataset.sig = sig;
+  }
+  select.value = cur;
+}
+
 function getVisibleYearsFromAggregates(ag) {
   const bars = Array.isArray(ag?.bars) ? ag.bars : [];
   if (!bars.length) return [];
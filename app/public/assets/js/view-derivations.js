@@ -6,15 +6,16 @@
 // - Pure Ableitungen aus (data, state) → Derived Values
 // - Keine DOM-Zugriffe, keine Persistenz, kein ctx
 // - Deterministisch & testbar
+// - Läuft auch serverseitig (app/model-service.js): Imports relativ halten
 //
 // Konventionen / Contracts:
-// - data: { years?: number[], cats?: string[], bars?: Bar[] }
+// - data: { years?: number[], cats?: string[], bars?: Bar[], plannedBars?: Bar[] }
 // - Bar:  { year: number, cat: string, kosten?: number, menge?: number, type?: string }
 // - state: { yearFrom?: number|null, yearTo?: number|null, mode?: "kosten"|"menge", enabledTypes?: Set<string> }
 // - enabledTypes: leeres/fehlendes Set => ALLE Typen
 // -----------------------------------------------------------------------------
 
-import { cleanKey } from "/assets/js/keys.js";
+import { cleanKey } from "./keys.js";
 
 // -----------------------------------------------------------------------------
 // 0) Small, shared helpers
@@ -154,6 +155,7 @@ export function getVisibleCatsForRange(data, state) {
 
 /**
  * Schneidet bars auf (YearRange × TypeFilter) und baut years neu aus bars.
+ * - plannedBars (Plan/Ist) werden identisch geschnitten, zählen aber nicht zu years.
  * - cats/types werden als Universe unverändert durchgereicht (Spread).
  */
 export function makeVisibleModel(data, state) {
@@ -163,7 +165,7 @@ export function makeVisibleModel(data, state) {
   if (bars.length === 0) return { ...data, years: [] };
 
   const r = getVisibleYearRange(data, state);
-  if (!r) return { ...data, bars: [], years: [] };
+  if (!r) return { ...data, bars: [], plannedBars: [], years: [] };
 
   const { yf, yt } = r;
 
@@ -181,7 +183,12 @@ export function makeVisibleModel(data, state) {
 
   const years = Array.from(yearSet).sort((a, b) => a - b);
 
-  return { ...data, bars: visibleBars, years };
+  const plannedBars = safeArray(data.plannedBars).filter((b) => {
+    const y = toFiniteNumber(b?.year);
+    return y != null && y >= yf && y <= yt && isTypeAllowed(state, b?.type);
+  });
+
+  return { ...data, bars: visibleBars, plannedBars, years };
 }
 
 // -----------------------------------------------------------------------------
@@ -201,8 +208,42 @@ export function makeVisibleModel(data, state) {
  * }}
  */
 export function computeTotalsForVisibleRange(data, state) {
+  const totals = new Map();
+  let hasAny = false;
+
+  forEachVisibleValue(data, state, (b, cat, value) => {
+    hasAny = true;
+    totals.set(cat, (totals.get(cat) || 0) + value);
+  });
+
+  return { totals, hasAny };
+}
+
+/**
+ * Summe pro Zeitschlüssel (yearKey) – gleiche Basis wie computeTotalsForVisibleRange
+ * (YearRange × TypeFilter × CategoryFilter), also auch wie computeNetInfo.
+ * - Grundlage der kumulierten Linien im Chart (Kumulation macht chart.js entlang der x-Achse).
+ *
+ * @return {Map<string, number>} yearKey → Summe
+ */
+export function computePeriodTotals(data, state) {
+  const totals = new Map();
+
+  forEachVisibleValue(data, state, (b, cat, value) => {
+    const key = String(b?.yearKey ?? b?.year ?? "").trim();
+    if (key) totals.set(key, (totals.get(key) || 0) + value);
+  });
+
+  return totals;
+}
+
+/**
+ * Gemeinsamer Filter für alle Summen: ruft fn(bar, cat, value) für jeden
+ * sichtbaren Bar mit gültigem Wert auf.
+ */
+function forEachVisibleValue(data, state, fn) {
   const range = getVisibleYearRange(data, state);
-  if (!range) return { totals: new Map(), hasAny: false };
+  if (!range) return;
 
   const { yf, yt } = range;
   const mode = state?.mode === "menge" ? "menge" : "kosten";
@@ -210,9 +251,6 @@ export function computeTotalsForVisibleRange(data, state) {
   const enabledCats =
     state?.enabledCats instanceof Set ? state.enabledCats : null;
 
-  const totals = new Map();
-  let hasAny = false;
-
   for (const b of safeBars(data)) {
     // --- Jahr-Filter ---------------------------------------------------------
     const year = toFiniteNumber(b?.year);
@@ -238,12 +276,8 @@ export function computeTotalsForVisibleRange(data, state) {
     const value = toFiniteNumber(raw);
     if (value == null) continue;
 
-    // --- Aggregation ---------------------------------------------------------
-    hasAny = true;
-    totals.set(cat, (totals.get(cat) || 0) + value);
+    fn(b, cat, value);
   }
-
-  return { totals, hasAny };
 }
 
 // -----------------------------------------------------------------------------
@@ -0,0 +1,262 @@
+// view-state.js
+// -----------------------------------------------------------------------------
+// Ansicht merken: Filter-State <-> URL-Hash + localStorage
+// -----------------------------------------------------------------------------
+// - Format (Hash und Storage gleich): URLSearchParams, nur Abweichungen vom
+//   Default, z.B. #mode=menge&from=2021&src=bank&typ=Fix&off=Energie&cat=Miete
+// - Boot: Hash hat Vorrang (geteilter Link), sonst letzter Stand aus localStorage
+// - Nach jedem Redraw wird geschrieben (history.replaceState: kein Verlauf-Spam)
+// - Link in denselben Tab einfügen (hashchange) => Ansicht übernehmen + Redraw
+// - Jahre an den Rändern des Datenbereichs werden nicht gespeichert, damit neue
+//   Jahre nach dem Laden sichtbar bleiben
+// - activeCat: Stand des letzten Redraws bzw. beim Verlassen der Seite
+// -----------------------------------------------------------------------------
+
+import {
+  normalizeMode,
+  normalizePlanView,
+  normalizeBarLayout,
+  normalizeLineOverlay,
+  normalizeEnabledSet,
+} from "./state.js";
+import { normalizeGranularity } from "./period.js";
+import { normalizeDimension, normalizeColumnFilters } from "./parse.js";
+
+const STORAGE_KEY = "valueFlow.view";
+
+// -----------------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------------
+
+/**
+ * encodeViewState(state, opts)
+ * - opts.sourceIds: alle Quellen (volle Auswahl wird nicht gespeichert)
+ * - opts.yearDomain: { minY, maxY } (Jahre am Rand werden nicht gespeichert)
+ * - Rückgabe: Query-String ohne "#" ("" = alles Default)
+ */
+export function encodeViewState(state, { sourceIds = [], yearDomain = null } = {}) {
+  const p = new URLSearchParams();
+  const s = state || {};
+
+  const mode = normalizeMode(s.mode);
+  if (mode !== "kosten") p.set("mode", mode);
+
+  const granularity = normalizeGranularity(s.granularity);
+  if (granularity !== "year") p.set("g", granularity);
+
+  const dimension = normalizeDimension(s.dimension);
+  if (dimension !== "Kategorie") p.set("dim", dimension);
+
+  const planView = normalizePlanView(s.planView);
+  if (planView !== "off") p.set("plan", planView);
+
+  const barLayout = normalizeBarLayout(s.barLayout);
+  if (barLayout !== "grouped") p.set("layout", barLayout);
+
+  const lineOverlay = normalizeLineOverlay(s.lineOverlay);
+  if (lineOverlay !== "off") p.set("line", lineOverlay);
+
+  const query = String(s.searchQuery ?? "").trim();
+  if (query) p.set("q", query);
+  if (query && s.searchLimitChart) p.set("qchart", "1");
+
+  const minY = Number(yearDomain?.minY);
+  const maxY = Number(yearDomain?.maxY);
+  if (Number.isFinite(s.yearFrom) && s.yearFrom !== minY) p.set("from", String(s.yearFrom));
+  if (Number.isFinite(s.yearTo) && s.yearTo !== maxY) p.set("to", String(s.yearTo));
+
+  // Quellen: volle Auswahl (oder leer) = Default
+  const src = s.enabledSourceIds instanceof Set ? Array.from(s.enabledSourceIds) : [];
+  const allSources = src.length === 0 || sourceIds.every((id) => src.includes(id));
+  if (!allSources) for (const id of src) p.append("src", id);
+
+  if (s.enabledTypes instanceof Set) for (const t of s.enabledTypes) p.append("typ", t);
+  if (s.disabledCats instanceof Set) for (const c of s.disabledCats) p.append("off", c);
+
+  for (const [column, values] of normalizeColumnFilters(s.columnFilters)) {
+    for (const v of values) p.append("f", `${column}:${v}`);
+  }
+
+  const activeCat = typeof s.activeCat === "string" ? s.activeCat : "";
+  if (activeCat) p.set("cat", activeCat);
+
+  return p.toString();
+}
+
+/**
+ * decodeViewState(text)
+ * - text: Query-String (mit oder ohne "#"/"?")
+ * - Rückgabe: nur die enthaltenen Felder (unnormalisiert bis auf Typen/Zahlen)
+ */
+export function decodeViewState(text) {
+  const p = new URLSearchParams(String(text ?? "").replace(/^[#?]/, ""));
+  const out = {};
+
+  if (p.has("mode")) out.mode = p.get("mode");
+  if (p.has("g")) out.granularity = p.get("g");
+  if (p.has("dim")) out.dimension = p.get("dim");
+  if (p.has("plan")) out.planView = p.get("plan");
+  if (p.has("layout")) out.barLayout = p.get("layout");
+  if (p.has("line")) out.lineOverlay = p.get("line");
+  if (p.has("q")) out.searchQuery = p.get("q");
+  if (p.has("qchart")) out.searchLimitChart = p.get("qchart") === "1";
+
+  const year = (k) => {
+    const n = Number.parseInt(p.get(k) ?? "", 10);
+    return Number.isFinite(n) ? n : null;
+  };
+  if (p.has("from")) out.yearFrom = year("from");
+  if (p.has("to")) out.yearTo = year("to");
+
+  if (p.has("src")) out.enabledSourceIds = p.getAll("src");
+  if (p.has("typ")) out.enabledTypes = p.getAll("typ");
+  if (p.has("off")) out.disabledCats = p.getAll("off");
+
+  if (p.has("f")) {
+    const filters = {};
+    for (const entry of p.getAll("f")) {
+      const i = entry.indexOf(":");
+      if (i <= 0) continue;
+      const column = entry.slice(0, i);
+      (filters[column] ||= []).push(entry.slice(i + 1));
+    }
+    out.columnFilters = filters;
+  }
+
+  if (p.has("cat")) out.activeCat = p.get("cat");
+
+  return out;
+}
+
+/**
+ * applyViewState(state, saved, config)
+ * - Setzt alle gemerkten Felder auf Default und übernimmt dann `saved`
+ *   (ein Link beschreibt die ganze Ansicht, nicht nur Abweichungen)
+ * - Quellen werden gegen config.sourceIds geklemmt; leer => alle
+ */
+export function applyViewState(state, saved, config) {
+  if (!state) return state;
+  const v = saved || {};
+  const sourceIds = Array.isArray(config?.sourceIds) ? config.sourceIds : [];
+
+  state.mode = normalizeMode(v.mode);
+  state.granularity = normalizeGranularity(v.granularity);
+  state.dimension = normalizeDimension(v.dimension);
+  state.planView = normalizePlanView(v.planView);
+  state.barLayout = normalizeBarLayout(v.barLayout);
+  state.lineOverlay = normalizeLineOverlay(v.lineOverlay);
+  state.searchQuery = String(v.searchQuery ?? "").trim();
+  state.searchLimitChart = !!v.searchLimitChart && !!state.searchQuery;
+
+  state.yearFrom = Number.isFinite(v.yearFrom) ? v.yearFrom : null;
+  state.yearTo = Number.isFinite(v.yearTo) ? v.yearTo : null;
+
+  const src = normalizeEnabledSet(new Set(v.enabledSourceIds || []), sourceIds);
+  state.enabledSourceIds = src.size ? src : new Set(sourceIds);
+
+  const types = new Set((v.enabledTypes || []).map((t) => String(t)));
+  state.enabledTypes = types.size ? types : null;
+
+  state.disabledCats = new Set((v.disabledCats || []).map((c) => String(c)));
+  state.columnFilters = Object.fromEntries(normalizeColumnFilters(v.columnFilters));
+  state.activeCat = typeof v.activeCat === "string" ? v.activeCat : "";
+
+  return state;
+}
+
+/**
+ * restoreViewState(state, config)
+ * - Boot: Hash vor localStorage
+ * - Rückgabe: "hash" | "storage" | null (nichts gefunden)
+ */
+export function restoreViewState(state, config) {
+  const hash = readHash();
+  const stored = hash ? "" : readStorage();
+  const text = hash || stored;
+  if (!text) return null;
+
+  applyViewState(state, decodeViewState(text), config);
+  return hash ? "hash" : "storage";
+}
+
+/**
+ * reconcileViewState(ctx)
+ * - Nach loadData(): gemerkte Typen gegen die geladenen Typen klemmen
+ *   (unbekannte Typen würden sonst alles ausblenden)
+ */
+export function reconcileViewState(ctx) {
+  const state = ctx?.state;
+  if (!(state?.enabledTypes instanceof Set)) return;
+
+  const types = new Set();
+  for (const entry of ctx?.raw?.bySource?.values?.() || []) {
+    for (const t of entry?.model?.types || []) types.add(String(t));
+  }
+
+  const next = normalizeEnabledSet(state.enabledTypes, Array.from(types));
+  state.enabledTypes = next.size ? next : null;
+}
+
+/**
+ * saveViewState(ctx)
+ * - Schreibt Hash (replaceState) + localStorage; Fehler (z.B. Storage
+ *   gesperrt) werden nur geloggt
+ */
+export function saveViewState(ctx) {
+  if (!ctx?.state) return;
+
+  const text = encodeViewState(ctx.state, {
+    sourceIds: ctx.config?.sourceIds || [],
+    yearDomain: ctx.derived?.options?.yearDomain || null,
+  });
+
+  const url = `${location.pathname}${location.search}${text ? `#${text}` : ""}`;
+  if (url !== `${location.pathname}${location.search}${location.hash}`) {
+    history.replaceState(history.state, "", url);
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, text);
+  } catch (e) {
+    console.warn("view-state.js [saveViewState] localStorage failed:", e?.message || e);
+  }
+}
+
+/**
+ * wireViewState(ctx)
+ * - hashchange (Link eingefügt / Hash von Hand geändert) => übernehmen + Redraw
+ * - pagehide => letzten Stand sichern (activeCat ändert sich ohne Redraw)
+ */
+export function wireViewState(ctx) {
+  if (!ctx) throw new Error("wireViewState: ctx missing");
+
+  window.addEventListener("hashchange", () => {
+    const text = readHash();
+    if (!text) return;
+
+    applyViewState(ctx.state, decodeViewState(text), ctx.config);
+    reconcileViewState(ctx);
+    if (ctx.flags) ctx.flags.dataDirty = true;
+    ctx.requestRedraw?.(ctx);
+  });
+
+  window.addEventListener("pagehide", () => saveViewState(ctx));
+
+  return { save: () => saveViewState(ctx) };
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function readHash() {
+  return String(location.hash || "").replace(/^#/, "");
+}
+
+function readStorage() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
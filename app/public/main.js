@@ -6,11 +6,15 @@
 // - Boot der Applikation
 // - Initialisierung von UI und Renderer
 // - Zentrale Redraw-Koordination (Coalescing)
+// - Ansicht nach jedem Redraw merken (URL-Hash + localStorage, view-state.js)
+// - Benannte Ansichten (Presets) aus views.json umschalten (savedViews.js)
+// - Aktuelle Ansicht exportieren (exportView.js) bzw. als Bericht ausgeben (report.js)
+// - Notizen zu Jahr/Kategorie/Quelle (notes.js, /api/notes)
 //
 // Architektur:
 // - Renderer ist der EINZIGE Ort, der rendert
 // - UI liefert nur Events + Render-API
-// - Keine Persistenz, kein impliziter State
+// - Kein impliziter State (gemerkt wird nur der explizite Filter-State)
 // =============================================================================
 
 console.log("[BOOT] main.js loaded");
@@ -18,6 +22,14 @@ console.log("[BOOT] main.js loaded");
 import { boot } from "/assets/js/app-boot.js";
 import { initUI, wireFilterDropdowns, wireModeAndYears } from "/assets/js/ui.js";
 import { createRenderer } from "/assets/js/renderer.js";
+import { connectLiveReload } from "/assets/js/live-reload.js";
+import { wireSourcesAdmin } from "/assets/js/sourcesAdmin.js";
+import { wireCsvUpload } from "/assets/js/csvUpload.js";
+import { saveViewState, wireViewState } from "/assets/js/view-state.js";
+import { wireSavedViews } from "/assets/js/savedViews.js";
+import { wireExport } from "/assets/js/exportView.js";
+import { wireReport } from "/assets/js/report.js";
+import { wireNotes } from "/assets/js/notes.js";
 
 // -----------------------------------------------------------------------------
 // Renderer initialisieren
@@ -65,6 +77,7 @@ async function runRedraw(ctx, flags) {
 
   try {
     await redraw(ctx);
+    saveViewState(ctx);
   } catch (err) {
     logRedrawError(ctx, phase, err);
   } finally {
@@ -125,6 +138,30 @@ export function requestRedraw(ctx) {
     ctx.ui = wireFilterDropdowns(ctx); // Filter-Events + Render-API
     wireModeAndYears(ctx); // Mode + Year-Events
 
+    // Geteilte Links (Hash) im selben Tab übernehmen; beim Verlassen sichern
+    ctx.viewState = wireViewState(ctx);
+
+    // Benannte Ansichten im Kopfbereich (/api/views, für alle Clients gleich)
+    ctx.savedViews = wireSavedViews(ctx);
+
+    // Export der aktuellen Ansicht (CSV / Excel / JSON)
+    ctx.exportView = wireExport(ctx);
+
+    // Bericht (HTML/Druck/PDF) + Chart/Legende als SVG/PNG
+    ctx.report = wireReport(ctx);
+
+    // Notizen-Karte (Marker im Chart, Badges in der Legende)
+    ctx.notes = wireNotes(ctx);
+
+    // CSV/config-Änderungen vom Server (SSE) -> betroffene Quellen neu laden
+    ctx.liveReload = connectLiveReload(ctx);
+
+    // Quellenverwaltung im "Quellen"-Tab (/api/sources)
+    ctx.sourcesAdmin = wireSourcesAdmin(ctx);
+
+    // CSV-Import per Drag & Drop / Dateiauswahl (/api/upload)
+    ctx.csvUpload = wireCsvUpload(ctx, { onRegistered: () => ctx.sourcesAdmin?.refresh() });
+
     // -------------------------------------------------------------------------
     // Initialer Render
     // -------------------------------------------------------------------------
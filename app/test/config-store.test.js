@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { readConfigRaw, writeConfigAtomic, writeFileAtomic } from "../config-store.js";
+
+// -----------------------------------------------------------------------------
+// config-store.test.js – atomares Schreiben (config.json, CSV) mit Backup
+// -----------------------------------------------------------------------------
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kpi-config-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("writeFileAtomic: neue Datei ohne Backup, keine temp-Reste", (t) => {
+  const dir = tmpDir(t);
+  const file = path.join(dir, "a.csv");
+
+  writeFileAtomic(file, "Kategorie;Betrag\nA;1\n");
+
+  assert.equal(fs.readFileSync(file, "utf8"), "Kategorie;Betrag\nA;1\n");
+  assert.deepEqual(fs.readdirSync(dir), ["a.csv"]);
+});
+
+test("writeFileAtomic: vorherige Fassung als .bak (eine Generation)", (t) => {
+  const dir = tmpDir(t);
+  const file = path.join(dir, "a.csv");
+
+  writeFileAtomic(file, "v1");
+  writeFileAtomic(file, "v2");
+  writeFileAtomic(file, "v3");
+
+  assert.equal(fs.readFileSync(file, "utf8"), "v3");
+  assert.equal(fs.readFileSync(`${file}.bak`, "utf8"), "v2");
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["a.csv", "a.csv.bak"]);
+});
+
+test("writeFileAtomic: Fehler beim Ersetzen räumt die temp-Datei weg", (t) => {
+  const dir = tmpDir(t);
+  const target = path.join(dir, "ordner");
+  fs.mkdirSync(target);
+  fs.writeFileSync(path.join(target, "x"), "");
+
+  // rename auf ein nicht-leeres Verzeichnis scheitert
+  assert.throws(() => writeFileAtomic(target, "text"));
+  assert.deepEqual(fs.readdirSync(dir), ["ordner"]);
+});
+
+test("readConfigRaw: fehlende Datei => leere Config, kein Objekt => Fehler", (t) => {
+  const dir = tmpDir(t);
+  const file = path.join(dir, "config.json");
+
+  assert.deepEqual(readConfigRaw(file), {});
+
+  fs.writeFileSync(file, "[1, 2]");
+  assert.throws(() => readConfigRaw(file), /must contain an object/);
+
+  fs.writeFileSync(file, "{ kaputt");
+  assert.throws(() => readConfigRaw(file), SyntaxError);
+});
+
+test("writeConfigAtomic: Roundtrip behält unbekannte Keys", (t) => {
+  const dir = tmpDir(t);
+  const file = path.join(dir, "config.json");
+  const raw = { port: 3044, timing: { x: 1 }, sources: [{ id: "a", path: "a.csv" }] };
+
+  writeConfigAtomic(file, raw);
+  assert.deepEqual(readConfigRaw(file), raw);
+  assert.ok(fs.readFileSync(file, "utf8").endsWith("}\n"));
+
+  writeConfigAtomic(file, { ...raw, port: 4000 });
+  assert.equal(readConfigRaw(`${file}.bak`).port, 3044);
+});
@@ -0,0 +1,239 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildModel,
+  inspectCsv,
+  editCsvRecord,
+  parseNumberStrict,
+  isFirstPiece,
+  selectDetails,
+  DETAIL_LIMIT_ALL,
+} from "../public/assets/js/parse.js";
+
+// -----------------------------------------------------------------------------
+// parse.test.js – parse.js (Tokenizer, Zahlen, Diagnosen, Aufteilung, Regeln,
+// Spalten-Mapping, Zeilen-Editor)
+// -----------------------------------------------------------------------------
+
+const HEADER = "Gegenpartei;Kategorie;Buchungstyp;Von;Bis;Jahr;Betrag;Menge;Einheit;Status;Memo";
+
+function model(body, opts = {}) {
+  return buildModel(`${HEADER}\n${body}`, ";", { sourceId: "t", detailLimit: DETAIL_LIMIT_ALL, ...opts });
+}
+
+function details(m) {
+  return Array.from(m.detailsByKey.values()).flat();
+}
+
+// -----------------------------------------------------------------------------
+// Tokenizer (RFC 4180)
+// -----------------------------------------------------------------------------
+
+test("Tokenizer: Anführungszeichen, Delimiter und Zeilenumbrüche in Zellen", () => {
+  const csv = 'Kategorie;Betrag;Memo\nA;1;"mit ; Semikolon"\nB;2;"zwei\nZeilen und ""Zitat"""\nC;3;x\n';
+  const info = inspectCsv(csv, ";");
+
+  assert.equal(info.rowCount, 3);
+  assert.deepEqual(info.rows[0], ["A", "1", "mit ; Semikolon"]);
+  assert.deepEqual(info.rows[1], ["B", "2", 'zwei\nZeilen und "Zitat"']);
+
+  // Physische Startzeile bleibt erhalten (C beginnt nach dem Umbruch in Zeile 5)
+  const m = buildModel(csv, ";", { sourceId: "t" });
+  const lines = details(m).map((r) => [r.Kategorie, r._line]).sort();
+  assert.deepEqual(lines, [["A", 2], ["B", 3], ["C", 5]]);
+});
+
+test("Tokenizer: BOM und CRLF", () => {
+  const m = buildModel("﻿Kategorie;Jahr;Betrag\r\nA;2024;1\r\nA;2024;2\r\n", ";", { sourceId: "t" });
+  assert.deepEqual(m.years, [2024]);
+  assert.equal(m.bars[0].kosten, 3);
+});
+
+// -----------------------------------------------------------------------------
+// Zahlen (numberLocale)
+// -----------------------------------------------------------------------------
+
+test("parseNumberStrict: Formate und Dekorationen", () => {
+  assert.equal(parseNumberStrict("1.234,56", "de"), 1234.56);
+  assert.equal(parseNumberStrict("1,234.56", "en"), 1234.56);
+  assert.equal(parseNumberStrict("(1.234,56)", "de"), -1234.56);
+  assert.equal(parseNumberStrict("1.234,56-", "de"), -1234.56);
+  assert.equal(parseNumberStrict("-€ 12,50", "de"), -12.5);
+  assert.equal(parseNumberStrict("12,50 EUR", "de"), 12.5);
+  assert.equal(parseNumberStrict("−1,5", "de"), -1.5); // Unicode-Minus
+  assert.ok(Number.isNaN(parseNumberStrict("1.234,56", "en")));
+  assert.ok(Number.isNaN(parseNumberStrict("1,2,3", "de")));
+  assert.ok(Number.isNaN(parseNumberStrict("", "de")));
+});
+
+test("numberLocale: fest gesetzt vs. auto (Mehrheit über die Spalte)", () => {
+  const body = "X;A;Fix;;;2024;1.000;;;;\nX;A;Fix;;;2024;2,5;;;;\n";
+  assert.equal(model(body, { numberLocale: "de" }).bars[0].kosten, 1002.5);
+
+  const auto = model(body, { numberLocale: "auto" });
+  assert.equal(auto.numberLocales.Betrag, "de");
+  assert.equal(auto.bars[0].kosten, 1002.5);
+
+  const en = model("X;A;Fix;;;2024;1,000.50;;;;\nX;A;Fix;;;2024;2.5;;;;\n", { numberLocale: "auto" });
+  assert.equal(en.numberLocales.Betrag, "en");
+  assert.equal(en.bars[0].kosten, 1003);
+});
+
+test("numberLocale auto: nur mehrdeutige Werte => de + Hinweis", () => {
+  const m = model("X;A;Fix;;;2024;1,234;;;;\nX;A;Fix;;;2024;2,500;;;;\n", { numberLocale: "auto" });
+  assert.equal(m.numberLocales.Betrag, "de");
+  assert.equal(m.bars[0].kosten, 3.734);
+
+  const hint = m.diagnostics.find((d) => d.column === "Betrag");
+  assert.equal(hint?.action, "suspicious");
+  assert.equal(hint?.line, 2);
+});
+
+// -----------------------------------------------------------------------------
+// Diagnosen
+// -----------------------------------------------------------------------------
+
+test("Diagnosen: Betrag keine Zahl und ungültiges Jahr werden verworfen", () => {
+  const m = model("X;A;Fix;;;2024;abc;;;;\nX;A;Fix;;;1800;5;;;;\nX;A;Fix;;;2024;7;;;;\n");
+
+  const dropped = m.diagnostics.filter((d) => d.action === "dropped");
+  assert.deepEqual(dropped.map((d) => [d.line, d.column]), [[2, "Betrag"], [3, "Jahr"]]);
+  assert.ok(dropped.every((d) => d.severity === "error"));
+  assert.equal(details(m).length, 1);
+  assert.equal(m.bars[0].kosten, 7);
+});
+
+test("Diagnosen: Datum, das es nicht gibt, ist verdächtig, Jahr bleibt", () => {
+  const m = model("X;A;Fix;;30.02.2024;;5;;;;\n");
+  assert.deepEqual(m.years, [2024]);
+  assert.ok(m.diagnostics.some((d) => d.column === "Bis" && d.action === "suspicious"));
+});
+
+test("Menge × Betrag bei Einheit, undatierte Zeilen gelten als geplant", () => {
+  const m = model("X;Strom;Fix;;;2024;0,30;1000;kWh;;\nX;Strom;Fix;;;;10;;;;\n");
+  const dated = m.bars.find((b) => b.year === 2024);
+  assert.equal(Math.round(dated.kosten * 100) / 100, 300);
+  assert.equal(dated.menge, 1000);
+  assert.ok(m.hasUndated);
+  assert.deepEqual(m.plannedBars.map((b) => [b.yearKey, b.kosten]), [[m.undatedLabel, 10]]);
+});
+
+// -----------------------------------------------------------------------------
+// Aufteilung (allocation "prorata")
+// -----------------------------------------------------------------------------
+
+test("prorata: Von–Bis tagesgenau auf Jahre verteilt", () => {
+  const m = model("X;A;Fix;01.07.2023;30.06.2024;;366;;;;\n", { allocation: "prorata" });
+
+  const byYear = Object.fromEntries(m.bars.map((b) => [b.year, b.kosten]));
+  assert.equal(byYear[2023], 184);
+  assert.equal(byYear[2024], 182);
+
+  const pieces = details(m);
+  assert.equal(pieces.length, 2);
+  assert.deepEqual(pieces.map(isFirstPiece).sort(), [false, true]);
+  assert.ok(pieces.every((p) => p._line === 2 && p._betrag === 366));
+});
+
+test("prorata: gültiges Jahr wird nie aufgeteilt", () => {
+  const m = model("X;A;Fix;01.07.2023;30.06.2024;2023;100;;;;\n", { allocation: "prorata" });
+  assert.deepEqual(m.bars.map((b) => [b.year, b.kosten]), [[2023, 100]]);
+});
+
+test("prorata: Monatsraster", () => {
+  const m = model("X;A;Fix;01.01.2024;31.03.2024;;91;;;;\n", { allocation: "prorata", granularity: "month" });
+  assert.deepEqual(
+    m.bars.map((b) => [b.yearKey, Math.round(b.kosten * 100) / 100]),
+    [["2024-01", 31], ["2024-02", 29], ["2024-03", 31]]
+  );
+});
+
+// -----------------------------------------------------------------------------
+// Regeln (rules.json)
+// -----------------------------------------------------------------------------
+
+test("Regeln: füllen leere Felder, merken sich die Regel-ID", () => {
+  const rules = [
+    { id: "strom", match: { Gegenpartei: "stadtwerke" }, set: { Kategorie: "Energie", Buchungstyp: "Fix" } },
+    { id: "teuer", match: { Betrag: { min: 1000 } }, set: { Kategorie: "Groß" }, overwrite: true },
+  ];
+  const m = model("Stadtwerke Nord;;;;;2024;50;;;;\nBäcker;Essen;Var;;;2024;5;;;;\nX;Miete;Fix;;;2024;1200;;;;\n", { rules });
+
+  const byLine = Object.fromEntries(details(m).map((r) => [r._line, r]));
+  assert.equal(byLine[2].Kategorie, "Energie");
+  assert.equal(byLine[2].Regel, "strom");
+  assert.equal(byLine[3].Regel, "");
+  assert.equal(byLine[4].Kategorie, "Groß");
+  assert.equal(m.uncategorized.length, 0);
+});
+
+test("Regeln: Zeilen ohne Kategorie landen in uncategorized", () => {
+  const m = model("X;;Fix;;;2024;5;;;;\n");
+  assert.equal(m.uncategorized.length, 1);
+  assert.ok(m.cats.includes("?"));
+});
+
+// -----------------------------------------------------------------------------
+// Spalten-Mapping (config.json sources[].columns)
+// -----------------------------------------------------------------------------
+
+test("Spalten-Mapping: Umbenennen, Konstante, Regex", () => {
+  const csv = "Amount;Cat;Year;Text\n-12,50;Food;2024;Stromabschlag März\n";
+  const m = buildModel(csv, ";", {
+    sourceId: "t",
+    columns: {
+      Betrag: "Amount",
+      Kategorie: "cat",
+      Jahr: "Year",
+      Buchungstyp: { const: "Var" },
+      Kostenart: { from: "Text", regex: "(Strom|Gas)", flags: "i" },
+    },
+  });
+
+  const [r] = details(m);
+  assert.equal(r.Kategorie, "Food");
+  assert.equal(r.Buchungstyp, "Var");
+  assert.equal(r.Kostenart, "Strom");
+  assert.equal(m.bars[0].kosten, -12.5);
+  assert.equal(r.Text, "Stromabschlag März"); // Zusatzspalte bleibt erhalten
+});
+
+test("Spalten-Mapping: unbekannte Keys und fehlende Pflichtspalten werfen", () => {
+  const csv = "Amount;Cat;Year\n1;A;2024\n";
+  assert.throws(() => buildModel(csv, ";", { sourceId: "t", columns: { Betrg: "Amount" } }), /unbekannte Spalte "Betrg"/);
+  assert.throws(() => buildModel(csv, ";", { sourceId: "t", columns: { Betrag: "Amount" } }), /Kategorie/);
+});
+
+// -----------------------------------------------------------------------------
+// Zeilen-Editor (editCsvRecord)
+// -----------------------------------------------------------------------------
+
+test("editCsvRecord: ersetzt nur die Zelle, quotet bei Bedarf", () => {
+  const csv = 'Kategorie;Betrag;Memo\nA;1;"x\ny"\nB;2;z\n';
+  const res = editCsvRecord(csv, ";", 4, { Memo: "a;b", Kategorie: "C" });
+
+  assert.equal(res.text, 'Kategorie;Betrag;Memo\nA;1;"x\ny"\nC;2;"a;b"\n');
+  assert.deepEqual(res.before, { Memo: "z", Kategorie: "B" });
+  assert.throws(() => editCsvRecord(csv, ";", 1, { Memo: "x" }), /Kopfzeile/);
+  assert.throws(() => editCsvRecord(csv, ";", 3, { Memo: "x" }), /Zeile 3/);
+});
+
+test("editCsvRecord: kurze Zeile wird aufgefüllt", () => {
+  const res = editCsvRecord("Kategorie;Betrag;Memo\nA;1\n", ";", 2, { Memo: "neu" });
+  assert.equal(res.text, "Kategorie;Betrag;Memo\nA;1;neu\n");
+});
+
+// -----------------------------------------------------------------------------
+// selectDetails (Suche)
+// -----------------------------------------------------------------------------
+
+test("selectDetails: summiert nur die behaltenen Detailzeilen", () => {
+  const m = model("X;A;Fix;;;2023;10;;;;\nY;A;Fix;;;2024;20;;;;\nY;B;Fix;;;2024;5;;;planned;\n");
+  const sel = selectDetails(m, (rec) => rec.Gegenpartei === "Y");
+
+  assert.deepEqual(sel.years, [2024]);
+  assert.deepEqual(sel.bars.map((b) => [b.yearKey, b.cat, b.kosten]), [["2024", "A", 20]]);
+  assert.deepEqual(sel.plannedBars.map((b) => [b.cat, b.kosten]), [["B", 5]]);
+  assert.deepEqual(sel.cats, m.cats);
+});
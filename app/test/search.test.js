@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { compileSearch, parseSearchQuery } from "../public/assets/js/search.js";
+
+// -----------------------------------------------------------------------------
+// search.test.js – Zahlen in Suchbegriffen (betrag:/kosten:/menge:/jahr:)
+// -----------------------------------------------------------------------------
+
+const matches = (query, row) => compileSearch(query)(row, "a");
+
+test("Zahlen: Tausenderpunkt und Dezimalkomma wie im Import (de)", () => {
+  assert.equal(matches("betrag:1.000", { betrag: -1000 }), true);
+  assert.equal(matches("betrag:1.000", { betrag: 1 }), false);
+  assert.equal(matches("betrag:1.234,56", { betrag: 1234.56 }), true);
+  assert.equal(matches("betrag:49,99", { betrag: -49.99 }), true);
+  assert.equal(matches("kosten:>1.000", { kosten: -1500 }), true);
+  assert.equal(matches("kosten:>1.000", { kosten: 999 }), false);
+});
+
+test("Zahlen: eindeutig englische Eingaben", () => {
+  assert.equal(matches("betrag:1234.56", { betrag: 1234.56 }), true);
+  assert.equal(matches("betrag:1,234.56", { betrag: 1234.56 }), true);
+});
+
+test("Zahlen: Bereiche, Währung, Vorzeichen", () => {
+  assert.equal(matches("betrag:1.000..2.000", { betrag: 1500 }), true);
+  assert.equal(matches("betrag:1.000..2.000", { betrag: 2500 }), false);
+  assert.equal(matches("betrag:<=€12,50", { betrag: -12.5 }), true);
+  assert.equal(matches("betrag:-12,50", { betrag: 12.5 }), true);
+  assert.equal(matches("jahr:2024", { year: 2024 }), true);
+});
+
+test("Keine Zahl => freier Begriff", () => {
+  assert.deepEqual(parseSearchQuery("betrag:abc"), [{ field: null, negate: false, text: "betrag:abc" }]);
+});